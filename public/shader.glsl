@@ -1,5 +1,6 @@
 /**
  * This is the fragment shader, responsible for rendering the tiling.
+ * Its CPU port in src/cpuRenderer.js should be kept in step with it.
  * This code is protected under the MIT license (see the LICENSE file).
  * Author: tdung-do
  */
@@ -7,15 +8,22 @@
 uniform vec2 resolution;
 uniform float time;
 uniform float scale;
+uniform float zoom;
+uniform vec2 tileOffset;
 
 // Tiling parameters
+uniform int curvature;
 uniform vec2 invCen;
 uniform vec2 refNrm;
-uniform vec2 mousePos;
+uniform vec4 viewNum;
+uniform vec4 viewDen;
+uniform vec4 motionNum;
+uniform vec4 motionDen;
 uniform float invRad;
 
 uniform float pValue;
 uniform float qValue;
+uniform float rValue;
 
 
 // Appearance settings
@@ -25,8 +33,13 @@ uniform vec3 edgeCol;
 uniform vec3 vertCol;
 uniform vec3 invVertCol;
 uniform vec3 bgCol;
+uniform vec3 snakeCol0;
+uniform vec3 snakeCol1;
+uniform vec3 snakeCol2;
+uniform vec3 snakeCol3;
 
 uniform int modelIdx;
+uniform vec2 modelFrame;
 uniform bool doEdges;
 uniform bool doVerts;
 uniform bool doOrns;
@@ -43,6 +56,49 @@ uniform float ringLayerNum;
 uniform float centerCutoff;
 uniform float nRepeatPerSectV0;
 uniform float nRepeatPerSectV2;
+uniform vec4 snakeOrder;
+uniform float snakeAspect;
+uniform float snakeProfile;
+uniform float snakeRingPhase;
+uniform float snakeBgPhase;
+
+uniform bool doCafeWall;
+uniform bool cafeRings;
+uniform float cafeAngle;
+uniform float cafeRowHeight;
+uniform float cafeBrickLength;
+uniform float cafeShift;
+
+uniform bool doOuchi;
+uniform bool ouchiChecker;
+uniform float ouchiFrequency;
+uniform float ouchiDuty;
+uniform float ouchiRadius;
+
+uniform bool doTexture;
+uniform sampler2D tileTexture;
+uniform int textureMode;
+uniform bool textureMirror;
+
+#define MAX_COLORS 12
+uniform int coloringMode;
+uniform int colorCount;
+uniform usampler2D colorTable;
+uniform vec3 tileColors[MAX_COLORS];
+uniform int coloringSeed;
+
+uniform int wythoffMode;
+uniform vec2 wythoffPoint;
+uniform bvec3 wythoffEdges;
+uniform vec2 wythoffMirrored[3];
+uniform vec2 wythoffFeet[3];
+uniform vec2 wythoffTurned[6];
+uniform float wythoffEdgeWidth;
+uniform float wythoffVertexRadius;
+uniform vec3 wythoffCol0;
+uniform vec3 wythoffCol1;
+uniform vec3 wythoffCol2;
+uniform vec3 wythoffCol3;
 
 uniform bool doV0V1;
 uniform bool doV1V2;
@@ -53,41 +109,42 @@ uniform bool doV2V0;
 uniform int nSamples;
 uniform float invSamples;
 uniform int nIterations;
-
-// uniform float eThickness; // 👈 new line
-uniform bool preciseEdges; // 👈 new line
-uniform vec2 V0;    //Point on the center of disk        // 👈 new line
-uniform vec2 V1;    //Point on the x-axis        // 👈 new line
-uniform vec2 V2;    //The other point        // 👈 new line
-uniform vec2 D;        // 👈 new line
-uniform vec2 E;        // 👈 new line
-uniform vec2 D1;        // 👈 new line
-uniform vec2 E1;        // 👈 new line
-uniform vec2 D1p;        // 👈 new line
-uniform vec2 E1p;        // 👈 new line
-uniform vec2 D2;        // 👈 new line
-uniform vec2 E2;        // 👈 new line
-
-uniform vec2 triV0EnlargedCircleCenter;         // 👈 new line
-uniform float triV0EnlargedCircleRadius;        // 👈 new line
-uniform vec2 triV1EnlargedCircleCenter;         // 👈 new line
-uniform float triV1EnlargedCircleRadius;        // 👈 new line
-uniform vec2 triV2EnlargedCircleCenter;         // 👈 new line
-uniform float triV2EnlargedCircleRadius;        // 👈 new line
-uniform vec2 V0EnlargedCircleCenter;         // 👈 new line
-uniform float V0EnlargedCircleRadius;        // 👈 new line
-uniform vec2 V2EnlargedCircleCenter;         // 👈 new line
-uniform float V2EnlargedCircleRadius;        // 👈 new line
-// uniform vec2 C2RotSnakesCenter;         // 👈 new line
-// uniform float C2RotSnakesRadius;        // 👈 new line
-
-
-uniform vec2 newThickEdge12CircleCenter;         // 👈 new line
-uniform float newThickEdge12CircleRadius;        // 👈 new line
-uniform vec2 newThickEdge20CircleCenter;         // 👈 new line
-uniform float newThickEdge20CircleRadius;        // 👈 new line
-uniform vec2 newThickEdge01CircleCenter;         // 👈 new line
-uniform float newThickEdge01CircleRadius;        // 👈 new line
+uniform bool transparentBg;
+
+// uniform float eThickness;
+uniform bool preciseEdges;
+uniform vec2 V0;    //Point on the center of disk
+uniform vec2 V1;    //Point on the x-axis
+uniform vec2 V2;    //The other point
+uniform vec2 D;
+uniform vec2 E;
+uniform vec2 D1;
+uniform vec2 E1;
+uniform vec2 D1p;
+uniform vec2 E1p;
+uniform vec2 D2;
+uniform vec2 E2;
+
+uniform vec2 triV0EnlargedCircleCenter;
+uniform float triV0EnlargedCircleRadius;
+uniform vec2 triV1EnlargedCircleCenter;
+uniform float triV1EnlargedCircleRadius;
+uniform vec2 triV2EnlargedCircleCenter;
+uniform float triV2EnlargedCircleRadius;
+uniform vec2 V0EnlargedCircleCenter;
+uniform float V0EnlargedCircleRadius;
+uniform vec2 V2EnlargedCircleCenter;
+uniform float V2EnlargedCircleRadius;
+// uniform vec2 C2RotSnakesCenter;
+// uniform float C2RotSnakesRadius;
+
+
+uniform vec2 newThickEdge12CircleCenter;
+uniform float newThickEdge12CircleRadius;
+uniform vec2 newThickEdge20CircleCenter;
+uniform float newThickEdge20CircleRadius;
+uniform vec2 newThickEdge01CircleCenter;
+uniform float newThickEdge01CircleRadius;
 
 
 out vec4 outputCol;
@@ -98,6 +155,8 @@ out vec4 outputCol;
 #define THICKNESS .05
 #define COLOR_COEFF 3.
 #define PARITY_COEFF .6
+#define OUCHI_ELONGATION 3.
+#define CENTER_GRID (1. / 2048.)
 
 /*
 Complex utility functions and transformations.
@@ -135,53 +194,27 @@ vec2 ctanh(vec2 z) {
 }
 
 #define PI 3.14159265358
-#define MAP_SCALE 3.
-#define GANS_SCALE 10.
 
-vec2 remapToDisk(vec2 z) {
-    // Remaps the point from the given model to the Poincare disk
-    
-    switch (modelIdx) {
-        case 0:
-            // Poincare disk model
-            // float theta = time * 1.1;
-            // mat2 M = mat2(cos(theta), sin(theta), -sin(theta), cos(theta));
-            // z = M * z; // Make the model spin around origin
-            return z;
-        case 1:
-            // Half-plane model
-            z.y++;
-            // z.x += time * 2.; //Make the model drift
-            return cdiv(z - CMP_I, z + CMP_I);
-        case 2:
-            // Klein model
-            return z / (1. + sqrt(1. - normSq(z)));
-        case 3:
-            // Inverted Poincare disk model
-            return cinv(z * MAP_SCALE);
-        case 4:
-            // Gans model
-            z *= GANS_SCALE;
-            return z / (1. + sqrt(1. + normSq(z)));
-        case 5:
-            // Azimuthal equidistant projection
-            z *= MAP_SCALE;
-            float len = tanh(.5 * length(z));
-            return normalize(z) * len;
-        case 6:
-            // Equal-area projection
-            z *= MAP_SCALE;
-            return z / sqrt(1. + normSq(z));
-        case 7:
-            // Band model
-            return ctanh(z);
-    }
-    return z;
+/*
+Maps of the models, put in place of the line below by the app (see models.js).
+They define vec2 remapToDisk(vec2 z), remapping the point from the screen's
+model to the Poincare disk, or to the plane of the fundamental triangle for
+Euclidean and spherical tilings, and bool isOutsideModel(vec2 z), checking
+whether it lies outside of the model's boundary.
+*/
+
+// MODEL MAPS
+
+vec2 mobius(vec2 z, vec4 num, vec4 den) {
+    // Applies the Mobius transformation (az + b) / (cz + d), with a and b
+    // packed into the numerator and c and d into the denominator
+    return cdiv(cmul(num.xy, z) + num.zw, cmul(den.xy, z) + den.zw);
 }
 
 vec2 shift(vec2 z, vec2 a) {
-    // Transform point in unit disk
-    return cdiv(z - a, vec2(1., 0.) - cmul(z, a * vec2(1., -1.)));
+    // Transform point in unit disk, or translate or rotate the Euclidean 
+    // plane or the sphere
+    return cdiv(z - a, CMP_ONE + float(curvature) * cmul(z, a * vec2(1., -1.)));
 }
 
 bool isInsideTriangle(vec2 p, vec2 a, vec2 b, vec2 c)
@@ -210,13 +243,23 @@ bool isInsideTriangle(vec2 p, vec2 a, vec2 b, vec2 c)
     return (alpha >= 0.0 && beta >= 0.0 && gamma >= 0.0);
 }
 
+vec3 snakeStepColor(int i) {
+    // Color of the step i of the snakes (0 for the dark background, 1 and 3
+    // for the bodies and 2 for the light background), as given by snakeOrder
+    float idx = snakeOrder[i];
+    if (idx == 0.) return snakeCol0;
+    if (idx == 1.) return snakeCol1;
+    if (idx == 2.) return snakeCol2;
+    return snakeCol3;
+}
+
 vec3 rotatingSnakeColor(vec2 p, float R, float oddParity, float nRepeats, float thetaMax, bool front) {
     float r = length(p) / R;
 
     // Nonlinear radial warp
     float rr = pow(r, expRatioRings) * ringLayerNum; // pow value - ratio of r between outer and immediate inner; num - number of rings
     float ring = floor(rr);
-    float rf = pow(fract(rr), 1.0 / 1.5);
+    float rf = pow(fract(rr), snakeProfile);
 
     // Compute angular phase that repeats nRepeats times over thetaMax
     float ang;           
@@ -232,50 +275,432 @@ vec3 rotatingSnakeColor(vec2 p, float R, float oddParity, float nRepeats, float
     }
     
     angRat = ang / thetaMax * nRepeats * 2.; 
-    angRat += ring - 0.125 -1.; // radial phase shift
+    angRat += ring - snakeRingPhase -1.; // radial phase shift
     
     float phase = fract(angRat);
 
     // Snake body mask
-    float d = length(vec2(phase * 1.25, rf) - vec2(0.5)) - 0.5;
+    float d = length(vec2(phase * snakeAspect, rf) - vec2(0.5)) - 0.5;
 
-    vec3 col;
     if (d <= 0.0) {
-        col = mix(
-            vec3(229., 229., 0.) / 255.,        // yellow
-            vec3(19., 121., 255.) / 255.,       // blue
-            step(mod(angRat + oddParity, 2.0), 1.0)
-        );
+        return snakeStepColor(mod(angRat + oddParity, 2.0) <= 1.0 ? 1 : 3);
+    }
+    return snakeStepColor(mod(angRat + snakeBgPhase, 2.0) <= 1.0 ? 2 : 0);
+}
+
+
+/*
+Reflections in the mirrors of the fundamental triangle.
+*/
+
+#define invRadSq invRad * invRad
+
+bool foldMirror(inout vec2 z) {
+    // Reflects z in the mirror opposite V0 if it lies on the far side of it.
+    // This is an inversion in a circle, from its inside in the hyperbolic 
+    // case and from its outside in the spherical case. In the Euclidean case
+    // the mirror is the line with unit normal invCen at offset invRad.
+    if (curvature == 0) {
+        float dotProd = dot(z, invCen) - invRad;
+        if (dotProd > 0.) {
+            z -= 2. * dotProd * invCen;
+            return true;
+        }
+        return false;
+    }
+
+    vec2 diff = z - invCen;
+    float distSq = normSq(diff);
+    if ((distSq - invRadSq) * float(curvature) > 0.) {
+        z = invCen + (invRadSq * diff) / distSq;
+        return true;
+    }
+    return false;
+}
+
+bool foldLine(inout vec2 z, vec2 nrm) {
+    // Reflects z in the line through the origin with the given normal 
+    // if it lies on the negative side of it
+    float dotProd = dot(z, nrm);
+    if (dotProd < 0.) {
+        z -= 2. * dotProd * nrm;
+        return true;
+    }
+    return false;
+}
+
+float thickEdgeDist(vec2 z, vec2 cen, float rad) {
+    // Signed distance to the boundary of a thick edge, negative on the edge.
+    // Euclidean thick edges are bounded by lines, stored as a unit normal 
+    // and an offset, and spherical ones may lie outside of their circle,
+    // which is stored with a negative radius.
+    if (curvature == 0) return dot(z, cen) - rad;
+    return (distance(z, cen) - abs(rad)) * sign(rad);
+}
+
+/*
+Café Wall pattern, which colors whole polygons by where their centers lie.
+*/
+
+void composeReflection(inout vec4 num, inout vec4 den, inout bool flip, vec4 rNum, vec4 rDen) {
+    // Composes the map (az + b) / (cz + d), applied to conj(z) if flipped,
+    // with the reflection z -> R(conj(z)) done first, where both Mobius 
+    // transformations are packed like the view. The result is rescaled to 
+    // keep its entries in range.
+    if (flip) {
+        rNum *= vec4(1., -1., 1., -1.);
+        rDen *= vec4(1., -1., 1., -1.);
+    }
+    vec4 n = vec4(cmul(num.xy, rNum.xy) + cmul(num.zw, rDen.xy), cmul(num.xy, rNum.zw) + cmul(num.zw, rDen.zw));
+    vec4 d = vec4(cmul(den.xy, rNum.xy) + cmul(den.zw, rDen.xy), cmul(den.xy, rNum.zw) + cmul(den.zw, rDen.zw));
+    float len = inversesqrt(dot(n, n) + dot(d, d));
+    num = n * len;
+    den = d * len;
+    flip = !flip;
+}
+
+float coshK(float d) {
+    // Ratio of the lengths of a curve at distance d from a geodesic and of
+    // its projection on the geodesic
+    if (curvature < 0) return cosh(d);
+    if (curvature > 0) return cos(d);
+    return 1.;
+}
+
+vec2 fermiCoords(vec2 num, vec2 den, float angle) {
+    // Signed distance of the point num / den from the geodesic through the
+    // origin in the direction of the angle, and distance along the geodesic
+    // to the foot of the perpendicular. The point is given as a quotient so
+    // that it may be the point at infinity of the sphere.
+    vec2 prod = cmul(cmul(num, vec2(cos(angle), -sin(angle))), den * vec2(1., -1.));
+    float numSq = dot(num, num);
+    float denSq = dot(den, den);
+    float sinAcross = 2. * prod.y / (denSq + float(curvature) * numSq);
+    if (curvature < 0) return vec2(asinh(sinAcross), atanh(2. * prod.x / (denSq + numSq)));
+    if (curvature > 0) return vec2(asin(clamp(sinAcross, -1., 1.)), atan(2. * prod.x, denSq - numSq));
+    return vec2(sinAcross, 2. * prod.x / denSq);
+}
+
+vec3 cafeWallColor(vec2 num, vec2 den) {
+    // Colors the polygon with the center num / den. Rows are layers of 
+    // distance either from a geodesic or from the origin, and every other
+    // row is shifted by a fraction of a brick.
+    float row, len;
+    if (cafeRings) {
+        // Lengths around a ring grow with the distance r from the origin as sinh(r)
+        vec2 prod = cmul(num, den * vec2(1., -1.));
+        float numSq = dot(num, num);
+        float denSq = dot(den, den);
+        float dist = 2. * sqrt(numSq / denSq);
+        if (curvature < 0) dist = 2. * atanh(sqrt(numSq / denSq));
+        if (curvature > 0) dist = 2. * atan(sqrt(numSq), sqrt(denSq));
+        row = floor(dist / cafeRowHeight + .5);
+
+        // Centers on the negative x-axis are all given the angle PI, as the
+        // polygons would otherwise be split where the angle jumps
+        float angle = atan(prod.y, prod.x);
+        if (angle < 1e-4 - PI) angle += 2. * PI;
+        len = numSq > 0. ? angle * 2. * sqrt(numSq * denSq) / (denSq + float(curvature) * numSq) : 0.;
+    } else {
+        vec2 fermi = fermiCoords(num, den, radians(cafeAngle));
+        row = floor(fermi.x / cafeRowHeight + .5);
+        len = fermi.y * coshK(row * cafeRowHeight);
+    }
+    // Bricks start a quarter brick before the origin, so that polygons lined
+    // up along a row, one or two per brick, don't lie on their boundaries
+    float brick = floor(len / cafeBrickLength + .25 + cafeShift * mod(row, 2.));
+    return mod(brick, 2.) == 0. ? polygonCol : invPolygonCol;
+}
+
+/*
+Ouchi pattern, with stripes running around the center of each polygon inside
+a disk and across them outside of it.
+*/
+
+float distanceToOrigin(vec2 z) {
+    if (curvature < 0) return 2. * atanh(length(z));
+    if (curvature > 0) return 2. * atan(length(z));
+    return 2. * length(z);
+}
+
+float sinhK(float d) {
+    // Ratio of the length of an arc of a circle of radius d and of its angle
+    if (curvature < 0) return sinh(d);
+    if (curvature > 0) return sin(d);
+    return d;
+}
+
+float stripe(float s) {
+    // 1 on the stripes, centered on the whole numbers and covering the 
+    // fraction ouchiDuty of each period, and 0 between them
+    return abs(s - floor(s + .5)) < .5 * ouchiDuty ? 1. : 0.;
+}
+
+vec3 ouchiColor(vec2 z) {
+    // Colors the point z of the fundamental triangle. The disk around V0 is
+    // striped with rings, and the rest with spokes as far apart along the 
+    // boundary of the disk. Each sector between the mirrors through V0 holds
+    // a whole number of spokes, so that they are mirrored onto each other.
+    float dist = distanceToOrigin(z);
+    float rad = ouchiRadius * distanceToOrigin(V1);
+    float sector = PI / pValue;
+    float nSpokes = max(1., floor(sector * sinhK(rad) * ouchiFrequency + .5));
+    float turn = dist > 0. ? atan(z.y, z.x) / sector : 0.;
+    float rings = dist * ouchiFrequency;
+
+    // The checks are stretched along the stripes
+    float val;
+    if (dist < rad) {
+        val = stripe(rings);
+        if (ouchiChecker) val = abs(val - stripe(turn * max(1., floor(nSpokes / OUCHI_ELONGATION + .5))));
+    } else {
+        val = stripe(turn * nSpokes);
+        if (ouchiChecker) val = abs(val - stripe(rings / OUCHI_ELONGATION));
+    }
+    return mix(invPolygonCol, polygonCol, val);
+}
+
+/*
+Image texture, mapped into the fundamental triangle or the polygon.
+*/
+
+vec2 triangleCoords(vec2 z) {
+    // Barycentric coordinates of z for V1 and V2 in the triangle V0 V1 V2 
+    // with straight sides, where V0 is the origin
+    float det = V1.x * V2.y - V1.y * V2.x;
+    return vec2(z.x * V2.y - z.y * V2.x, V1.x * z.y - V1.y * z.x) / det;
+}
+
+vec3 textureColor(vec2 z, float n) {
+    // Colors the point z of the fundamental triangle from the image, mapped 
+    // onto the triangle (0), the polygon with its center in the middle of the
+    // image (1), or the square whose center, middle of the right side and top 
+    // right corner go to V0, V1 and V2 (2). The copies of the image are 
+    // mirrored along with the triangles, unless only turning them: then the 
+    // odd triangles are mirrored back across V0V1, so that each copy fills 
+    // a triangle and its mirror image, below it in the image.
+    bool flip = !textureMirror && mod(n, 2.) == 1.;
+    float side = flip ? -1. : 1.;
+    vec2 coords = triangleCoords(z);
+    vec2 uv;
+    if (textureMode == 1) {
+        uv = .5 + .5 * vec2(z.x, side * z.y) / length(V2);
+    } else if (textureMode == 2) {
+        uv = .5 + .5 * vec2(coords.x + coords.y, side * coords.y);
     } else {
-        col = mix(
-            vec3(0.0),              // black
-            vec3(1.0),              // white
-            step(mod(angRat + 0.535, 2.0), 1.0)
-        );
+        // The left side of the image shrinks to V0, its bottom and top run
+        // along V0V1 and V0V2, and its right side along V1V2
+        float u = coords.x + coords.y;
+        float v = u > 0. ? coords.y / u : 0.;
+        uv = vec2(u, textureMirror ? v : .5 + .5 * side * v);
     }
-    return col;
+
+    // Transparent parts of the image show the polygon color
+    vec4 col = texture(tileTexture, uv);
+    return mix(polygonCol, col.rgb, col.a);
+}
+
+/*
+Colorings of the polygons with more colors, either permuted by the symmetries
+of the tiling or random (see colorings.js).
+*/
+
+int tableEntry(int row, int col) {
+    // Entry of the table of colors, whose rows 0 to 8 permute the points by
+    // the products sa sb of two reflections, under row 3 a + b, and whose
+    // row 9 holds the point of the orbit of each block
+    return int(texelFetch(colorTable, ivec2(col, row), 0).r);
+}
+
+void foldColors(inout int colors[MAX_COLORS], inout int block, inout int pending, int mirror) {
+    // Composes the map of the colors with the reflection in the mirror, 
+    // taking the reflections in pairs as only their products permute the 
+    // colors when only the rotations are symmetries. Each pair moves the 
+    // colors to the next block of points. A reflection waiting for the next 
+    // is pending, and -1 if there is none.
+    if (pending < 0) {
+        pending = mirror;
+        return;
+    }
+    block = tableEntry(3 * mirror + pending, block * colorCount) / colorCount;
+    int prev[MAX_COLORS] = colors;
+    for (int i = 0; i < colorCount; i ++) {
+        colors[i] = prev[tableEntry(3 * pending + mirror, block * colorCount + i) % colorCount];
+    }
+    pending = -1;
+}
+
+uint hashInt(uint x) {
+    // Hash of an integer, as in colorings.js
+    x ^= x >> 16;
+    x *= 0x7feb352du;
+    x ^= x >> 15;
+    x *= 0x846ca68bu;
+    x ^= x >> 16;
+    return x;
+}
+
+int randomColor(vec2 num, vec2 den) {
+    // Random color of the polygon with the center num / den, from a hash of
+    // the center rounded on a grid. Centers of spherical tilings are taken on
+    // the sphere, where the one at infinity is the south pole.
+    vec3 coords = vec3(cdiv(num, den), 0.);
+    if (curvature > 0) {
+        float numSq = dot(num, num);
+        float denSq = dot(den, den);
+        coords = vec3(2. * cmul(num, den * vec2(1., -1.)), denSq - numSq) / (denSq + numSq);
+    }
+    uint hash = hashInt(uint(coloringSeed));
+    for (int i = 0; i < 3; i ++) {
+        hash = hashInt(uint(int(floor(coords[i] / CENTER_GRID + .5))) ^ hash);
+    }
+    return int(hash % uint(colorCount));
+}
+
+/*
+Uniform tilings of Wythoff's construction, with the point W of the triangle
+joined to its images in the mirrors it lies off or, for snub tilings, to its
+images by the rotations (see wythoff.js). Parts of the tilings are numbered
+as in wythoffParts: the faces around V0, V1 and V2, the snub triangles, the
+edges and the vertices.
+*/
+
+#define SNUB_PART 3
+#define EDGE_PART 4
+#define VERTEX_PART 5
+#define SIDE_TOLERANCE 1e-4
+
+float geodesicSide(vec2 z, vec2 a, vec2 b) {
+    // Side of the geodesic through a and b where z lies, which is a line 
+    // through the origin once a is moved there, as the sine of the angle
+    vec2 u = shift(z, a);
+    vec2 v = shift(b, a);
+    return (u.x * v.y - u.y * v.x) / (length(u) * length(v));
+}
+
+bool isOnEdge(vec2 z, vec2 a, vec2 b) {
+    // Checks whether z lies within the half-width of the edges from the 
+    // geodesic segment from a to b
+    vec2 v = shift(b, a);
+    vec2 fermi = fermiCoords(shift(z, a), CMP_ONE, atan(v.y, v.x));
+    return abs(fermi.x) < wythoffEdgeWidth && fermi.y > 0. && fermi.y < distanceToOrigin(v);
+}
+
+bool isOnVertex(vec2 z, vec2 v) {
+    return distanceToOrigin(shift(z, v)) < wythoffVertexRadius;
+}
+
+bool inFace(vec2 z, vec2 corner, vec2 a, vec2 b) {
+    // Checks whether z lies on the same side as the corner of the face of the
+    // geodesic through a and b. Faces whose corner lies on the line shrink to
+    // nothing, around corners where the mirrors meet at right angles.
+    float cornerSide = geodesicSide(corner, a, b);
+    return abs(cornerSide) > SIDE_TOLERANCE && geodesicSide(z, a, b) * cornerSide > 0.;
+}
+
+int wythoffPart(vec2 z, bool odd) {
+    // Part of the tiling at the point z of the fundamental triangle, which is
+    // odd if an odd number of reflections folded it there. The face around 
+    // each corner lies on its side of the lines bounding it, which are the 
+    // edges from W in the other two mirrors for uniform tilings, and is left
+    // out if there are none or the corner lies on one of them.
+    vec2 corners[3] = vec2[3](V0, V1, V2);
+    vec2 W = wythoffPoint;
+    if (wythoffMode == 1) {
+        if (doVerts && isOnVertex(z, W)) return VERTEX_PART;
+        for (int k = 0; k < 3; k ++) {
+            if (doEdges && wythoffEdges[k] && isOnEdge(z, W, wythoffFeet[k])) return EDGE_PART;
+        }
+        int fallback = -1;
+        for (int j = 0; j < 3; j ++) {
+            int k = (j + 1) % 3;
+            int l = (j + 2) % 3;
+            if (!wythoffEdges[k] && !wythoffEdges[l]) continue;
+            float sideK = wythoffEdges[k] ? geodesicSide(corners[j], W, wythoffFeet[k]) : 1.;
+            float sideL = wythoffEdges[l] ? geodesicSide(corners[j], W, wythoffFeet[l]) : 1.;
+            if (abs(sideK) < SIDE_TOLERANCE || abs(sideL) < SIDE_TOLERANCE) continue;
+            if ((!wythoffEdges[k] || geodesicSide(z, W, wythoffFeet[k]) * sideK > 0.) &&
+                (!wythoffEdges[l] || geodesicSide(z, W, wythoffFeet[l]) * sideL > 0.)) return j;
+            if (fallback < 0) fallback = j;
+        }
+        return fallback < 0 ? SNUB_PART : fallback;
+    }
+
+    // Snub tilings join W to its images turned about each corner, whose face
+    // lies between the two edges, while around odd triangles the images of W
+    // in the mirrors are the corners of a snub triangle, with the face around
+    // each corner of the fundamental triangle beyond the opposite side
+    if (!odd) {
+        if (doVerts && isOnVertex(z, W)) return VERTEX_PART;
+        for (int i = 0; i < 6; i ++) {
+            if (doEdges && isOnEdge(z, W, wythoffTurned[i])) return EDGE_PART;
+        }
+        for (int j = 0; j < 3; j ++) {
+            if (inFace(z, corners[j], W, wythoffTurned[2 * j]) && 
+                inFace(z, corners[j], W, wythoffTurned[2 * j + 1])) return j;
+        }
+        return SNUB_PART;
+    }
+    for (int k = 0; k < 3; k ++) {
+        if (doVerts && isOnVertex(z, wythoffMirrored[k])) return VERTEX_PART;
+    }
+    for (int j = 0; j < 3; j ++) {
+        if (doEdges && isOnEdge(z, wythoffMirrored[(j + 1) % 3], wythoffMirrored[(j + 2) % 3])) return EDGE_PART;
+    }
+    for (int j = 0; j < 3; j ++) {
+        if (inFace(z, corners[j], wythoffMirrored[(j + 1) % 3], wythoffMirrored[(j + 2) % 3])) return j;
+    }
+    return SNUB_PART;
 }
 
+vec3 wythoffColor(int part) {
+    // Color of the faces of the part
+    if (part == 0) return wythoffCol0;
+    if (part == 1) return wythoffCol1;
+    if (part == 2) return wythoffCol2;
+    return wythoffCol3;
+}
+
+/*
+Pattern plugin, put in place of the line below by the app along with the
+uniforms of its parameters (see patterns.js). It defines PATTERN_PLUGIN and
+the function vec3 pattern(vec2 z, vec3 counts), coloring the point z of the
+fundamental triangle from the numbers of reflections in the mirrors opposite
+V0, V1 and V2 that brought the point there.
+*/
+
+// PATTERN PLUGIN
 
 /*
 The coloring function.
 */
 
-#define invRadSq invRad * invRad
+vec2 screenToModel(vec2 pt) {
+    // Remaps the pixel to the screen's model
+    return (2. * pt - resolution) / (scale * zoom);
+}
+
+bool isBackground(vec2 pt) {
+    // Checks whether the pixel lies outside of the model's boundary
+    vec2 z = screenToModel(pt);
+    if (isOutsideModel(z)) return true;
+    z = remapToDisk(z);
+    return curvature < 0 && dot(z, z) > 1.;
+}
 
 vec3 tilingSample(vec2 pt) {
     // Remap point to screen and move it around
-    vec2 z = (2. * pt - resolution) / scale;
+    vec2 z = screenToModel(pt);
+    if (isOutsideModel(z)) return bgCol;
     z = remapToDisk(z);
 
-    if (dot(z, z) > 1.) return bgCol; // outside of the Poincare disk
+    if (curvature < 0 && dot(z, z) > 1.) return bgCol; // outside of the Poincare disk
 
-    z = shift(z, mousePos);
+    z = mobius(z, viewNum, viewDen);
+    z = mobius(z, motionNum, motionDen); // animated motion
 
     // Repeatedly invert and reflect until we are within the fundamental domain
     bool fund;
-    float distSq, dotProd;
-    vec2 diff;
     float n = 0.;
 
     float a = 0.;
@@ -286,43 +711,65 @@ vec3 tilingSample(vec2 pt) {
     float col1 = 0.;
     float col2 = 0.;
     float pol_col = 0.;
-    
+
+    // Map from the fundamental triangle back to the triangle of the point,
+    // made of the reflections in the mirrors (packed like the view), which
+    // the Café Wall pattern and random colorings need for the center of the
+    // polygon
+    bool doTile = doCafeWall || coloringMode == 2;
+    vec4 tileNum = vec4(1., 0., 0., 0.);
+    vec4 tileDen = vec4(0., 0., 1., 0.);
+    bool tileFlip = false;
+    vec4 mirrorNum = curvature == 0 ? 
+        vec4(-cmul(invCen, invCen), 2. * invRad * invCen) : vec4(invCen, invRadSq - dot(invCen, invCen), 0.);
+    vec4 mirrorDen = curvature == 0 ? vec4(0., 0., 1., 0.) : vec4(1., 0., -invCen.x, invCen.y);
+    vec4 lineNum = vec4(-cmul(refNrm, refNrm), 0., 0.);
+    vec4 lineDen = vec4(0., 0., 1., 0.);
+
+    // Map of the colors of symmetric colorings, from the color of the 
+    // polygon of the fundamental triangle to that of the point
+    bool doColors = coloringMode == 1;
+    int colors[MAX_COLORS];
+    for (int i = 0; i < MAX_COLORS; i ++) colors[i] = i;
+    int colorBlock = 0;
+    int pendingMirror = -1;
 
     for (int i = 0; i < nIterations; i ++) {
         fund = true;
 
-        // Edge (polEdgeCenter-to-polVertex edge)
-        diff = z - invCen;
-        distSq = normSq(diff);
-        if (distSq < invRadSq) {
+        // Mirror opposite V0 (the V1V2 edge), meeting the x-axis 
+        // at PI/r and the refNrm line at PI/q
+        if (foldMirror(z)) {
             fund = false;
-            z = invCen + (invRadSq * diff) / distSq;
             n ++;
             a++;
             pol_col++;
             col0++;
             c++;
+            if (doTile) composeReflection(tileNum, tileDen, tileFlip, mirrorNum, mirrorDen);
+            if (doColors) foldColors(colors, colorBlock, pendingMirror, 0);
         }
 
-        // Sectional line (polVertex-to-polCenter edge)
-        dotProd = dot(z, refNrm);
-        if (dotProd < 0.) {
+        // Mirror opposite V1 (the V2V0 edge), a line at PI/p from the x-axis
+        if (foldLine(z, refNrm)) {
             fund = false;
-            z -= 2. * dotProd * refNrm;
             n ++;
             col1++;
             b++;
             c++;
+            if (doTile) composeReflection(tileNum, tileDen, tileFlip, lineNum, lineDen);
+            if (doColors) foldColors(colors, colorBlock, pendingMirror, 1);
         }
 
-        // Edge bisector (polCenter-to-polEdgeCenter edge)
-        if (z.y < 0.) {
+        // Mirror opposite V2 (the V0V1 edge), the x-axis
+        if (foldLine(z, CMP_I)) {
             fund = false;
-            z.y *= -1.;
             n ++;
             pol_col++;
             col2++;
             b++;
+            if (doTile) composeReflection(tileNum, tileDen, tileFlip, vec4(1., 0., 0., 0.), lineDen);
+            if (doColors) foldColors(colors, colorBlock, pendingMirror, 2);
         }
         
         if (fund) break; // We are in the fundamental domain; no need to keep going
@@ -331,9 +778,9 @@ vec3 tilingSample(vec2 pt) {
   
     // Distance to the tile edge
     float brt = 1.;
-    float distToEdgeCircle01 = distance(z, newThickEdge01CircleCenter) - newThickEdge01CircleRadius;
-    float distToEdgeCircle12 = distance(z, newThickEdge12CircleCenter) - newThickEdge12CircleRadius;
-    float distToEdgeCircle20 = distance(z, newThickEdge20CircleCenter) - newThickEdge20CircleRadius;
+    float distToEdgeCircle01 = thickEdgeDist(z, newThickEdge01CircleCenter, newThickEdge01CircleRadius);
+    float distToEdgeCircle12 = thickEdgeDist(z, newThickEdge12CircleCenter, newThickEdge12CircleRadius);
+    float distToEdgeCircle20 = thickEdgeDist(z, newThickEdge20CircleCenter, newThickEdge20CircleRadius);
 
     float distToTriV0 = distance(z, triV0EnlargedCircleCenter) - triV0EnlargedCircleRadius;
     float distToTriV1 = distance(z, triV1EnlargedCircleCenter) - triV1EnlargedCircleRadius;
@@ -341,6 +788,15 @@ vec3 tilingSample(vec2 pt) {
     float distToV0 = distance(z, V0EnlargedCircleCenter) - V0EnlargedCircleRadius;
     float distToV2 = distance(z, V2EnlargedCircleCenter) - V2EnlargedCircleRadius;
 
+    // Uniform tilings take the place of the edges, vertices and polygons
+    if (wythoffMode > 0) {
+        int part = wythoffPart(z, mod(n, 2.) == 1.);
+        if (part == VERTEX_PART) return vertCol;
+        if (part == EDGE_PART) return edgeCol;
+        if (doParity) brt = min(brt, mix(1., mod(n, 2.), PARITY_COEFF));
+        return brt * wythoffColor(part);
+    }
+
     if (doOrns) {
         if (isInsideTriangle(z, V0, D, E)) {
             if (!doInvVerts){
@@ -448,6 +904,29 @@ vec3 tilingSample(vec2 pt) {
     if (doParity)
         brt = min(brt, mix(1., mod(n, 2.), PARITY_COEFF));
 
+#ifdef PATTERN_PLUGIN
+    return brt * pattern(z, vec3(col0, col1, col2));
+#endif
+
+    if (doTexture)
+        return brt * textureColor(z, n);
+
+    // The center of the polygon is the image of V0, the origin
+    if (doCafeWall) 
+        return brt * cafeWallColor(tileNum.zw, tileDen.zw);
+
+    if (doOuchi) 
+        return brt * ouchiColor(z);
+
+    // A reflection left over is followed by s2, which keeps the polygon in place
+    if (coloringMode == 1) {
+        if (pendingMirror >= 0) foldColors(colors, colorBlock, pendingMirror, 2);
+        int color = colors[tableEntry(9, colorBlock)];
+        return brt * tileColors[color];
+    }
+    if (coloringMode == 2)
+        return brt * tileColors[randomColor(tileNum.zw, tileDen.zw)];
+
     if (doInvPol) {
         if (mod(pol_col, 2.) == 1.) {
             return polygonCol;
@@ -463,18 +942,25 @@ vec3 tilingSample(vec2 pt) {
         // parity from reflections (illusion enhancement)
         float oddN = mod(n, 2.0);
 
+        // Neighboring polygons can only turn opposite ways when q and r are
+        // even, and neighboring vertices when p and r are even. Otherwise 
+        // the reflection counts don't alternate consistently, and all of them
+        // turn the same way.
+        bool foreUniform = doForeRev || mod(qValue, 2.) == 1. || mod(rValue, 2.) == 1.;
+        bool backUniform = doBackRev || mod(pValue, 2.) == 1. || mod(rValue, 2.) == 1.;
+
         // --- center selection ---
         if (r <= R0) {
             if (length(z) <= centerCutoff*R0) return vec3(0.0);
             // Snake centered at V0
-            return brt * rotatingSnakeColor(z, R0, doForeRev ? oddN : mod(b, 2.0), nRepeatPerSectV0, PI/pValue, true);
+            return brt * rotatingSnakeColor(z, R0, foreUniform ? oddN : mod(b, 2.0), nRepeatPerSectV0, PI/pValue, true);
         } else {
             // Outside → re-center snake at V2
             vec2 z_shifted = shift(z, V2);
             vec2 V1_shifted = shift(V1, V2);
             float R2 = length(V1_shifted);
             if (length(z_shifted) <= centerCutoff*R2) return vec3(0.0);
-            return brt * rotatingSnakeColor(z_shifted, R2, doBackRev ? oddN : mod(c, 2.0), nRepeatPerSectV2, PI/qValue, false);
+            return brt * rotatingSnakeColor(z_shifted, R2, backUniform ? oddN : mod(c, 2.0), nRepeatPerSectV2, PI/qValue, false);
         }
     }
 
@@ -492,11 +978,17 @@ vec3 tilingSample(vec2 pt) {
 Antialiasing and output.
 */
 
+vec4 pixelSample(vec2 pt) {
+    // Samples the tiling, leaving the background transparent if needed
+    if (transparentBg && isBackground(pt)) return vec4(0.);
+    return vec4(tilingSample(pt), 1.);
+}
+
 void main(void) {
-    vec2 pt = gl_FragCoord.xy;
+    vec2 pt = gl_FragCoord.xy + tileOffset;
 
     // Antialiasing
-    vec3 color;
+    vec4 color = vec4(0.);
     if (nSamples > 1) {
         vec2 diff;
         for (int i = 0; i < nSamples; i ++) {
@@ -504,13 +996,14 @@ void main(void) {
                 diff = vec2(
                     float(i) * invSamples - .5, 
                     float(j) * invSamples - .5);
-                color += tilingSample(pt + diff);
+                color += pixelSample(pt + diff);
             }
         }
         color *= invSamples * invSamples;
     } else {
-        color = tilingSample(pt);
+        color = pixelSample(pt);
     }
 
-    outputCol = vec4(color, 1.);
+    // Undo the premultiplication by the coverage of the samples
+    outputCol = vec4(color.rgb / max(color.a, 1e-6), color.a);
 }
\ No newline at end of file
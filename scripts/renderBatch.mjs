@@ -0,0 +1,279 @@
+/**
+ * This is the batch renderer. It reads parameter sets or a sweep spec from a
+ * JSON or YAML file, renders each tiling on the CPU and writes PNG images with
+ * systematic names, along with a manifest of what was rendered.
+ * Usage: npm run render -- <spec.json|spec.yaml> [--out <directory>] [--dry-run]
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import yaml from 'js-yaml';
+
+import { renderTilingCpu } from '../src/cpuRenderer.js';
+import { encodePng } from '../src/png.js';
+import { colorParams, defaultPalette, isColor } from '../src/colors.js';
+import { defaultParams, applyTiling, isSnakeOrder } from '../src/params.js';
+import { maxColors } from '../src/colorings.js';
+import { wythoffOps, isWythoffWeights } from '../src/wythoff.js';
+import { models } from '../src/models.js';
+import { defaultTemplate, formatFileName } from '../src/fileNames.js';
+
+// Default image size, as in the export menu
+const defaultSize = 2000;
+
+// Short names of parameters in specs
+const aliases = { p: "pValue", q: "qValue", r: "rValue", thickness: "eThickness" };
+
+// Parameters that can't be written in specs, as they are computed or only
+// apply to the screen
+const computedParams = ["view", "curvature", "invCen", "invRad", "refNrm", "renderScale"];
+
+/*
+Reading specs.
+*/
+
+// Reads a JSON or YAML file, depending on its extension
+const readSpec = (file) => {
+    let text = fs.readFileSync(file, "utf8");
+    return /\.ya?ml$/i.test(file) ? yaml.safeLoad(text) : JSON.parse(text);
+}
+
+// Colors are written as "#rrggbb", or as indices into the default palette 
+// under the older names such as "polygonColIdx"
+const normalizeColor = (value, key) => {
+    let color = Number.isInteger(value) ? defaultPalette[value] : value;
+    if (!isColor(color)) {
+        throw new Error(`Invalid color ${JSON.stringify(value)} for "${key}"`);
+    }
+    return color.toLowerCase();
+}
+
+// Orders of the snakes' colors are strings such as "0123", which need quotes
+// in YAML so as not to be read as numbers
+const normalizeSnakeOrder = (value, key) => {
+    if (!isSnakeOrder(value)) {
+        throw new Error(`Invalid order ${JSON.stringify(value)} for "${key}", which should be a string of four digits from 0 to 3`);
+    }
+    return value;
+}
+
+// Colors of the polygons of colorings are lists of colors, which fill in the
+// first colors and keep the defaults of the others
+const normalizeTileColors = (value, key) => {
+    if (!Array.isArray(value) || value.length === 0 || value.length > maxColors) {
+        throw new Error(`Invalid colors ${JSON.stringify(value)} for "${key}", which should be a list of 1 to ${maxColors} colors`);
+    }
+    let colors = value.map(val => normalizeColor(val, key));
+    return [...colors, ...defaultParams.tileColors.slice(colors.length)];
+}
+
+// Models are given by their indices in the registry of models
+const normalizeModelIdx = (value, key) => {
+    if (!Number.isInteger(value) || !models[value]) {
+        throw new Error(`Invalid model ${JSON.stringify(value)} for "${key}", which should be a whole number from 0 to ${models.length - 1}`);
+    }
+    return value;
+}
+
+// Uniform tilings are given by the ids of their operators, or "" for none
+const normalizeWythoffOp = (value, key) => {
+    if (value !== "" && !wythoffOps.some(op => op.id === value)) {
+        throw new Error(`Invalid operator ${JSON.stringify(value)} for "${key}", which should be "" or one of ` +
+            wythoffOps.map(op => `"${op.id}"`).join(", "));
+    }
+    return value;
+}
+
+// Weights of the custom point are three numbers, which only matter up to a
+// common factor and are scaled so that the largest is 1
+const normalizeWythoffWeights = (value, key) => {
+    let largest = Array.isArray(value) ? Math.max(...value) : NaN;
+    let weights = Array.isArray(value) ? value.map(w => w / largest) : value;
+    if (!isWythoffWeights(weights)) {
+        throw new Error(`Invalid weights ${JSON.stringify(value)} for "${key}", which should be three numbers at least 0, not all 0`);
+    }
+    return weights;
+}
+
+// Renames the short parameter names and checks that all of them exist
+const normalizeSet = (set, where) => {
+    let normalized = {};
+    for (let [key, value] of Object.entries(set ?? {})) {
+        let name = aliases[key] ?? key.replace(/ColIdx$/, "Col");
+        if (!(name in defaultParams) || computedParams.includes(name)) {
+            throw new Error(`Unknown parameter "${key}" in ${where}`);
+        }
+        // Pattern plugins are GLSL, which only the app can run, and images are
+        // only kept in the browser
+        if (name === "patternId" || name === "patternValues") {
+            throw new Error(`Pattern plugins can't be rendered from the command line ("${key}" in ${where})`);
+        }
+        if (name === "doTexture" && value) {
+            throw new Error(`Images can't be tiled from the command line ("${key}" in ${where})`);
+        }
+        if (colorParams.includes(name)) {
+            value = Array.isArray(value) ? value.map(val => normalizeColor(val, key)) : normalizeColor(value, key);
+        }
+        if (name === "snakeOrder") {
+            value = Array.isArray(value) ? value.map(val => normalizeSnakeOrder(val, key)) : normalizeSnakeOrder(value, key);
+        }
+        if (name === "tileColors") {
+            // Swept lists are lists of lists
+            value = Array.isArray(value?.[0]) ? value.map(val => normalizeTileColors(val, key)) : normalizeTileColors(value, key);
+        }
+        if (name === "modelIdx") {
+            value = Array.isArray(value) ? value.map(val => normalizeModelIdx(val, key)) : normalizeModelIdx(value, key);
+        }
+        if (name === "wythoffOp") {
+            value = Array.isArray(value) ? value.map(val => normalizeWythoffOp(val, key)) : normalizeWythoffOp(value, key);
+        }
+        if (name === "wythoffWeights") {
+            value = Array.isArray(value?.[0]) ? value.map(val => normalizeWythoffWeights(val, key)) :
+                normalizeWythoffWeights(value, key);
+        }
+        normalized[name] = value;
+    }
+    return normalized;
+}
+
+// This function takes in the values of a swept parameter, either as a list,
+// a range such as "3..8", or an object { from, to, step }, and returns the
+// list of values
+const sweepValues = (values, key) => {
+    if (Array.isArray(values)) {
+        return values;
+    }
+    let range = values;
+    if (typeof values === "string") {
+        let match = values.match(/^\s*(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)\s*$/);
+        if (!match) {
+            throw new Error(`Invalid range "${values}" for "${key}"`);
+        }
+        range = { from: Number(match[1]), to: Number(match[2]) };
+    }
+
+    let { from, to, step = 1 } = range ?? {};
+    if (![from, to, step].every(Number.isFinite) || step <= 0 || to < from) {
+        throw new Error(`Invalid sweep for "${key}"`);
+    }
+    let count = Math.round((to - from) / step) + 1;
+    return Array.from({ length: count }, (_, i) => Math.round((from + i * step) * 1e10) / 1e10);
+}
+
+// This function takes in a spec, either a list of parameter sets or an object
+// with the image settings, the parameters shared by all images ("params"),
+// a list of parameter sets ("sets") and swept parameters ("sweep"), and
+// returns the image settings and the list of parameter sets to render. Every
+// set is combined with every combination of the swept values.
+const expandSpec = (spec) => {
+    if (Array.isArray(spec)) {
+        spec = { sets: spec };
+    }
+    if (typeof spec !== "object" || spec === null) {
+        throw new Error("The spec should be a list of parameter sets or an object");
+    }
+
+    let base = normalizeSet(spec.params, "params");
+    let sets = (spec.sets ?? [{}]).map((set, i) => normalizeSet(set, `set ${i + 1}`));
+
+    // Cartesian product of the swept values
+    let sweep = normalizeSet(spec.sweep, "sweep");
+    for (let [name, values] of Object.entries(sweep)) {
+        let list = sweepValues(values, name);
+        sets = sets.flatMap(set => list.map(value => ({ ...set, [name]: value })));
+    }
+
+    return {
+        width: spec.width ?? defaultSize,
+        height: spec.height ?? defaultSize,
+        nSamples: spec.nSamples,
+        template: spec.template ?? defaultTemplate,
+        sets: sets.map(set => ({ ...base, ...set }))
+    };
+}
+
+/*
+Main program.
+*/
+
+const main = () => {
+    let { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            out: { type: "string", short: "o", default: "renders" },
+            "dry-run": { type: "boolean", default: false }
+        }
+    });
+    if (positionals.length !== 1) {
+        console.error("Usage: npm run render -- <spec.json|spec.yaml> [--out <directory>] [--dry-run]");
+        process.exit(2);
+    }
+
+    let specFile = positionals[0];
+    let { width, height, nSamples, template, sets } = expandSpec(readSpec(specFile));
+
+    // Compute the tilings and their file names, numbering repeated names.
+    // Sets that can't be drawn are reported and left out.
+    let names = new Set();
+    let failed = 0;
+    let jobs = sets.flatMap((set, i) => {
+        // Models are drawn at their own zoom unless the set gives one
+        let merged = { ...defaultParams, ...set };
+        let { pValue, qValue, rValue, eThickness } = merged;
+        let { params, warning, error } = applyTiling({ ...merged, zoom: set.zoom ?? models[merged.modelIdx].zoom },
+            pValue, qValue, rValue, eThickness);
+        if (error) {
+            console.error(`Set ${i + 1}: ${error.message}`);
+            failed ++;
+            return [];
+        }
+        if (warning) {
+            console.warn(`Set ${i + 1}: ${warning}`);
+        }
+
+        let fileName = formatFileName(template, params, width, height);
+        for (let i = 2; names.has(fileName); i ++) {
+            fileName = formatFileName(`${template}_${i}`, params, width, height);
+        }
+        names.add(fileName);
+        return [{ set, params, fileName }];
+    });
+
+    if (values["dry-run"]) {
+        jobs.forEach(({ fileName }) => console.log(fileName));
+        process.exitCode = failed ? 1 : 0;
+        return;
+    }
+
+    // Render the images
+    fs.mkdirSync(values.out, { recursive: true });
+    let images = [];
+    jobs.forEach(({ set, params, fileName }, i) => {
+        let start = Date.now();
+        let samples = nSamples ?? params.nSamples;
+        let data = renderTilingCpu(params, width, height, { nSamples: samples });
+        fs.writeFileSync(path.join(values.out, fileName), encodePng(data, width, height));
+        console.log(`[${i + 1}/${jobs.length}] ${fileName} (${((Date.now() - start) / 1000).toFixed(1)} s)`);
+
+        images.push({ file: fileName, params: set, modelIdx: params.modelIdx, curvature: params.curvature, 
+            eThickness: params.eThickness, nSamples: samples });
+    });
+
+    // The manifest lists the images with the parameters they were made from
+    let manifest = { spec: path.basename(specFile), width, height, template, images };
+    fs.writeFileSync(path.join(values.out, "manifest.json"), JSON.stringify(manifest, null, 2) + "\n");
+    console.log(`Wrote ${images.length} images and manifest.json to ${values.out}`);
+    if (failed) {
+        process.exitCode = 1;
+    }
+}
+
+try {
+    main();
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
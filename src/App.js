@@ -7,41 +7,64 @@
 
 import './App.css';
 
-import { useRef, useState, useEffect, useCallback, createContext } from 'react';
-import { WebGLRenderer, Scene, OrthographicCamera, Vector2, Vector3, 
-         ShaderMaterial, PlaneGeometry, GLSL3, Mesh } from 'three';
+import { useRef, useState, useEffect, useCallback, useSyncExternalStore, createContext } from 'react';
+import { WebGLRenderer, Scene, OrthographicCamera, Vector2, Vector3, Vector4,
+         ShaderMaterial, PlaneGeometry, GLSL3, Mesh, Texture, DataTexture, RedIntegerFormat,
+         UnsignedByteType } from 'three';
+import { message } from 'antd';
 
-import ScreenError from './menus/ScreenError/ScreenError.js';
 import TopbarMenu from './menus/TopbarMenu/TopbarMenu.js';
 import HelpMenu from './menus/HelpMenu/HelpMenu.js';
 import SettingsMenu from './menus/SettingsMenu/SettingsMenu.js';
-import { colors } from './menus/SettingsMenu/colorpicker/ColorPicker.js';
-import { Complex, generateTilingParams, modelMaps } from './math.js'; 
+import ExportMenu from './menus/ExportMenu/ExportMenu.js';
+import ViewControls from './menus/ViewControls/ViewControls.js';
+import ShaderErrors from './menus/ShaderErrors/ShaderErrors.js';
+import { colorParams, hexToRgb } from './colors.js';
+import { defaultParams, mobileParams, minZoom, maxZoom, applyTiling } from './params.js';
+import { encodeLink, decodeLink, applyValues } from './shareLinks.js';
+import { useParamHistory } from './history.js';
+import { isMobileDevice } from './screen.js';
+import { findPattern, getUserPatterns, subscribePatterns, injectPattern, patternUniforms, readShaderErrors } from './patterns.js';
+import { getTexture, subscribeTexture } from './textures.js';
+import { maxColors, maxPoints, colorTableRows, selectedColoring, coloringUniforms } from './colorings.js';
+import { selectedWythoff, wythoffUniforms } from './wythoff.js';
+import { models, modelFrame, modelToDisk, isOutsideModel, injectModels } from './models.js';
+import { Complex, composeMobius, geodesicTranslation, 
+         directedTranslation, normalizeIsometry, isIsometry, rotationMobius, versor, motionIsometry, 
+         motionTypes, MOBIUS_ID } from './math.js'; 
+import { renderTiled, downloadCanvas, downloadSvg } from './export.js';
+import { buildTilingSvg } from './svgExport.js';
 
 // Assorted constants
 const timeFactor = 2e-4;
-const minWidth = 768;
+const wheelZoomFactor = 1e-3;
+const zoomStep = 1.25;
+const keyStep = 0.1;
+const keyAngle = Math.PI / 36;
+const fineKeyFactor = 0.2;
+const copiedNoticeTime = 1500;
 const ZERO = new Complex(0, 0);
 
-// Lists of parameters to share and copy
-const sharedParams = ["modelIdx", "doEdges", "doVerts", "doParity",  "doSolidColor", "pValue", "qValue", 
-                        "eThickness", "doInvPol", "doInvVerts", "doOrns", 
-                        "doSnake", "expRatioRings", "ringLayerNum", "centerCutoff", "nRepeatPerSectV0", "nRepeatPerSectV2", "doForeRev", "doBackRev",
-                        "doV0V1", "doV1V2", "doV2V0",
-                        "polygonColIdx", "invPolygonColIdx", "edgeColIdx", "vertColIdx", "invVertColIdx", "bgColIdx",
-                        "preciseEdges", "V0", "V1", "V2", "D", "E", "D1", "E1", "D1p", "E1p", "D2", "E2",
-                        "triV0EnlargedCircleCenter", "triV0EnlargedCircleRadius",
-                        "triV1EnlargedCircleCenter", "triV1EnlargedCircleRadius",
-                        "triV2EnlargedCircleCenter", "triV2EnlargedCircleRadius",
-                        "V0EnlargedCircleCenter", "V0EnlargedCircleRadius",
-                        "V2EnlargedCircleCenter", "V2EnlargedCircleRadius",
-                        "C2RotSnakesCenter", "C2RotSnakesRadius",
-                        "newThickEdge12CircleCenter", "newThickEdge12CircleRadius",
-                        "newThickEdge20CircleCenter", "newThickEdge20CircleRadius",
-                        "newThickEdge01CircleCenter", "newThickEdge01CircleRadius"];
-const uniformNames = ["doEdges", "doVerts", "doParity", "doSolidColor", "modelIdx", "nIterations", "invRad", "nSamples", 
-                        "eThickness", "doInvPol", "doInvVerts", "doOrns", "pValue", "qValue",
+// Clamps the zoom factor to a sensible range
+const clampZoom = (zoom) => Math.min(Math.max(zoom, minZoom), maxZoom);
+
+// Texture of the table of colors of symmetric colorings, one byte per entry,
+// read by the shader as integers
+const colorTableTexture = () => {
+    let texture = new DataTexture(new Uint8Array(colorTableRows * maxPoints), maxPoints, colorTableRows,
+        RedIntegerFormat, UnsignedByteType);
+    texture.internalFormat = "R8UI";
+    return texture;
+}
+
+// List of parameters to copy to the shader
+const uniformNames = ["curvature", "zoom", "doEdges", "doVerts", "doParity", "doSolidColor", "modelIdx", "nIterations", "invRad", "nSamples", 
+                        "eThickness", "doInvPol", "doInvVerts", "doOrns", "pValue", "qValue", "rValue",
                         "doSnake", "expRatioRings", "ringLayerNum", "centerCutoff", "nRepeatPerSectV0", "nRepeatPerSectV2", "doForeRev", "doBackRev",
+                        "snakeAspect", "snakeProfile", "snakeRingPhase", "snakeBgPhase",
+                        "doCafeWall", "cafeRings", "cafeAngle", "cafeRowHeight", "cafeBrickLength", "cafeShift",
+                        "doOuchi", "ouchiChecker", "ouchiFrequency", "ouchiDuty", "ouchiRadius",
+                        "textureMode", "textureMirror",
                         "doV0V1", "doV1V2", "doV2V0",
                         "preciseEdges", "V0", "V1", "V2", "D", "E", "D1", "E1", "D1p", "E1p", "D2", "E2",
                         "triV0EnlargedCircleCenter", "triV0EnlargedCircleRadius",
@@ -55,57 +78,21 @@ const uniformNames = ["doEdges", "doVerts", "doParity", "doSolidColor", "modelId
                         "newThickEdge01CircleCenter", "newThickEdge01CircleRadius"];
 
 const ParamContext = createContext();
+const HistoryContext = createContext();
 
 function App() {
-    // Parameters
-    const [params, setParams] = useState({
-        pValue: 4,
-        qValue: 5,
-        eThickness: 0.015,          // 👈 new line
-
-        modelIdx: 0,
-
-        doVerts: false,
-        doInvVerts: false, 
-        doOrns: false,
-
-        preciseEdges: true,         // 👈 new line
-        doV0V1: true,
-        doV1V2: true,
-        doV2V0: false,
-        doEdges: true,
-
-        doInvPol: false,
-        doParity: false,
-        doSolidColor: true,
-        doSnake: false,
-
-        doForeRev: false,
-        doBackRev: false,
-        expRatioRings: 0.115,
-        ringLayerNum: 30,
-        centerCutoff: 0.05,
-        nRepeatPerSectV0: 2,
-        nRepeatPerSectV2: 2,
-
-        polygonColIdx: 0,
-        invPolygonColIdx: 8,
-        edgeColIdx: 2,
-        vertColIdx: 3,
-        invVertColIdx: 9,
-        bgColIdx: 2,
-        
-        nIterations: 50,
-        nSamples: 5,
-        
-        invCen: ZERO,
-        invRad: 0,
-        refNrm: ZERO
-    });
+    // Parameters, with their undo history, starting with cheaper rendering
+    // on phones and tablets
+    const [params, setParams, history] = useParamHistory(
+        isMobileDevice() ? { ...defaultParams, ...mobileParams } : defaultParams);
+
+    // Messages shown over the tiling
+    const [messageApi, messageHolder] = message.useMessage();
 
     // Menus
     const [helpOpen, setHelpOpen] = useState(false);
     const [settingsOpen, setSettingsOpen] = useState(false);
+    const [exportOpen, setExportOpen] = useState(false);
 
     // Elements
     const parentRef = useRef(null);
@@ -115,21 +102,41 @@ function App() {
     const rendererRef = useRef(null);
     const sceneRef = useRef(null);
     const cameraRef = useRef(null);
+    const meshRef = useRef(null);
     const [fragmentShader, setShader] = useState(null);
 
+    // Pattern plugin, which is left out of the shader once it fails to 
+    // compile, and the plugin in the shader being compiled
+    useSyncExternalStore(subscribePatterns, getUserPatterns);
+    const pattern = findPattern(params.patternId) ?? null;
+    const [shaderError, setShaderError] = useState(null);
+    const activePattern = shaderError?.pattern === pattern ? null : pattern;
+    const compiledPattern = useRef(null);
+
+    // Image tiled into the triangles, which is only shown once loaded
+    const texture = useSyncExternalStore(subscribeTexture, getTexture);
+    const [textureLoaded, setTextureLoaded] = useState(false);
+
     const uniformsRef = useRef({        
         pValue: {value: 0},
         qValue: {value: 0},
+        rValue: {value: 0},
         resolution: {value: new Vector2()},
+        tileOffset: {value: new Vector2()},
+        transparentBg: {value: false},
         refNrm: {value: new Vector2()},
-        mousePos: {value: new Vector2(0, 0)},
-        offset: {value: new Vector2(0, 0)},      // 👈 new line
-        virtMouse: {value: new Vector2(0, 0)},      // 👈 new line
+        curvature: {value: -1},
+        viewNum: {value: new Vector4(1, 0, 0, 0)},
+        viewDen: {value: new Vector4(0, 0, 1, 0)},
+        zoom: {value: 1},
+        motionNum: {value: new Vector4(1, 0, 0, 0)},
+        motionDen: {value: new Vector4(0, 0, 1, 0)},
         invCen: {value: new Vector2()},
         time: {value: 0},
         scale: {value: 0},
         invRad: {value: 0},
         modelIdx: {value: 0},
+        modelFrame: {value: new Vector2(1, 0)},
         nIterations: {value: 0},
         invSamples: {value: 1},
         nSamples: {value: 1},
@@ -149,6 +156,44 @@ function App() {
         centerCutoff: {value: 0.05},
         nRepeatPerSectV0: {value: 2.0},
         nRepeatPerSectV2: {value: 2.0},
+        snakeOrder: {value: new Vector4(0, 1, 2, 3)},
+        snakeAspect: {value: 1.25},
+        snakeProfile: {value: 0.667},
+        snakeRingPhase: {value: 0.125},
+        snakeBgPhase: {value: 0.535},
+
+        doCafeWall: {value: false},
+        cafeRings: {value: false},
+        cafeAngle: {value: 0},
+        cafeRowHeight: {value: 1},
+        cafeBrickLength: {value: 1},
+        cafeShift: {value: 0.25},
+
+        doOuchi: {value: false},
+        ouchiChecker: {value: false},
+        ouchiFrequency: {value: 6},
+        ouchiDuty: {value: 0.5},
+        ouchiRadius: {value: 0.6},
+
+        doTexture: {value: false},
+        tileTexture: {value: null},
+        textureMode: {value: 0},
+        textureMirror: {value: true},
+
+        coloringMode: {value: 0},
+        colorCount: {value: 1},
+        colorTable: {value: colorTableTexture()},
+        tileColors: {value: new Float32Array(3 * maxColors)},
+        coloringSeed: {value: 0},
+
+        wythoffMode: {value: 0},
+        wythoffPoint: {value: new Vector2()},
+        wythoffEdges: {value: [0, 0, 0]},
+        wythoffMirrored: {value: new Float32Array(6)},
+        wythoffFeet: {value: new Float32Array(6)},
+        wythoffTurned: {value: new Float32Array(12)},
+        wythoffEdgeWidth: {value: 0},
+        wythoffVertexRadius: {value: 0},
 
         doV0V1: {value: false},
         doV1V2: {value: false},
@@ -160,47 +205,65 @@ function App() {
         vertCol: {value: new Vector3()},
         invVertCol: {value: new Vector3()},
         bgCol: {value: new Vector3()},
-
-        eThickness: {value: 0.045},   // 👈 new line
-
-        preciseEdges: {value: true},  // 👈 new line
-        V0: {value: new Vector2()},     // 👈 new line
-        V1: {value: new Vector2()},     // 👈 new line
-        V2: {value: new Vector2()},      // 👈 new line
-        D: {value: new Vector2()},     // 👈 new line
-        E: {value: new Vector2()},     // 👈 new line
-        D1: {value: new Vector2()},     // 👈 new line
-        E1: {value: new Vector2()},     // 👈 new line
-        D1p: {value: new Vector2()},     // 👈 new line
-        E1p: {value: new Vector2()},     // 👈 new line
-        D2: {value: new Vector2()},     // 👈 new line
-        E2: {value: new Vector2()},     // 👈 new line
-
-        triV0EnlargedCircleCenter: {value: new Vector2()},  // 👈 new line
-        triV0EnlargedCircleRadius: {value: 0},               // 👈 new line
-        triV1EnlargedCircleCenter: {value: new Vector2()},  // 👈 new line
-        triV1EnlargedCircleRadius: {value: 0},               // 👈 new line
-        triV2EnlargedCircleCenter: {value: new Vector2()},  // 👈 new line
-        triV2EnlargedCircleRadius: {value: 0},               // 👈 new line
-        V0EnlargedCircleCenter: {value: new Vector2()},  // 👈 new line
+        snakeCol0: {value: new Vector3()},
+        snakeCol1: {value: new Vector3()},
+        snakeCol2: {value: new Vector3()},
+        snakeCol3: {value: new Vector3()},
+        wythoffCol0: {value: new Vector3()},
+        wythoffCol1: {value: new Vector3()},
+        wythoffCol2: {value: new Vector3()},
+        wythoffCol3: {value: new Vector3()},
+
+        eThickness: {value: 0.045},
+
+        preciseEdges: {value: true},
+        V0: {value: new Vector2()},
+        V1: {value: new Vector2()},
+        V2: {value: new Vector2()},
+        D: {value: new Vector2()},
+        E: {value: new Vector2()},
+        D1: {value: new Vector2()},
+        E1: {value: new Vector2()},
+        D1p: {value: new Vector2()},
+        E1p: {value: new Vector2()},
+        D2: {value: new Vector2()},
+        E2: {value: new Vector2()},
+
+        triV0EnlargedCircleCenter: {value: new Vector2()},
+        triV0EnlargedCircleRadius: {value: 0},
+        triV1EnlargedCircleCenter: {value: new Vector2()},
+        triV1EnlargedCircleRadius: {value: 0},
+        triV2EnlargedCircleCenter: {value: new Vector2()},
+        triV2EnlargedCircleRadius: {value: 0},
+        V0EnlargedCircleCenter: {value: new Vector2()},
         V0EnlargedCircleRadius: {value: 0}, 
-        V2EnlargedCircleCenter: {value: new Vector2()},  // 👈 new line
-        V2EnlargedCircleRadius: {value: 0},               // 👈 new line
-        C2RotSnakesCenter: {value: new Vector2()},  // 👈 new line
-        C2RotSnakesRadius: {value: 0},               // 👈 new line
-        newThickEdge01CircleCenter: {value: new Vector2()},  // 👈 new line
-        newThickEdge01CircleRadius: {value: 0},               // 👈 new line
-        newThickEdge12CircleCenter: {value: new Vector2()},  // 👈 new line
-        newThickEdge12CircleRadius: {value: 0},               // 👈 new line
-        newThickEdge20CircleCenter: {value: new Vector2()},  // 👈 new line
-        newThickEdge20CircleRadius: {value: 0}               // 👈 new line
+        V2EnlargedCircleCenter: {value: new Vector2()},
+        V2EnlargedCircleRadius: {value: 0},
+        C2RotSnakesCenter: {value: new Vector2()},
+        C2RotSnakesRadius: {value: 0},
+        newThickEdge01CircleCenter: {value: new Vector2()},
+        newThickEdge01CircleRadius: {value: 0},
+        newThickEdge12CircleCenter: {value: new Vector2()},
+        newThickEdge12CircleRadius: {value: 0},
+        newThickEdge20CircleCenter: {value: new Vector2()},
+        newThickEdge20CircleRadius: {value: 0}
     });
     
     // Window size and mouse things
-    const isMobile = useRef(false);
+    const renderScale = useRef(1);
     const [size, setSize] = useState(ZERO);
     const [scale, setScale] = useState(0);
     const [isDragging, setDragging] = useState(false);
+
+    // View, the isometry mapping the screen's model onto the tiling, as 
+    // currently displayed, and the kind and last position of the ongoing drag
+    const viewRef = useRef(MOBIUS_ID);
+    const dragMode = useRef(null);
+    const dragPos = useRef(null);
+
+    // Animated motion, and how far it has gone (an angle or a distance)
+    const motionRef = useRef(null);
+    const motionPhase = useRef(0);
     
     // Animation frame things
     const prevTime = useRef(0);
@@ -211,6 +274,13 @@ function App() {
     Utility functions.
     */
 
+    // Builds the material of the plane from the source of the shader
+    const shaderMaterial = (source) => new ShaderMaterial({
+        fragmentShader: source, 
+        uniforms: uniformsRef.current,
+        glslVersion: GLSL3
+    });
+
     // Sets a uniform's value 
     const setUniform = (name, val) => { uniformsRef.current[name].value = val; }
 
@@ -220,45 +290,65 @@ function App() {
     // Sets a 3D vector uniform's value
     const setVector3Uniform = (name, x, y, z) => { uniformsRef.current[name].value.set(x, y, z); }
 
-    /*
-    Saving the canvas to an image.
-    */
-   
-    const downloadTiling = useCallback(() => {
-        let dataUrl = canvasRef.current.toDataURL();
-        let link = document.createElement("a");
+    // Sets the numerator and denominator uniforms of a Mobius transformation
+    const setMobiusUniforms = (name, MMap) => { 
+        uniformsRef.current[name + "Num"].value.set(MMap.a.x, MMap.a.y, MMap.b.x, MMap.b.y);
+        uniformsRef.current[name + "Den"].value.set(MMap.c.x, MMap.c.y, MMap.d.x, MMap.d.y);
+    }
 
-        link.setAttribute("download", "tiling.png");
-        link.setAttribute("href", dataUrl);
-        link.click();
-    }, [canvasRef]);
+    // Sets the view and its uniforms
+    const setView = (view) => {
+        viewRef.current = view;
+        uniformsRef.current.viewNum.value.set(view.a.x, view.a.y, view.b.x, view.b.y);
+        uniformsRef.current.viewDen.value.set(view.c.x, view.c.y, view.d.x, view.d.y);
+    }
 
     /*
     Loading and saving tilings by URL.
     */
 
+    const [linkCopied, setLinkCopied] = useState(false);
     const copyShareableLink = useCallback(() => {
-        // Copy a shareable link to the clipboard
-        let dat = {};
-        for (let param of sharedParams) {
-            dat[param] = params[param];
-        }
-        navigator.clipboard.writeText(window.location.origin + window.location.pathname + "#" + btoa(JSON.stringify(dat)));   
-    }, [params]);
+        // Copy a shareable link to the clipboard, and say so for a moment
+        navigator.clipboard.writeText(window.location.origin + window.location.pathname + "#" + encodeLink(params))
+            .then(() => { setLinkCopied(true); })
+            .catch((error) => { messageApi.error("Couldn't copy the link: " + error.message); });
+    }, [params, messageApi]);
+
+    useEffect(() => {
+        if (!linkCopied) return;
+        let timeout = setTimeout(() => { setLinkCopied(false); }, copiedNoticeTime);
+        return () => { clearTimeout(timeout); };
+    }, [linkCopied]);
 
     const loadLinkIfAny = useCallback(() => {
         // Check if URL contains data
         let tokens = window.location.href.split("#");
-        if (tokens.length > 1) {
-            try {
-                // Extract it if possible
-                let dat = JSON.parse(atob(tokens[1]));
-                setParams(prevParams => ({...prevParams, ...dat}));
-            } catch(e) {
-                console.error("Incorrectly formatted link");
+        if (tokens.length > 1 && tokens[1]) {
+            let { values, ignored, error } = decodeLink(tokens[1]);
+            if (error) {
+                messageApi.error({ key: "link", content: error });
+                return;
             }
+            if (ignored.length) {
+                messageApi.warning({ key: "link", content: "Ignored invalid values in the link: " + ignored.join(", ") });
+            }
+
+            // Recompute the tiling of the link. The messages are keyed so
+            // that each shows once.
+            setParams(prevParams => {
+                let result = applyValues(prevParams, values);
+                if (result.error) {
+                    messageApi.error({ key: "tiling", content: result.error.message });
+                    return prevParams;
+                }
+                if (result.warning) {
+                    messageApi.warning({ key: "tiling", content: result.warning });
+                }
+                return result.params;
+            }, { record: false });
         }
-    }, []);
+    }, [setParams, messageApi]);
 
     /*
     Main animation frame.
@@ -272,6 +362,16 @@ function App() {
         }
         prevTime.current = time;
 
+        // Advance the motion, moving the sampled points backwards
+        let motion = motionRef.current;
+        if (motion && motion.type !== motionTypes.NONE) {
+            motionPhase.current += motion.speed * delta / 1000;
+            setMobiusUniforms("motion", motionIsometry(
+                motion.type, motion.center, motion.angle, -motionPhase.current, motion.curvature));
+        } else {
+            setMobiusUniforms("motion", MOBIUS_ID);
+        }
+
         // Rerender the scene every frame
         setUniform("time", timeVal.current);
         rendererRef.current.render(sceneRef.current, cameraRef.current);
@@ -282,6 +382,34 @@ function App() {
         frameRef.current = requestAnimationFrame(mainLoop);
     }, []);
 
+    /*
+    Saving the tiling to an image.
+    */
+   
+    const exportTiling = useCallback(async (settings) => {
+        // Pause the animation so that all tiles show the same moment
+        cancelAnimationFrame(frameRef.current);
+        try {
+            let canvas = await renderTiled(rendererRef.current, sceneRef.current, cameraRef.current, 
+                uniformsRef.current, settings.width, settings.height, settings);
+            await downloadCanvas(canvas, settings.fileName);
+        } catch(e) {
+            messageApi.error("Couldn't export the tiling: " + e.message);
+        } finally {
+            prevTime.current = 0;
+            frameRef.current = requestAnimationFrame(mainLoop);
+        }
+    }, [mainLoop, messageApi]);
+
+    const exportSvg = useCallback((settings) => {
+        try {
+            let svg = buildTilingSvg(params, settings.width, settings.height, settings);
+            downloadSvg(svg, settings.fileName);
+        } catch(e) {
+            messageApi.error("Couldn't export the tiling: " + e.message);
+        }
+    }, [params, messageApi]);
+
     /*
     Resize logic.
     */
@@ -294,34 +422,95 @@ function App() {
         let sizeVec = new Complex(width, height);
         let nScale = Math.min(width, height);
 
-        // Set uniforms
-        rendererRef.current.setSize(width, height);
-        setVector2Uniform("resolution", sizeVec);
-        setUniform("scale", nScale);
+        // Set uniforms, rendering a fraction of the pixels which the canvas
+        // stretches to its size on the page
+        let res = renderScale.current;
+        rendererRef.current.setSize(Math.round(width * res), Math.round(height * res), false);
+        setVector2Uniform("resolution", sizeVec.mulRe(res));
+        setUniform("scale", nScale * res);
         setScale(nScale);
         setSize(sizeVec);
     }, [rendererRef]);
 
-    const checkScreenSize = useCallback(() => {
-        if (window.innerWidth < minWidth) {
-            isMobile.current = true;
-            cancelAnimationFrame(frameRef.current);
-        } else {
-            if (isMobile.current) {
-                frameRef.current = requestAnimationFrame(mainLoop);
-            }
-            isMobile.current = false;
+    /*
+    View controls.
+    */
+
+    const rotateView = useCallback((angle) => {
+        // Rotates the view about the center of the screen while a gesture is ongoing
+        let rot = rotationMobius(versor(-angle));
+        setView(normalizeIsometry(composeMobius(viewRef.current, rot), params.curvature));
+    }, [params]);
+
+    const zoomBy = useCallback((factor) => {
+        setParams(paras => ({...paras, zoom: clampZoom(paras.zoom * factor)}));
+    }, [setParams]);
+
+    const recenterView = useCallback(() => {
+        // Moves the origin of the tiling back to the center of the screen, 
+        // keeping the rotation and zoom
+        setParams(paras => ({
+            ...paras, 
+            view: normalizeIsometry(rotationMobius(paras.view.a.div(paras.view.d).getNormalized()), paras.curvature)
+        }));
+    }, [setParams]);
+
+    const resetView = useCallback(() => {
+        setParams(paras => ({...paras, view: MOBIUS_ID, zoom: models[paras.modelIdx].zoom}));
+    }, [setParams]);
+
+    const panView = useCallback((angle, dist) => {
+        // Moves the tiling along the geodesic leaving the center of the screen
+        // in the given direction, by a distance that shrinks as the view zooms in
+        setParams(paras => ({
+            ...paras,
+            view: normalizeIsometry(composeMobius(paras.view, 
+                directedTranslation(angle, dist / paras.zoom, paras.curvature)), paras.curvature)
+        }));
+    }, [setParams]);
+
+    const turnView = useCallback((angle) => {
+        // Rotates the tiling counterclockwise about the center of the screen
+        setParams(paras => ({
+            ...paras,
+            view: normalizeIsometry(composeMobius(paras.view, rotationMobius(versor(-angle))), paras.curvature)
+        }));
+    }, [setParams]);
+
+    /*
+    Keyboard handlers.
+    */
+
+    // Move with the arrow keys, rotate with Q and E, zoom with + and -, and 
+    // recenter with C, in smaller steps while holding Shift
+    const onCanvasKeyDown = (evt) => {
+        if (evt.ctrlKey || evt.metaKey || evt.altKey) return;
+        let fine = evt.shiftKey ? fineKeyFactor : 1;
+        switch (evt.key) {
+            default:
+                return;
+            case "ArrowRight": panView(0, keyStep * fine); break;
+            case "ArrowUp": panView(Math.PI / 2, keyStep * fine); break;
+            case "ArrowLeft": panView(Math.PI, keyStep * fine); break;
+            case "ArrowDown": panView(-Math.PI / 2, keyStep * fine); break;
+            case "q": case "Q": turnView(keyAngle * fine); break;
+            case "e": case "E": turnView(-keyAngle * fine); break;
+            case "+": case "=": zoomBy(zoomStep); break;
+            case "-": case "_": zoomBy(1 / zoomStep); break;
+            case "c": case "C": recenterView(); break;
+            case "0": resetView(); break;
         }
-    }, [mainLoop]);
+        evt.preventDefault();
+    }
 
     /*
     Mouse handlers.
     */
 
-    const getMouseCoord = (evt) => {
+    const getMouseCoord = (evt, touchIdx = 0) => {
         // Get touch if event is a touchscreen
-        if (evt.touches && evt.touches.length > 0) {
-            evt = evt.touches.item(0);
+        if (evt.touches && evt.touches.length > touchIdx) {
+            evt = evt.touches.item(touchIdx);
         }
         
         // Gets the mouse position relative to the canvas
@@ -331,9 +520,47 @@ function App() {
             evt.clientY - rect.top);
     }
 
-
-    // Start dragging on click or touch
-    const onInteractionStart = () => { setDragging(true); }
+    const getScreenCoord = useCallback((evt, touchIdx = 0) => {
+        // Gets the mouse position on the screen, centered and scaled like in the shader
+        let currPos = getMouseCoord(evt, touchIdx);
+        return new Complex(
+            (2 * currPos.x - size.x) / scale,
+            (size.y - 2 * currPos.y) / scale);
+    }, [scale, size]);
+
+    const getDiskCoord = useCallback((evt) => {
+        // Remaps the mouse position from the screen's model to the disk, or
+        // to the plane of Euclidean and spherical tilings
+        let scrnPos = getScreenCoord(evt).divRe(uniformsRef.current.zoom.value);
+        let diskPos = modelToDisk(params, scrnPos);
+
+        // Discard positions outside of the model
+        if (isOutsideModel(params, scrnPos) || isNaN(diskPos.x) || isNaN(diskPos.y) || 
+            (params.curvature < 0 && diskPos.normSq() >= 1)) {
+            return null;
+        }
+        return diskPos;
+    }, [getScreenCoord, params]);
+
+    // Gets the vector between the first two touches
+    const getPinch = useCallback((evt) => getScreenCoord(evt, 1).sub(getScreenCoord(evt, 0)), [getScreenCoord]);
+
+    // Start dragging on click or touch. Pinching with two fingers zooms and
+    // rotates, dragging with Shift held rotates about the center of the 
+    // screen, and any other drag pans.
+    const onInteractionStart = (evt) => { 
+        if (evt.touches && evt.touches.length > 1) {
+            dragMode.current = "pinch";
+            dragPos.current = getPinch(evt);
+        } else if (evt.shiftKey) {
+            dragMode.current = "rotate";
+            dragPos.current = getScreenCoord(evt);
+        } else {
+            dragMode.current = "pan";
+            dragPos.current = getDiskCoord(evt);
+        }
+        setDragging(true); 
+    }
 
     const onInteractionMove = useCallback((evt) => {
         // Update the display when the mouse is moved
@@ -342,83 +569,62 @@ function App() {
             return;
         }
 
-        // Remap mouse position to screen/disk
-        let modelMap = modelMaps[params.modelIdx];
-        let currPos = getMouseCoord(evt);
-        let scrnPos = new Complex(
-            (2 * currPos.x - size.x) / scale,
-            (size.y - 2 * currPos.y) / scale);
-        let diskPos = modelMap(scrnPos);
+        if (dragMode.current === "pinch") {
+            // Zoom by the change in spread and rotate by the change in angle of the fingers
+            let pinch = getPinch(evt);
+            let change = pinch.div(dragPos.current);
+            setUniform("zoom", clampZoom(uniformsRef.current.zoom.value * change.getNorm()));
+            rotateView(Math.atan2(change.y, change.x));
+            dragPos.current = pinch;
+            return;
+        }
 
-        // Update disk position
-        if (diskPos.normSq() < 1) {
-            setVector2Uniform("mousePos", diskPos);
-        } else { 
-            endInteraction();
+        if (dragMode.current === "rotate") {
+            // Rotate by the change in angle of the cursor around the center
+            let scrnPos = getScreenCoord(evt);
+            let change = scrnPos.div(dragPos.current);
+            rotateView(Math.atan2(change.y, change.x));
+            dragPos.current = scrnPos;
+            return;
         }
-    }, [isDragging, scale, size, params]);
+
+        // Positions outside of the model pause the drag until the cursor returns
+        let diskPos = getDiskCoord(evt);
+        if (!diskPos || !dragPos.current) {
+            dragPos.current = diskPos;
+            return;
+        }
+
+        // Move the point under the cursor along with it, by composing the view
+        // with the translation from the current to the previous position
+        let step = geodesicTranslation(diskPos, dragPos.current, params.curvature);
+        let view = normalizeIsometry(composeMobius(viewRef.current, step), params.curvature);
+        if (isFinite(view.a.x) && isFinite(view.b.x)) {
+            setView(view);
+        }
+        dragPos.current = diskPos;
+    }, [isDragging, params, getDiskCoord, getScreenCoord, getPinch, rotateView]);
     
-    // Stop dragging when the user releases the mouse
-    const endInteraction = () => { setDragging(false); }
-
-
-    //////////////////////////
-    // // const dragOffset = useRef(new Complex(0, 0));
-
-    // const onInteractionStart = (evt) => {
-    //     // setVector2Uniform("offset", new Complex(0, 0));
-    //     setDragging(true);
-
-
-    //     // Calculate the offset of the mouse at the time the mouse is pressed
-    //     let modelMap = modelMaps[params.modelIdx];
-    //     let currPos = getMouseCoord(evt);
-    //     let scrnPos = new Complex(
-    //         (2 * currPos.x - size.x) / scale,
-    //         (size.y - 2 * currPos.y) / scale
-    //     );
-    //     let diskPos = modelMap(scrnPos);
-
-    //     // current center (from uniform)
-    //     let currCenter = modelMap(uniformsRef.current.mousePos.value).add(modelMap(uniformsRef.current.offset.value));
-
-    //     // store offset = center - mouse position
-    //     // dragOffset.current = new Complex(currCenter.x, currCenter.y).sub(diskPos);
-    //     let dragOffset = new Complex(currCenter.x, currCenter.y).sub(diskPos);
-    //     // setVector2Uniform("offset", dragOffset);
-    //     setVector2Uniform("offset", currCenter);
-    // };
-
-    // const onInteractionMove = useCallback((evt) => {
-    //     evt.preventDefault();
-    //     if (!isDragging) return;
-
-    //     let modelMap = modelMaps[params.modelIdx];
-    //     let currPos = getMouseCoord(evt);
-    //     let scrnPos = new Complex(
-    //         (2 * currPos.x - size.x) / scale,
-    //         (size.y - 2 * currPos.y) / scale
-    //     );
-    //     let diskPos = modelMap(scrnPos);
-
-    //     // setVector2Uniform("offset", uniformsRef.current.mousePos.value.sub(diskPos));
-
-    //     // add the offset so dragging feels smooth
-    //     let newCenter = diskPos.add(modelMap(uniformsRef.current.offset.value));
-
-    //     if (diskPos.normSq() < 1) {
-    //         setVector2Uniform("mousePos", newCenter);
-    //         // setVector2Uniform("mousePos", diskPos);
-    //     } else {
-    //         endInteraction();
-    //     }
-    // }, [isDragging, scale, size, params]);
-
-    // // Stop dragging when the user releases the mouse
-    // const endInteraction = () => { 
-    //     setDragging(false); 
-    // }
-    /////////////////////////////////////
+    // Stop dragging when the user releases the mouse, and store the view.
+    // Lifting a finger from a pinch carries on with the fingers left.
+    const endInteraction = (evt) => { 
+        if (isDragging) {
+            setParams(paras => ({
+                ...paras, 
+                view: viewRef.current, 
+                zoom: uniformsRef.current.zoom.value
+            }));
+        }
+        if (isDragging && evt.touches && evt.touches.length > 0) {
+            onInteractionStart(evt);
+            return;
+        }
+        dragPos.current = null;
+        setDragging(false); 
+    }
+
+    // Zoom in and out with the mouse wheel
+    const onWheel = (evt) => { zoomBy(Math.exp(-evt.deltaY * wheelZoomFactor)); }
 
     /*
     First useEffect: add resize listeners, prepare tiling, and load shader.
@@ -430,15 +636,24 @@ function App() {
             let newBox = entries[0].contentRect;
             setCanvasSize(newBox.width, newBox.height);
         });
-        window.addEventListener("resize", checkScreenSize);
         observer.observe(parentRef.current);
         loadLinkIfAny();
 
-        // Initialize tiling parameters
-        setParams(paras => ({
-            ...paras, 
-            ...generateTilingParams(paras.pValue, paras.qValue, paras.eThickness)
-        }));
+        // Initialize tiling parameters, as the start of the history, going
+        // back to the default tiling if the one of the link can't be drawn.
+        // The messages are keyed so that each shows once.
+        setParams(paras => {
+            let result = applyTiling(paras, paras.pValue, paras.qValue, paras.rValue, paras.eThickness);
+            if (result.error) {
+                messageApi.error({ key: "tiling", content: result.error.message });
+                return applyTiling(paras, defaultParams.pValue, defaultParams.qValue, 
+                    defaultParams.rValue, defaultParams.eThickness).params;
+            }
+            if (result.warning) {
+                messageApi.warning({ key: "tiling", content: result.warning });
+            }
+            return result.params;
+        }, { record: false });
 
         // Load shader
         fetch("shader.glsl")
@@ -447,10 +662,9 @@ function App() {
         
         // Remove event listeners
         return () => {
-            window.removeEventListener("resize", checkScreenSize);
             observer.unobserve(parentRef.current);
         }
-    }, [setCanvasSize, checkScreenSize, loadLinkIfAny]);
+    }, [setCanvasSize, loadLinkIfAny, setParams, messageApi]);
 
     /*
     Second useEffect: build shader.
@@ -458,7 +672,6 @@ function App() {
 
     const prepareThree = useCallback(() => {
         // Check if shader is loaded
-        checkScreenSize();
         if (!fragmentShader) {
             return;
         }
@@ -471,22 +684,24 @@ function App() {
         sceneRef.current = new Scene();
         cameraRef.current = new OrthographicCamera(-1, 1, 1, -1, -1, 1);
 
-        // Build shader and plane
-        let mat = new ShaderMaterial({
-            fragmentShader, 
-            uniforms: uniformsRef.current,
-            glslVersion: GLSL3
-        });
+        // Show the errors of the shader instead of failing silently, and 
+        // leave out the pattern plugin that caused them
+        rendererRef.current.debug.onShaderError = (gl, program, vertexShader, fragShader) => {
+            let log = gl.getShaderInfoLog(fragShader) || gl.getProgramInfoLog(program) || "";
+            setShaderError({ pattern: compiledPattern.current, errors: readShaderErrors(log), dismissed: false });
+        };
+
+        // Build shader and plane, without a pattern plugin until it's added
         let pln = new PlaneGeometry(2, 2);
-        sceneRef.current.add(new Mesh(pln, mat));
+        compiledPattern.current = null;
+        meshRef.current = new Mesh(pln, shaderMaterial(injectModels(fragmentShader)));
+        sceneRef.current.add(meshRef.current);
 
-        // Set initial size and run if screen is big enough
-        if (!isMobile.current) {
-            let box = parentRef.current.getBoundingClientRect();
-            setCanvasSize(box.width, box.height);
-            mainLoop();
-        }
-    }, [setCanvasSize, mainLoop, checkScreenSize, isMobile, fragmentShader]);
+        // Set initial size and run
+        let box = parentRef.current.getBoundingClientRect();
+        setCanvasSize(box.width, box.height);
+        mainLoop();
+    }, [setCanvasSize, mainLoop, fragmentShader]);
 
     /*
     Third useEffect: update uniforms.
@@ -498,52 +713,183 @@ function App() {
             setUniform(name, params[name]);
         }
         setUniform("invSamples", 1 / params.nSamples);
+        setView(params.view);
+        motionRef.current = {
+            type: params.motionType, 
+            speed: params.motionSpeed,
+            center: new Complex(params.motionCenterX, params.motionCenterY),
+            angle: params.motionAngle * Math.PI / 180,
+            curvature: params.curvature
+        };
         setVector2Uniform("refNrm", params.refNrm);
         setVector2Uniform("invCen", params.invCen);
+        setVector2Uniform("modelFrame", modelFrame(params));
 
-        // Get preset color
-        let col = colors[params.polygonColIdx];
-        setVector3Uniform("polygonCol", col[0] / 255, col[1] / 255, col[2] / 255);
-        col = colors[params.invPolygonColIdx];
-        setVector3Uniform("invPolygonCol", col[0] / 255, col[1] / 255, col[2] / 255);
-        col = colors[params.edgeColIdx];
-        setVector3Uniform("edgeCol", col[0] / 255, col[1] / 255, col[2] / 255);
-        col = colors[params.vertColIdx];
-        setVector3Uniform("vertCol", col[0] / 255, col[1] / 255, col[2] / 255);
-        col = colors[params.invVertColIdx];
-        setVector3Uniform("invVertCol", col[0] / 255, col[1] / 255, col[2] / 255);
-        col = colors[params.bgColIdx];
-        setVector3Uniform("bgCol", col[0] / 255, col[1] / 255, col[2] / 255);
-        
-    }, [params]);
+        // Set the colors
+        for (let name of colorParams) {
+            let col = hexToRgb(params[name]);
+            setVector3Uniform(name, col[0] / 255, col[1] / 255, col[2] / 255);
+        }
+        uniformsRef.current.snakeOrder.value.set(...[...params.snakeOrder].map(Number));
+        setUniform("doTexture", params.doTexture && textureLoaded);
+
+        // Set the coloring of the polygons
+        let { colorTable, ...coloringValues } = coloringUniforms(selectedColoring(params), params.tileColors);
+        uniformsRef.current.colorTable.value.image.data.set(colorTable);
+        uniformsRef.current.colorTable.value.needsUpdate = true;
+        for (let [name, value] of Object.entries(coloringValues)) {
+            setUniform(name, value);
+        }
+
+        // Set the uniform tiling drawn in place of the polygons
+        let { wythoffPoint, ...wythoffValues } = wythoffUniforms(selectedWythoff(params));
+        uniformsRef.current.wythoffPoint.value.set(...wythoffPoint);
+        for (let [name, value] of Object.entries(wythoffValues)) {
+            setUniform(name, value);
+        }
+
+        // Set the parameters of the pattern plugin
+        if (activePattern) {
+            for (let [name, value] of Object.entries(patternUniforms(activePattern, params.patternValues))) {
+                uniformsRef.current[name] = { value };
+            }
+        }
+    }, [params, activePattern, textureLoaded]);
+
+    /*
+    Fourth useEffect: put the pattern plugin into the shader.
+    */
+
+    const buildMaterial = useCallback(() => {
+        // Swap the material of the plane whenever the plugin changes, which
+        // three compiles on the next frame
+        let mesh = meshRef.current;
+        let source = fragmentShader && injectModels(injectPattern(fragmentShader, activePattern));
+        if (!mesh || mesh.material.fragmentShader === source) {
+            return;
+        }
+        let oldMat = mesh.material;
+        compiledPattern.current = activePattern;
+        mesh.material = shaderMaterial(source);
+        oldMat.dispose();
+    }, [fragmentShader, activePattern]);
+
+    // Load the image into a texture whenever it changes
+    useEffect(() => {
+        if (!texture) return;
+        let img = new Image();
+        let tex = new Texture(img);
+        img.onload = () => {
+            tex.needsUpdate = true;
+            setUniform("tileTexture", tex);
+            setTextureLoaded(true);
+        };
+        img.src = texture.url;
+        return () => {
+            setTextureLoaded(false);
+            tex.dispose();
+        };
+    }, [texture]);
 
     // Add useEffects
     useEffect(initialize, [initialize]);
     useEffect(prepareThree, [prepareThree]);
     useEffect(updateUniforms, [updateUniforms]);
+    useEffect(buildMaterial, [buildMaterial]);
+
+    // Resize the rendered image whenever its resolution changes
+    useEffect(() => {
+        renderScale.current = params.renderScale;
+        let box = parentRef.current.getBoundingClientRect();
+        setCanvasSize(box.width, box.height);
+    }, [params.renderScale, setCanvasSize]);
+
+    // Isometries of one curvature don't carry over to another, so fall back
+    // to the identity whenever the view doesn't fit the tiling
+    useEffect(() => {
+        if (!isIsometry(params.view, params.curvature)) {
+            setParams(paras => ({...paras, view: MOBIUS_ID}), { record: false });
+        }
+    }, [params.view, params.curvature, setParams]);
+
+    // Undo with Ctrl+Z and redo with Ctrl+Shift+Z or Ctrl+Y, and open the 
+    // menus with H, S, I and L, leaving text fields to their own typing
+    useEffect(() => {
+        const onKeyDown = (evt) => {
+            let target = evt.target;
+            if (evt.defaultPrevented || evt.altKey || 
+                target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)) {
+                return;
+            }
+            let key = evt.key.toLowerCase();
+            if (evt.ctrlKey || evt.metaKey) {
+                if (key === "z" && !evt.shiftKey) {
+                    history.undo();
+                } else if ((key === "z" && evt.shiftKey) || key === "y") {
+                    history.redo();
+                } else {
+                    return;
+                }
+            } else if (key === "h" || key === "?") {
+                setHelpOpen(true);
+            } else if (key === "s") {
+                setSettingsOpen(true);
+            } else if (key === "i") {
+                setExportOpen(true);
+            } else if (key === "l") {
+                copyShareableLink();
+            } else {
+                return;
+            }
+            evt.preventDefault();
+        }
+        window.addEventListener("keydown", onKeyDown);
+        return () => { window.removeEventListener("keydown", onKeyDown); };
+    }, [history, copyShareableLink]);
+
+    // Restart the motion whenever it changes, except for its speed
+    useEffect(() => { motionPhase.current = 0; }, 
+        [params.motionType, params.motionCenterX, params.motionCenterY, params.motionAngle, params.curvature]);
 
     return (
         <ParamContext.Provider value={[params, setParams]}>
+        <HistoryContext.Provider value={history}>
+            {messageHolder}
             <HelpMenu 
                 isOpen={helpOpen} onClose={() => { setHelpOpen(false); }} />
             <SettingsMenu 
                 isOpen={settingsOpen} onClose={() => { setSettingsOpen(false); }} />
-            <ScreenError />
+            <ExportMenu 
+                isOpen={exportOpen} onClose={() => { setExportOpen(false); }} 
+                canvasSize={size} onExport={exportTiling} onExportSvg={exportSvg} />
             <div id="app-parent">
                 <TopbarMenu 
                     onHelp={() => { setHelpOpen(true); }} onSettings={()=>{ setSettingsOpen(true); }}
-                    onSaveImg={downloadTiling} onShare={copyShareableLink}/>
+                    onSaveImg={() => { setExportOpen(true); }} onShare={copyShareableLink} 
+                    linkCopied={linkCopied} />
                 <div id="canvas-container" ref={parentRef}>
                     <canvas id="main-canvas" className={(isDragging ? "dragging" : "")} ref={canvasRef} 
+                    tabIndex="0" aria-label="Hyperbolic tiling. Arrow keys move, Q and E rotate, plus and minus zoom, C recenters."
+                    onKeyDown={onCanvasKeyDown}
                     onMouseDown={onInteractionStart} onTouchStart={onInteractionStart}
                     onMouseMove={onInteractionMove} onTouchMove={onInteractionMove}
                     onMouseUp={endInteraction} onMouseOut={endInteraction} 
-                    onTouchEnd={endInteraction} onTouchCancel={endInteraction}></canvas>
+                    onTouchEnd={endInteraction} onTouchCancel={endInteraction}
+                    onWheel={onWheel}></canvas>
+                    <ViewControls 
+                        onZoomIn={() => { zoomBy(zoomStep); }} onZoomOut={() => { zoomBy(1 / zoomStep); }}
+                        onRecenter={recenterView} onReset={resetView} />
+                    {shaderError && shaderError.pattern === pattern && !shaderError.dismissed && (
+                        <ShaderErrors 
+                            pattern={pattern} errors={shaderError.errors}
+                            onClose={() => { setShaderError({ ...shaderError, dismissed: true }); }} />
+                    )}
                 </div>
             </div>
+        </HistoryContext.Provider>
         </ParamContext.Provider>
     )
 }
 
 export default App;
-export { ParamContext };
\ No newline at end of file
+export { ParamContext, HistoryContext };
\ No newline at end of file
@@ -0,0 +1,458 @@
+/**
+ * This file contains the colorings of the polygons with more than two colors.
+ * Symmetric colorings give the polygons colors that every symmetry of the
+ * tiling, or every rotation, permutes: they are the actions of the triangle
+ * group on the colors, found by a search of its subgroups of low index
+ * containing the symmetries of a polygon. Colorings that only a subgroup of
+ * them permutes come from actions on blocks of colors, which the symmetries
+ * of a polygon permute. Random colorings give each polygon a color from a
+ * hash of its center.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import { hexToRgb } from './colors.js';
+
+// Largest number of colors, as in the shader
+const maxColors = 12;
+
+// Largest number of points of the actions found, which is the width of the
+// table of colors in the shader
+const maxPoints = 128;
+
+// Kinds of colorings, as numbered in the shader
+const coloringModes = { NONE: 0, SYMMETRIC: 1, RANDOM: 2 };
+
+// Largest number of colorings listed, and of steps of the search, which
+// keeps the settings responsive for large polygons and many colors
+const maxColorings = 50;
+const maxSearchSteps = 25000;
+
+// Largest seed of random colorings
+const maxSeed = 99999;
+
+/*
+Presentations of the groups acting on the colors.
+*/
+
+// The triangle group is generated by the reflections s0, s1 and s2 in the
+// mirrors opposite V0, V1 and V2, where s1 s2 turns by 2 PI / p about V0, s2 s0
+// by 2 PI / r about V1, and s0 s1 by 2 PI / q about V2. The polygon around V0
+// is left in place by the 2 p symmetries that s1 and s2 generate, and s0 takes
+// it to a neighbor.
+const reflectionGroup = (p, q, r) => ({
+    inverses: [0, 1, 2],
+    relators: [repeat([1, 2], p), repeat([2, 0], r), repeat([0, 1], q)],
+    polygon: [1, 2],
+    polygonOrder: 2 * p,
+    neighbor: 0
+});
+
+// Its rotations are generated by x = s1 s2 and y = s2 s0 (numbered 0 and 2,
+// with their inverses 1 and 3), where x leaves the polygon around V0 in place
+// and y takes it to a neighbor
+const rotationGroup = (p, q, r) => ({
+    inverses: [1, 0, 3, 2],
+    relators: [repeat([0], p), repeat([2], r), repeat([0, 2], q)],
+    polygon: [0],
+    polygonOrder: p,
+    neighbor: 2
+});
+
+const repeat = (word, n) => Array(n).fill(word).flat();
+
+// Every rotation of the relators, each once, as the search runs through
+// them from the points that change
+const relatorCycles = (group) => {
+    let cycles = new Map();
+    for (let relator of group.relators) {
+        relator.forEach((_, i) => {
+            let cycle = [...relator.slice(i), ...relator.slice(0, i)];
+            cycles.set(cycle.join(), cycle);
+        });
+    }
+    return [...cycles.values()];
+}
+
+/*
+Search of the actions on the colors.
+*/
+
+// Runs through the word from the point forwards and backwards as far as the
+// table is defined. Returns false if the table contradicts it leading back to
+// the point, and otherwise fills in the one missing entry if there is only
+// one, adding the points it changes to the list.
+const scanRelator = (table, inverses, relator, pt, changed) => {
+    let fwd = pt, i = 0;
+    while (i < relator.length && table[fwd][relator[i]] >= 0) {
+        fwd = table[fwd][relator[i ++]];
+    }
+    if (i === relator.length) return fwd === pt;
+
+    let bwd = pt, j = relator.length - 1;
+    while (j >= i && table[bwd][inverses[relator[j]]] >= 0) {
+        bwd = table[bwd][inverses[relator[j --]]];
+    }
+    if (j < i) return fwd === bwd;
+    if (j === i) return define(table, inverses, fwd, relator[i], bwd, changed);
+    return true;
+}
+
+// Sends the point to the image by the generator, and the image back by its
+// inverse. Returns false if the table already sends them elsewhere.
+const define = (table, inverses, pt, gen, img, changed) => {
+    let back = table[img][inverses[gen]];
+    if ((table[pt][gen] >= 0 && table[pt][gen] !== img) || (back >= 0 && back !== pt)) return false;
+    if (table[pt][gen] < 0) changed.push(pt, img);
+    table[pt][gen] = img;
+    table[img][inverses[gen]] = pt;
+    return true;
+}
+
+// Scans the relators from the points that changed, and the words fixing point
+// 0 from it, until nothing more follows. Returns false if the table
+// contradicts them.
+const deduce = (table, group, fixing, changed) => {
+    while (changed.length > 0) {
+        let pt = changed.pop();
+        for (let cycle of group.cycles) {
+            if (!scanRelator(table, group.inverses, cycle, pt, changed)) return false;
+        }
+        for (let word of fixing) {
+            if (!scanRelator(table, group.inverses, word, 0, changed)) return false;
+        }
+    }
+    return true;
+}
+
+// Returns the points that the symmetries of the polygon around V0 send point
+// 0 to, as far as the table is defined
+const polygonOrbit = (table, group) => {
+    let orbit = [0];
+    for (let k = 0; k < orbit.length; k ++) {
+        for (let gen of group.polygon) {
+            for (let img of [table[orbit[k]][gen], table[orbit[k]][group.inverses[gen]]]) {
+                if (img >= 0 && !orbit.includes(img)) orbit.push(img);
+            }
+        }
+    }
+    return orbit;
+}
+
+// Checks that the polygon around V0 shares its color with none of its
+// neighbors, which no point of its orbit may then send into it by the
+// generator taking it to a neighbor. This holds on the tables found from
+// there on, once it fails on a part of them.
+const isProper = (table, group) => {
+    let orbit = polygonOrbit(table, group);
+    return orbit.every(pt => !orbit.includes(table[pt][group.neighbor]));
+}
+
+// This function takes in the group, an action on blocks with the number of
+// points in each, the words fixing point 0, whether the polygon around V0
+// must have a color of its own, the steps left and the largest number of
+// actions, and returns the tables of the transitive actions on the points
+// of all the blocks that the block action lifts to, with the block of each
+// point. The tables are filled in order, with each new point numbered after
+// the ones before, so that no action is found twice.
+const findActions = (group, blocks, fixing, properOnly, budget, limit) => {
+    let nGens = group.inverses.length;
+    let nPoints = blocks.action.length * blocks.size;
+    let actions = [];
+
+    const search = (table, blockOf, changed) => {
+        if (actions.length >= limit || -- budget.steps < 0) return;
+        if (!deduce(table, group, fixing, changed) || (properOnly && !isProper(table, group))) return;
+
+        // Fill in the first missing entry, with an existing point of the block
+        // that the block action gives, or a new one
+        let count = blockOf.length;
+        let pt = 0, gen = 0;
+        while (pt < count && table[pt][gen] >= 0) {
+            gen = (gen + 1) % nGens;
+            if (gen === 0) pt ++;
+        }
+        if (pt === count) {
+            if (count === nPoints) actions.push({ table, blockOf });
+            return;
+        }
+        let block = blocks.action[blockOf[pt]][gen];
+        let images = blockOf.flatMap((other, img) => other === block ? [img] : []);
+        if (images.length < blocks.size) images.push(count);
+        for (let img of images) {
+            let next = table.map(row => [...row]);
+            let nextChanged = [];
+            if (define(next, group.inverses, pt, gen, img, nextChanged)) {
+                search(next, img === count ? [...blockOf, block] : blockOf, nextChanged);
+            }
+        }
+    }
+
+    search(Array.from({ length: nPoints }, () => Array(nGens).fill(-1)), [0], [0]);
+    return actions;
+}
+
+// Numbers the points of the action in the order the search would, starting
+// from the given one
+const renumberAction = (table, start) => {
+    let order = [start];
+    let number = new Map([[start, 0]]);
+    for (let k = 0; k < order.length; k ++) {
+        for (let img of table[order[k]]) {
+            if (!number.has(img)) {
+                number.set(img, order.length);
+                order.push(img);
+            }
+        }
+    }
+    return order.map(pt => table[pt].map(img => number.get(img)));
+}
+
+// Tells if the action on blocks is the first of the ones starting from each
+// of its blocks, as they give the same colorings up to a symmetry of the
+// polygon around V0
+const isFirstAction = (table) => {
+    let first = renumberAction(table, 0).flat();
+    return table.every((_, start) => {
+        let other = renumberAction(table, start).flat();
+        let i = first.findIndex((img, k) => img !== other[k]);
+        return i < 0 || first[i] < other[i];
+    });
+}
+
+// Returns words in the generators taking block 0 back to itself, which
+// generate the symmetries of the polygon around V0 that do so
+const stabilizerWords = (table, group) => {
+    let words = new Map([[0, []]]);
+    let fixing = [];
+    for (let [block, word] of words) {
+        for (let gen of group.polygon) {
+            let img = table[block][gen];
+            if (!words.has(img)) {
+                words.set(img, [...word, gen]);
+            } else {
+                let back = [...words.get(img)].reverse().map(other => group.inverses[other]);
+                fixing.push([...word, gen, ...back]);
+            }
+        }
+    }
+    return fixing;
+}
+
+/*
+Colorings of the tiling.
+*/
+
+// This function takes in an action of the group, where each row of the table
+// sends a point to its images by the generators, and returns the permutation
+// of the points by each product sa sb of two reflections, under index 3 a + b.
+// A permutation perm sends each point i to perm[i].
+const pairPermutations = (table, rotationsOnly) => {
+    let nPoints = table.length;
+    let compose = (...perms) => Array.from({ length: nPoints }, (_, i) => perms.reduceRight((img, perm) => perm[img], i));
+
+    // The table acts on the right, and the tiling on the left, by the inverses
+    let gens = table[0].map((_, gen) => table.map(row => row[gen]));
+    let identity = Array.from({ length: nPoints }, (_, i) => i);
+    let perms = [];
+    for (let a = 0; a < 3; a ++) {
+        for (let b = 0; b < 3; b ++) {
+            if (a === b) {
+                perms.push(identity);
+            } else if (!rotationsOnly) {
+                perms.push(compose(gens[a], gens[b]));
+            } else {
+                // Products of x = s1 s2 and y = s2 s0, where s1 s0 = x y
+                let [xInv, x, yInv, y] = gens;
+                let products = { "12": x, "21": xInv, "20": y, "02": yInv, "10": compose(x, y), "01": compose(yInv, xInv) };
+                perms.push(products[`${a}${b}`]);
+            }
+        }
+    }
+    return perms;
+}
+
+// This function takes in an action found by the search and returns its
+// coloring as { nColors, nBlocks, perms, orbit }. Its points are numbered
+// block by block, the colors being the points of block 0, and orbit holds the
+// point of each block that the symmetries of the polygon around V0 send
+// point 0 to, by its number within the block.
+const actionColoring = ({ table, blockOf }, group, nColors, rotationsOnly) => {
+    let nBlocks = table.length / nColors;
+    let counts = Array(nBlocks).fill(0);
+    let number = blockOf.map(block => block * nColors + counts[block] ++);
+    let renumbered = Array(table.length);
+    table.forEach((row, pt) => { renumbered[number[pt]] = row.map(img => number[img]); });
+
+    let orbit = Array(nBlocks);
+    polygonOrbit(table, group).forEach(pt => { orbit[blockOf[pt]] = number[pt] % nColors; });
+    return { nColors, nBlocks, perms: pairPermutations(renumbered, rotationsOnly), orbit };
+}
+
+// Number of reflections of the words whose polygons tell colorings apart
+const signatureLength = 9;
+
+// Returns the colors of the polygons of all the words of up to
+// signatureLength reflections, each renamed after the first polygon having it,
+// which are the same for colorings that only differ by their names of colors.
+// The words share the pairs of reflections they start with.
+const coloringSignature = (coloring) => {
+    let names = new Map();
+    let signature = [];
+    const visit = (word, state) => {
+        let last = word[word.length - 1];
+        let { block, colors } = word.length % 2 === 1 ? pairStep(coloring, state, last, 2) : state;
+        let color = colors[coloring.orbit[block]];
+        if (!names.has(color)) names.set(color, names.size);
+        signature.push(names.get(color));
+        if (word.length < signatureLength) {
+            for (let mirror = 0; mirror < 3; mirror ++) {
+                if (mirror !== last) {
+                    visit([...word, mirror], word.length % 2 === 1 ? pairStep(coloring, state, last, mirror) : state);
+                }
+            }
+        }
+    }
+    visit([], startState(coloring));
+    return signature.join();
+}
+
+// This function takes in the tiling, the number of colors and whether only
+// the rotations need to permute them, and returns the symmetric colorings
+// found. Those that every symmetry or rotation keeps come first, then those
+// where the polygons of each color only neighbor other colors and a part of
+// them keeps, as its actions on 1 / nBlocks of the points of actions on
+// nBlocks blocks of colors. Results are kept, as the settings ask for them on
+// every change.
+const cache = new Map();
+const findColorings = (p, q, r, nColors, rotationsOnly) => {
+    let key = [p, q, r, nColors, rotationsOnly].join();
+    if (!cache.has(key)) {
+        let group = rotationsOnly ? rotationGroup(p, q, r) : reflectionGroup(p, q, r);
+        group.cycles = relatorCycles(group);
+        let budget = { steps: maxSearchSteps };
+        let colorings = [];
+        let signatures = new Set();
+        for (let nBlocks = 1; nBlocks * nColors <= maxPoints && colorings.length < maxColorings; nBlocks ++) {
+            if (group.polygonOrder % nBlocks !== 0) continue;
+
+            // The symmetries of the polygon around V0 must permute the blocks
+            // of colors, as the colors of the polygon are the points of its
+            // orbit
+            let single = { action: [Array(group.inverses.length).fill(0)], size: nBlocks };
+            let blockActions = findActions(group, single, [], false, budget, Infinity)
+                .filter(({ table }) => polygonOrbit(table, group).length === nBlocks && isFirstAction(table));
+            for (let { table } of blockActions) {
+                let blocks = { action: table, size: nColors };
+                let actions = findActions(group, blocks, stabilizerWords(table, group), nBlocks > 1, budget,
+                    maxColorings - colorings.length);
+                for (let action of actions) {
+                    let coloring = actionColoring(action, group, nColors, rotationsOnly);
+                    let signature = coloringSignature(coloring);
+                    if (!signatures.has(signature)) {
+                        signatures.add(signature);
+                        colorings.push(coloring);
+                    }
+                }
+            }
+        }
+        cache.set(key, colorings);
+    }
+    return cache.get(key);
+}
+
+// The colors start in block 0, each color in its place, and each pair of
+// reflections sa sb takes them to the next block
+const startState = ({ nColors }) => ({ block: 0, colors: Array.from({ length: nColors }, (_, i) => i) });
+const pairStep = ({ nColors, perms }, { block, colors }, a, b) => {
+    let next = Math.floor(perms[3 * b + a][block * nColors] / nColors);
+    return { block: next, colors: colors.map((_, color) => colors[perms[3 * a + b][next * nColors + color] % nColors]) };
+}
+
+// This function takes in the mirrors folding a point into the fundamental
+// triangle, in order, and a symmetric coloring, and returns the color of the
+// polygon of the point. The reflections are taken in pairs, with s2 added to
+// an odd number of them as it leaves the polygon in place, and the polygon
+// takes the color of the point of the orbit in the last block.
+const symmetricColorIndex = (mirrors, coloring) => {
+    let word = mirrors.length % 2 === 1 ? [...mirrors, 2] : mirrors;
+    let state = startState(coloring);
+    for (let i = 0; i < word.length; i += 2) {
+        state = pairStep(coloring, state, word[i], word[i + 1]);
+    }
+    return state.colors[coloring.orbit[state.block]];
+}
+
+// Hash of an unsigned 32-bit integer, as in the shader
+const hashInt = (x) => {
+    x = (x ^ (x >>> 16)) >>> 0;
+    x = Math.imul(x, 0x7feb352d) >>> 0;
+    x = (x ^ (x >>> 15)) >>> 0;
+    x = Math.imul(x, 0x846ca68b) >>> 0;
+    return (x ^ (x >>> 16)) >>> 0;
+}
+
+// Size of the grid on which the centers of the polygons are rounded, which
+// is far above the rounding errors of the shader, and only puts polygons
+// smaller than a pixel in the same cell
+const centerGrid = 1 / 2048;
+
+// This function takes in the center of a polygon, the curvature, the number
+// of colors and the seed, and returns the random color of the polygon. The
+// centers of spherical tilings are taken on the sphere, where the one at
+// infinity is the south pole.
+const randomColorIndex = (center, curvature, nColors, seed) => {
+    let coords = [center.x, center.y, 0];
+    if (curvature > 0) {
+        let normSq = center.x * center.x + center.y * center.y;
+        coords = Number.isFinite(normSq) ?
+            [2 * center.x, 2 * center.y, 1 - normSq].map(val => val / (1 + normSq)) : [0, 0, -1];
+    }
+    let hash = hashInt(seed >>> 0);
+    for (let val of coords) {
+        hash = hashInt((Math.floor(val / centerGrid + .5) ^ hash) >>> 0);
+    }
+    return hash % nColors;
+}
+
+// This function takes in the parameters and returns the coloring they
+// select as { mode, nColors, symmetric, seed }, which is turned off if the
+// tiling has no symmetric coloring with these settings
+const selectedColoring = (params) => {
+    let { coloringMode: mode, coloringColors: nColors, coloringSeed: seed } = params;
+    let symmetric = null;
+    if (mode === coloringModes.SYMMETRIC) {
+        let colorings = findColorings(params.pValue, params.qValue, params.rValue, nColors, params.coloringRotations);
+        symmetric = colorings[params.coloringIdx] ?? colorings[0];
+        if (!symmetric) mode = coloringModes.NONE;
+    }
+    return { mode, nColors, symmetric, seed };
+}
+
+// Rows of the table of colors in the shader, holding the permutations of the
+// points by the pairs of reflections and then the orbit
+const colorTableRows = 10;
+
+// This function takes in a coloring and the colors of the polygons, and
+// returns the values of the uniforms of the shader, with the permutations
+// and the orbit padded to the largest number of points in the rows of the
+// table of colors, and the colors from 0 to 1
+const coloringUniforms = (coloring, tileColors) => {
+    let colorTable = new Uint8Array(colorTableRows * maxPoints);
+    for (let pair = 0; pair < 9; pair ++) {
+        for (let i = 0; i < maxPoints; i ++) {
+            colorTable[pair * maxPoints + i] = coloring.symmetric?.perms[pair][i] ?? i;
+        }
+    }
+    coloring.symmetric?.orbit.forEach((color, block) => { colorTable[9 * maxPoints + block] = color; });
+    return {
+        coloringMode: coloring.mode,
+        colorCount: coloring.nColors,
+        colorTable,
+        coloringSeed: coloring.seed,
+        tileColors: tileColors.flatMap(hex => hexToRgb(hex).map(val => val / 255))
+    };
+}
+
+export { maxColors, maxPoints, colorTableRows, maxColorings, maxSeed, coloringModes, findColorings, symmetricColorIndex,
+         randomColorIndex, selectedColoring, coloringUniforms };
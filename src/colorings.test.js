@@ -0,0 +1,104 @@
+/**
+ * These are the tests of the symmetric and random colorings of the polygons.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import { findColorings, symmetricColorIndex, randomColorIndex } from './colorings.js';
+import { Complex } from './math.js';
+
+// Checks that each product of two reflections permutes the points, that the
+// product of a reflection with itself leaves them in place, and that the
+// product of two reflections in one order undoes the other order
+const expectPermutations = (perms, nPoints) => {
+    let identity = Array.from({ length: nPoints }, (_, i) => i);
+    expect(perms).toHaveLength(9);
+    for (let a = 0; a < 3; a ++) {
+        expect(perms[4 * a]).toEqual(identity);
+        for (let b = 0; b < 3; b ++) {
+            let perm = perms[3 * a + b];
+            expect([...perm].sort((i, j) => i - j)).toEqual(identity);
+            expect(perm.map(color => perms[3 * b + a][color])).toEqual(identity);
+        }
+    }
+}
+
+// Checks that the polygons of all the words of up to the given number of
+// reflections have a color of their own, kept by the reflections leaving them
+// in place and differing from that of the neighbor across s0
+const expectNeighborsDiffer = (coloring, length) => {
+    const visit = (word) => {
+        let color = symmetricColorIndex(word, coloring);
+        expect(symmetricColorIndex([...word, 1], coloring)).toBe(color);
+        expect(symmetricColorIndex([...word, 2], coloring)).toBe(color);
+        expect(symmetricColorIndex([...word, 0], coloring)).not.toBe(color);
+        if (word.length < length) {
+            [0, 1, 2].filter(mirror => mirror !== word[word.length - 1]).forEach(mirror => { visit([...word, mirror]); });
+        }
+    }
+    visit([]);
+}
+
+describe("findColorings", () => {
+    test("finds the coloring of the {7, 3} tiling with 8 colors", () => {
+        for (let rotationsOnly of [false, true]) {
+            let colorings = findColorings(7, 3, 2, 8, rotationsOnly);
+            expect(colorings.filter(coloring => coloring.nBlocks === 1)).toHaveLength(1);
+            expect(colorings[0].nBlocks).toBe(1);
+            expectPermutations(colorings[0].perms, 8);
+        }
+    });
+
+    test("gives neighboring polygons different colors in the coloring of {7, 3}", () => {
+        // The polygon across the mirror opposite V0 is a neighbor, and the
+        // rotations about V0, which keep color 0, give the other ones
+        let [coloring] = findColorings(7, 3, 2, 8, false);
+        expect(symmetricColorIndex([], coloring)).toBe(0);
+        expect(symmetricColorIndex([0], coloring)).not.toBe(0);
+    });
+
+    test("finds colorings of {7, 3} with 7 colors that only a part of the symmetries keeps", () => {
+        for (let rotationsOnly of [false, true]) {
+            let colorings = findColorings(7, 3, 2, 7, rotationsOnly);
+            expect(colorings.length).toBeGreaterThan(0);
+            colorings.slice(0, 5).forEach(coloring => {
+                expect(coloring.nBlocks).toBeGreaterThan(1);
+                expectPermutations(coloring.perms, 7 * coloring.nBlocks);
+                expectNeighborsDiffer(coloring, 6);
+            });
+        }
+    });
+
+    test("finds more colorings when only the rotations permute the colors", () => {
+        let count = (colorings) => colorings.filter(coloring => coloring.nBlocks === 1).length;
+        expect(count(findColorings(7, 3, 2, 9, false))).toBe(0);
+        expect(count(findColorings(7, 3, 2, 9, true))).toBe(2);
+    });
+
+    test("finds the checkerboard of the {4, 4} tiling with 2 colors", () => {
+        let colorings = findColorings(4, 4, 2, 2, false);
+        expect(colorings.length).toBeGreaterThan(0);
+        colorings.forEach(coloring => {
+            expectPermutations(coloring.perms, 2 * coloring.nBlocks);
+            expectNeighborsDiffer(coloring, 6);
+        });
+    });
+});
+
+describe("randomColorIndex", () => {
+    test("gives each center the same color for the same seed", () => {
+        let center = new Complex(0.3, -0.2);
+        let color = randomColorIndex(center, -1, 5, 7);
+        expect(color).toBeGreaterThanOrEqual(0);
+        expect(color).toBeLessThan(5);
+        expect(randomColorIndex(new Complex(0.3 + 1e-6, -0.2), -1, 5, 7)).toBe(color);
+    });
+
+    test("spreads the polygons over the colors", () => {
+        let counts = Array(4).fill(0);
+        for (let i = 0; i < 400; i ++) {
+            counts[randomColorIndex(new Complex(i / 500, 0.1), -1, 4, 1)] ++;
+        }
+        counts.forEach(count => { expect(count).toBeGreaterThan(50); });
+    });
+});
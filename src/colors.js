@@ -0,0 +1,187 @@
+/**
+ * This file contains the colors of the tiling: the default palette, the
+ * conversions between the ways of writing colors, and the recent colors and
+ * custom palettes of the user, which are kept in the browser. The parameters
+ * store colors as hex strings such as "#ff0000".
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+// Colors of the default palette, as RGB values from 0 to 255. Older links
+// and presets store colors as indices into this list.
+const colors = [[255, 255, 255], [180, 180, 180], [0, 0, 0], [244, 67, 54], [233, 30, 99],
+                [25, 25, 25], [127, 127, 127], [160, 215, 51], [78, 187, 130], [204, 0, 153],
+                // [156, 39, 176], [103, 58, 183], [63, 81, 181], [33, 150, 243],
+                // [3, 169, 244], [0, 188, 212], [0, 150, 136], [76, 175, 80],
+                // [139, 195, 74], [205, 220, 57], [255, 235, 59], [255, 235, 59],
+                // [255, 193, 7], [255, 152, 0], [255, 87, 34], [183, 28, 28],
+                // [136, 14, 79], [74, 20, 140], [49, 27, 146], [13, 71, 161],
+                // [1, 87, 155], [0, 96, 100], [0, 77, 64], [27, 94, 32],
+                // [51, 105, 30], [130, 119, 23], [245, 127, 23], [255, 111, 0],
+                [230, 81, 0], [191, 54, 12],  [96, 125, 139]];
+
+// Names of the color parameters, ending with the four colors of the steps of
+// the Rotating Snakes and those of the faces of uniform tilings, around V0,
+// V1 and V2 and of the snub triangles
+const snakeColorParams = ["snakeCol0", "snakeCol1", "snakeCol2", "snakeCol3"];
+const wythoffColorParams = ["wythoffCol0", "wythoffCol1", "wythoffCol2", "wythoffCol3"];
+const colorParams = ["polygonCol", "invPolygonCol", "edgeCol", "vertCol", "invVertCol", "bgCol", ...snakeColorParams,
+                     ...wythoffColorParams];
+
+/*
+Conversions.
+*/
+
+const hexPattern = /^#[0-9a-f]{6}$/i;
+
+// Checks whether the value is a color written as "#rrggbb"
+const isColor = (val) => typeof val === "string" && hexPattern.test(val);
+
+// Converts between "#rrggbb" and RGB values from 0 to 255
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+const rgbToHex = (rgb) => "#" + rgb.map(val => Math.round(val).toString(16).padStart(2, "0")).join("");
+
+const defaultPalette = colors.map(rgbToHex);
+
+// Converts RGB values from 0 to 255 to the hue in degrees, and the saturation
+// and lightness from 0 to 100
+const rgbToHsl = (rgb) => {
+    let [r, g, b] = rgb.map(val => val / 255);
+    let max = Math.max(r, g, b);
+    let min = Math.min(r, g, b);
+    let l = (max + min) / 2;
+    let delta = max - min;
+    if (delta === 0) {
+        return [0, 0, 100 * l];
+    }
+
+    let s = delta / (1 - Math.abs(2 * l - 1));
+    let h;
+    if (max === r) h = ((g - b) / delta + 6) % 6;
+    else if (max === g) h = (b - r) / delta + 2;
+    else h = (r - g) / delta + 4;
+    return [60 * h, 100 * s, 100 * l];
+}
+
+// Converts a hue in degrees, and the saturation and lightness from 0 to 100,
+// to RGB values from 0 to 255
+const hslToRgb = (hsl) => {
+    let [h, s, l] = [hsl[0], hsl[1] / 100, hsl[2] / 100];
+    let a = s * Math.min(l, 1 - l);
+    let channel = (n) => {
+        let k = (n + h / 30) % 12;
+        return Math.round(255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+    }
+    return [channel(0), channel(8), channel(4)];
+}
+
+// Relative luminance of RGB values from 0 to 255, from 0 (black) to 1
+// (white), as defined for sRGB
+const relativeLuminance = (rgb) => {
+    let [r, g, b] = rgb.map(val => {
+        val /= 255;
+        return val <= 0.04045 ? val / 12.92 : Math.pow((val + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// This function takes in RGB values from 0 to 255 and a relative luminance,
+// and returns the color of the same hue and saturation closest to that
+// luminance, by bisection on the lightness
+const withLuminance = (rgb, luminance) => {
+    let [h, s] = rgbToHsl(rgb);
+    let lo = 0, hi = 100;
+    for (let i = 0; i < 30; i ++) {
+        let mid = (lo + hi) / 2;
+        if (relativeLuminance(hslToRgb([h, s, mid])) < luminance) lo = mid;
+        else hi = mid;
+    }
+
+    // Keep whichever of the two closest colors is nearer
+    let [below, above] = [hslToRgb([h, s, lo]), hslToRgb([h, s, hi])];
+    return Math.abs(relativeLuminance(below) - luminance) < Math.abs(relativeLuminance(above) - luminance) ? below : above;
+}
+
+// This function takes in parameters that may store colors under the older
+// names "polygonColIdx" and so on, either as indices into the default palette
+// or as hex codes, and returns them with the colors under their own names 
+// instead. Invalid colors are dropped.
+const migrateColorIndices = (values) => {
+    let migrated = { ...values };
+    for (let name of colorParams) {
+        let idx = migrated[name + "Idx"];
+        if (idx === undefined) continue;
+        delete migrated[name + "Idx"];
+        let col = Number.isInteger(idx) ? defaultPalette[idx] : idx;
+        if (isColor(col) && migrated[name] === undefined) {
+            migrated[name] = col.toLowerCase();
+        }
+    }
+    return migrated;
+}
+
+/*
+Recent colors and custom palettes, shared by all color pickers.
+*/
+
+const libraryKey = "hyperbolic-illusion-colors";
+const maxRecentColors = 12;
+
+// The library holds the recent colors, the custom palettes as { name, colors },
+// and the index of the palette shown in the pickers (-1 for the default one)
+let library = null;
+const listeners = new Set();
+
+const readColorLibrary = () => {
+    let empty = { recent: [], palettes: [], paletteIdx: -1 };
+    try {
+        let dat = JSON.parse(window.localStorage.getItem(libraryKey));
+        if (!dat) return empty;
+        let palettes = (Array.isArray(dat.palettes) ? dat.palettes : [])
+            .filter(palette => typeof palette?.name === "string" && Array.isArray(palette.colors))
+            .map(palette => ({ name: palette.name, colors: palette.colors.filter(isColor) }));
+        return {
+            recent: (Array.isArray(dat.recent) ? dat.recent : []).filter(isColor).slice(0, maxRecentColors),
+            palettes,
+            paletteIdx: Number.isInteger(dat.paletteIdx) && dat.paletteIdx < palettes.length ? dat.paletteIdx : -1
+        };
+    } catch (e) {
+        console.error("Couldn't read the saved colors");
+        return empty;
+    }
+}
+
+const getColorLibrary = () => {
+    if (!library) {
+        library = readColorLibrary();
+    }
+    return library;
+}
+
+// Changes the library with a function returning the changed fields, and
+// saves it in the browser
+const updateColorLibrary = (change) => {
+    library = { ...getColorLibrary(), ...change(getColorLibrary()) };
+    try {
+        window.localStorage.setItem(libraryKey, JSON.stringify(library));
+    } catch (e) {
+        console.error("Couldn't save the colors");
+    }
+    listeners.forEach(listener => listener());
+}
+
+// Calls the listener whenever the library changes, until unsubscribed
+const subscribeColorLibrary = (listener) => {
+    listeners.add(listener);
+    return () => { listeners.delete(listener); };
+}
+
+// Moves the color to the front of the recent colors
+const addRecentColor = (hex) => {
+    hex = hex.toLowerCase();
+    updateColorLibrary(lib => ({ recent: [hex, ...lib.recent.filter(col => col !== hex)].slice(0, maxRecentColors) }));
+}
+
+export { colors, colorParams, snakeColorParams, wythoffColorParams, defaultPalette, isColor, hexToRgb, rgbToHex, rgbToHsl, hslToRgb,
+         relativeLuminance, withLuminance, migrateColorIndices,
+         getColorLibrary, updateColorLibrary, subscribeColorLibrary, addRecentColor };
@@ -0,0 +1,377 @@
+/**
+ * This file contains a CPU port of the fragment shader, which renders tilings
+ * without WebGL. It follows public/shader.glsl step by step, so that changes
+ * to one should be carried over to the other.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import { colorParams, hexToRgb } from './colors.js';
+import { snakeAlternation } from './params.js';
+import { coloringModes, selectedColoring, symmetricColorIndex, randomColorIndex } from './colorings.js';
+import { wythoffModes, wythoffParts, selectedWythoff, wythoffPart } from './wythoff.js';
+import { modelToDisk, isOutsideModel } from './models.js';
+import { Complex, applyMobiusTrans, composeMobius, foldToFundamental, unfoldPoint, fermiCoords,
+         isInsideTriangle, motionIsometry, motionTypes, MOBIUS_ID } from './math.js';
+
+// Constants from the shader
+const COLOR_COEFF = 3;
+const PARITY_COEFF = .6;
+const OUCHI_ELONGATION = 3;
+const PI = 3.14159265358;
+
+const CMP_ONE = new Complex(1, 0);
+
+// Default render settings: the antialiasing steps per side (the params' own
+// count if left out), the time of the animated palette, the phase of the
+// animated motion, and whether to leave the background transparent
+const defaultCpuSettings = { nSamples: undefined, time: 0, motionPhase: 0, transparentBg: false };
+
+/*
+Utilities from the shader.
+*/
+
+const fract = (x) => x - Math.floor(x);
+const mod = (x, y) => x - y * Math.floor(x / y);
+const mix = (x, y, a) => x.map((val, i) => val * (1 - a) + y[i] * a);
+const distance = (z, w) => z.sub(w).getNorm();
+
+// Transform point in unit disk, or translate or rotate the Euclidean
+// plane or the sphere
+const shift = (z, a, curvature) => z.sub(a).div(CMP_ONE.add(z.mul(a.conj()).mulRe(curvature)));
+
+// Signed distance to the boundary of a thick edge, negative on the edge
+const thickEdgeDist = (z, cen, rad, curvature) => {
+    if (curvature === 0) return z.x * cen.x + z.y * cen.y - rad;
+    return (distance(z, cen) - Math.abs(rad)) * Math.sign(rad);
+}
+
+// Color of the step i of the snakes (0 for the dark background, 1 and 3 for
+// the bodies and 2 for the light background), as given by the snake order
+const snakeStepColor = (i, params, cols) => cols["snakeCol" + params.snakeOrder[i]];
+
+const rotatingSnakeColor = (p, R, oddParity, nRepeats, thetaMax, front, params, cols) => {
+    let r = p.getNorm() / R;
+
+    // Nonlinear radial warp
+    let rr = Math.pow(r, params.expRatioRings) * params.ringLayerNum;
+    let ring = Math.floor(rr);
+    let rf = Math.pow(fract(rr), params.snakeProfile);
+
+    // Compute angular phase that repeats nRepeats times over thetaMax
+    let ang;
+    if (front) {
+        ang = Math.atan2(p.y, p.x);
+    } else {
+        let V0Shifted = shift(params.V0, params.V2, params.curvature);
+        ang = Math.atan2(-p.y, -p.x) - Math.atan2(-V0Shifted.y, -V0Shifted.x);
+    }
+
+    let angRat = ang / thetaMax * nRepeats * 2;
+    angRat += ring - params.snakeRingPhase - 1; // radial phase shift
+
+    let phase = fract(angRat);
+
+    // Snake body mask
+    let d = distance(new Complex(phase * params.snakeAspect, rf), new Complex(.5, .5)) - 0.5;
+
+    if (d <= 0) {
+        return snakeStepColor(mod(angRat + oddParity, 2) <= 1 ? 1 : 3, params, cols);
+    }
+    return snakeStepColor(mod(angRat + params.snakeBgPhase, 2) <= 1 ? 2 : 0, params, cols);
+}
+
+// Ratio of the lengths of a curve at distance d from a geodesic and of its
+// projection on the geodesic
+const coshK = (d, curvature) => curvature < 0 ? Math.cosh(d) : curvature > 0 ? Math.cos(d) : 1;
+
+// This function takes in the center of a polygon, the parameters and the two
+// polygon colors (in any form), and returns the color of the polygon in the
+// Café Wall pattern
+const cafeWallColor = (center, params, cols) => {
+    let { curvature, cafeRowHeight } = params;
+    let row, len;
+    if (params.cafeRings) {
+        // Lengths around a ring grow with the distance r from the origin as sinh(r)
+        let nrmSq = center.normSq();
+        let dist = 2 * Math.sqrt(nrmSq);
+        if (curvature < 0) dist = 2 * Math.atanh(Math.sqrt(nrmSq));
+        if (curvature > 0) dist = isFinite(nrmSq) ? 2 * Math.atan(Math.sqrt(nrmSq)) : PI;
+        row = Math.floor(dist / cafeRowHeight + .5);
+
+        // Centers on the negative x-axis are all given the angle PI, as the
+        // polygons would otherwise be split where the angle jumps
+        let angle = Math.atan2(center.y, center.x);
+        if (angle < 1e-4 - PI) angle += 2 * PI;
+        len = nrmSq > 0 && isFinite(nrmSq) ? angle * 2 * Math.sqrt(nrmSq) / (1 + curvature * nrmSq) : 0;
+    } else {
+        let { across, along } = fermiCoords(center, params.cafeAngle * PI / 180, curvature);
+        row = Math.floor(across / cafeRowHeight + .5);
+        len = along * coshK(row * cafeRowHeight, curvature);
+    }
+    let brick = Math.floor(len / params.cafeBrickLength + .25 + params.cafeShift * mod(row, 2));
+    return mod(brick, 2) === 0 ? cols.polygonCol : cols.invPolygonCol;
+}
+
+// Distance of the point from the origin
+const distanceToOrigin = (z, curvature) => {
+    let r = z.getNorm();
+    return curvature < 0 ? 2 * Math.atanh(r) : curvature > 0 ? 2 * Math.atan(r) : 2 * r;
+}
+
+// Ratio of the length of an arc of a circle of radius d and of its angle
+const sinhK = (d, curvature) => curvature < 0 ? Math.sinh(d) : curvature > 0 ? Math.sin(d) : d;
+
+// 1 on the stripes, centered on the whole numbers and covering the fraction 
+// duty of each period, and 0 between them
+const stripe = (s, duty) => Math.abs(s - Math.floor(s + .5)) < .5 * duty ? 1 : 0;
+
+// This function takes in a point of the fundamental triangle, the parameters
+// and the colors, and returns the color of the point in the Ouchi pattern: 
+// rings inside the disk around V0 and spokes outside of it
+const ouchiColor = (z, params, cols) => {
+    let { curvature, ouchiFrequency, ouchiDuty } = params;
+    let dist = distanceToOrigin(z, curvature);
+    let rad = params.ouchiRadius * distanceToOrigin(params.V1, curvature);
+    let sector = PI / params.pValue;
+    let nSpokes = Math.max(1, Math.floor(sector * sinhK(rad, curvature) * ouchiFrequency + .5));
+    let turn = dist > 0 ? Math.atan2(z.y, z.x) / sector : 0;
+    let rings = dist * ouchiFrequency;
+
+    // The checks are stretched along the stripes
+    let val;
+    if (dist < rad) {
+        val = stripe(rings, ouchiDuty);
+        if (params.ouchiChecker) {
+            val = Math.abs(val - stripe(turn * Math.max(1, Math.floor(nSpokes / OUCHI_ELONGATION + .5)), ouchiDuty));
+        }
+    } else {
+        val = stripe(turn * nSpokes, ouchiDuty);
+        if (params.ouchiChecker) val = Math.abs(val - stripe(rings / OUCHI_ELONGATION, ouchiDuty));
+    }
+    return mix(cols.invPolygonCol, cols.polygonCol, val);
+}
+
+/*
+The coloring function.
+*/
+
+// This function takes in the point in the screen's model, the parameters and
+// the colors of the tiling (as RGB arrays from 0 to 1), the view and motion,
+// and the time of the animated palette, and returns the color of the point
+const tilingSample = (z, params, cols, view, time) => {
+    let { curvature, nIterations } = params;
+    if (isOutsideModel(params, z)) return cols.bgCol;
+    z = modelToDisk(params, z);
+
+    if (curvature < 0 && z.normSq() > 1) return cols.bgCol; // outside of the Poincare disk
+
+    z = applyMobiusTrans(view, z);
+
+    // Repeatedly invert and reflect until we are within the fundamental domain
+    let folded = foldToFundamental(z, params, nIterations);
+    z = folded.z;
+    let { n, a, b, c, col0, col1, polCol } = folded.counts;
+
+    let { vertCol, invVertCol } = cols;
+    let { V0, V1, V2 } = params;
+    let dist = (name) => distance(z, params[name + "Center"]) - params[name + "Radius"];
+    let edgeDist = (name) => thickEdgeDist(z, params[name + "Center"], params[name + "Radius"], curvature);
+
+    // Distance to the tile edge
+    let brt = 1;
+    let distToEdgeCircle01 = edgeDist("newThickEdge01Circle");
+    let distToEdgeCircle12 = edgeDist("newThickEdge12Circle");
+    let distToEdgeCircle20 = edgeDist("newThickEdge20Circle");
+
+    let distToTriV0 = dist("triV0EnlargedCircle");
+    let distToTriV1 = dist("triV1EnlargedCircle");
+    let distToTriV2 = dist("triV2EnlargedCircle");
+    let distToV0 = dist("V0EnlargedCircle");
+    let distToV2 = dist("V2EnlargedCircle");
+
+    // Uniform tilings take the place of the edges, vertices and polygons
+    if (cols.wythoff.mode !== wythoffModes.NONE) {
+        let part = wythoffPart(z, params, cols.wythoff, mod(n, 2) === 1);
+        if (part === wythoffParts.VERTEX) return vertCol;
+        if (part === wythoffParts.EDGE) return cols.edgeCol;
+        if (params.doParity) brt = Math.min(brt, 1 + (mod(n, 2) - 1) * PARITY_COEFF);
+        return cols["wythoffCol" + part].map(val => brt * val);
+    }
+
+    let { doInvVerts, doV0V1, doV1V2, doV2V0 } = params;
+    if (params.doOrns) {
+        let { D, E, D1, E1, D1p, E1p, D2, E2 } = params;
+        if (isInsideTriangle(z, V0, D, E)) {
+            return !doInvVerts || mod(col0, 4) === 0 ? vertCol : invVertCol;
+        }
+        if (isInsideTriangle(z, V1, D1, E1) || isInsideTriangle(z, V1, D1p, E1p)) {
+            return !doInvVerts || mod(col1, 4) < 3 ? vertCol : invVertCol;
+        }
+        if (isInsideTriangle(z, V2, D2, E2)) {
+            return !doInvVerts ? vertCol : invVertCol;
+        }
+    }
+
+    if (params.doVerts) {
+        let altVertCol = (isVertCol) => !doInvVerts || isVertCol ? vertCol : invVertCol;
+        if (doV0V1 && doV1V2 && doV2V0 &&
+            (distToTriV0 < 0 || distToTriV1 < 0 || distToTriV2 < 0)) return altVertCol(mod(a, 2) === 0);
+        else if (doV0V1 && doV1V2 &&
+            (distToV0 < 0 || distToTriV1 < 0 || distToV2 < 0)) return altVertCol(mod(a, 4) < 2);
+        else if (doV1V2 && doV2V0 &&
+            (distToV0 < 0 || distToTriV2 < 0)) return vertCol;
+        else if (doV2V0 && doV0V1 &&
+            (distToTriV0 < 0 || distToV2 < 0)) return vertCol;
+        else if (doV0V1 && distToV0 < 0) return altVertCol(mod(a, 4) < 2);
+        else if (doV1V2 && distToV2 < 0) return altVertCol(mod(a, 4) < 2);
+        else if (doV2V0 && (distToV0 < 0 || distToV2 < 0)) return vertCol;
+    }
+
+    if (params.doEdges) {
+        if (doV0V1 && distToEdgeCircle01 < 0) return cols.edgeCol;
+        if (doV1V2 && distToEdgeCircle12 < 0) return cols.edgeCol;
+        if (doV2V0 && distToEdgeCircle20 < 0) return cols.edgeCol;
+    }
+
+    // Show parity
+    if (params.doParity)
+        brt = Math.min(brt, 1 + (mod(n, 2) - 1) * PARITY_COEFF);
+
+    // The center of the polygon is the image of V0
+    if (params.doCafeWall) {
+        let center = unfoldPoint(V0, folded.mirrors, params);
+        return cafeWallColor(center, params, cols).map(val => brt * val);
+    }
+
+    if (params.doOuchi) {
+        return ouchiColor(z, params, cols).map(val => brt * val);
+    }
+
+    let { coloring } = cols;
+    if (coloring.mode !== coloringModes.NONE) {
+        let idx = coloring.mode === coloringModes.SYMMETRIC ? symmetricColorIndex(folded.mirrors, coloring.symmetric) :
+            randomColorIndex(unfoldPoint(V0, folded.mirrors, params), curvature, coloring.nColors, coloring.seed);
+        return cols.tileColors[idx].map(val => brt * val);
+    }
+
+    if (params.doInvPol) {
+        return mod(polCol, 2) === 1 ? cols.polygonCol : cols.invPolygonCol;
+    }
+
+    if (params.doSnake) {
+        let R0 = V1.getNorm();  // since V0 = (0,0)
+        let r = z.getNorm();
+
+        // parity from reflections (illusion enhancement)
+        let oddN = mod(n, 2);
+        let alternation = snakeAlternation(params.pValue, params.qValue, params.rValue);
+        let foreUniform = params.doForeRev || !alternation.fore;
+        let backUniform = params.doBackRev || !alternation.back;
+
+        // --- center selection ---
+        let snakeCol;
+        if (r <= R0) {
+            if (r <= params.centerCutoff * R0) return [0, 0, 0];
+            // Snake centered at V0
+            snakeCol = rotatingSnakeColor(z, R0, foreUniform ? oddN : mod(b, 2),
+                params.nRepeatPerSectV0, PI / params.pValue, true, params, cols);
+        } else {
+            // Outside → re-center snake at V2
+            let zShifted = shift(z, V2, curvature);
+            let R2 = shift(V1, V2, curvature).getNorm();
+            if (zShifted.getNorm() <= params.centerCutoff * R2) return [0, 0, 0];
+            snakeCol = rotatingSnakeColor(zShifted, R2, backUniform ? oddN : mod(c, 2),
+                params.nRepeatPerSectV2, PI / params.qValue, false, params, cols);
+        }
+        return snakeCol.map(val => brt * val);
+    }
+
+    // Coloring
+    let texCol = cols.polygonCol;
+    if (!params.doSolidColor) {
+        let t = COLOR_COEFF * z.x - time;
+        texCol = [0, .1, .2].map(off => .5 + .5 * Math.cos(6.283 * (t + off)));
+    }
+
+    return texCol.map(val => brt * val);
+}
+
+// Checks whether the point in the screen's model lies outside of the model's boundary
+const isBackground = (z, params) => {
+    if (isOutsideModel(params, z)) return true;
+    z = modelToDisk(params, z);
+    return params.curvature < 0 && z.normSq() > 1;
+}
+
+/*
+Antialiasing and output.
+*/
+
+// This function takes in the parameters of the tiling (as stored in the app's
+// state), the image size in pixels and the render settings, and returns the 
+// RGBA pixels of the image as the shader would draw them, with the rows from
+// top to bottom like in an ImageData.
+const renderTilingCpu = (params, width, height, settings = defaultCpuSettings) => {
+    let nSamples = settings.nSamples ?? params.nSamples;
+    let invSamples = 1 / nSamples;
+    let scale = Math.min(width, height) * (params.zoom ?? 1);
+
+    // Colors of the tiling, from 0 to 1, and the coloring of the polygons
+    let cols = {};
+    for (let name of colorParams) {
+        cols[name] = hexToRgb(params[name]).map(val => val / 255);
+    }
+    cols.tileColors = params.tileColors.map(hex => hexToRgb(hex).map(val => val / 255));
+    cols.coloring = selectedColoring(params);
+    cols.wythoff = selectedWythoff(params);
+
+    // View followed by the animated motion, moving the sampled points backwards
+    let view = params.view ?? MOBIUS_ID;
+    if (params.motionType && params.motionType !== motionTypes.NONE) {
+        let motion = motionIsometry(params.motionType, new Complex(params.motionCenterX, params.motionCenterY),
+            params.motionAngle * Math.PI / 180, -(settings.motionPhase ?? 0), params.curvature);
+        view = composeMobius(motion, view);
+    }
+
+    // Samples the tiling, leaving the background transparent if needed
+    let pixelSample = (x, y) => {
+        let z = new Complex((2 * x - width) / scale, (2 * y - height) / scale);
+        if (settings.transparentBg && isBackground(z, params)) return [0, 0, 0, 0];
+        return [...tilingSample(z, params, cols, view, settings.time ?? 0), 1];
+    }
+
+    let data = new Uint8ClampedArray(width * height * 4);
+    for (let row = 0; row < height; row ++) {
+        for (let col = 0; col < width; col ++) {
+            // Pixel centers, with y going upwards like gl_FragCoord
+            let x = col + .5;
+            let y = height - row - .5;
+
+            // Antialiasing
+            let color = [0, 0, 0, 0];
+            if (nSamples > 1) {
+                for (let i = 0; i < nSamples; i ++) {
+                    for (let j = 0; j < nSamples; j ++) {
+                        let sample = pixelSample(x + i * invSamples - .5, y + j * invSamples - .5);
+                        color = color.map((val, k) => val + sample[k]);
+                    }
+                }
+                color = color.map(val => val * invSamples * invSamples);
+            } else {
+                color = pixelSample(x, y);
+            }
+
+            // Undo the premultiplication by the coverage of the samples
+            let alpha = Math.max(color[3], 1e-6);
+            let idx = 4 * (row * width + col);
+            for (let k = 0; k < 3; k ++) {
+                data[idx + k] = 255 * color[k] / alpha;
+            }
+            data[idx + 3] = 255 * color[3];
+        }
+    }
+    return data;
+}
+
+export { renderTilingCpu, defaultCpuSettings, cafeWallColor };
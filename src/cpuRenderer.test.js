@@ -0,0 +1,60 @@
+/**
+ * These are the tests of the CPU port of the shader, against a golden image
+ * of the Hermann grid illusion.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { renderTilingCpu } from './cpuRenderer.js';
+import { encodePng, decodePng } from './png.js';
+import { defaultParams, applyTiling } from './params.js';
+import { defaultPalette } from './colors.js';
+
+// Golden image, rewritten instead of checked when UPDATE_GOLDEN=1 is set
+const goldenPath = path.join(__dirname, "__golden__", "hermann_grid.png");
+const width = 320;
+const height = 160;
+const settings = { nSamples: 2, time: 0, motionPhase: 0, transparentBg: false };
+
+// Hermann grid {4,5} of results/hermann_4_5_0020_TTF_2005.png at the identity view
+const hermannParams = (eThickness) => applyTiling({
+    ...defaultParams,
+    doV0V1: true, doV1V2: true, doV2V0: false,
+    polygonCol: defaultPalette[2], edgeCol: defaultPalette[0], vertCol: defaultPalette[0], bgCol: defaultPalette[5]
+}, 4, 5, 2, eThickness).params;
+
+// Pixels of the Hermann grid with the given edge thickness
+const hermannPixels = (eThickness) => renderTilingCpu(hermannParams(eThickness), width, height, settings);
+
+// Counts the pixels having a channel more than the tolerance away
+const countDiffs = (data, golden, tolerance) => {
+    let count = 0;
+    for (let idx = 0; idx < data.length; idx += 4) {
+        for (let k = 0; k < 4; k ++) {
+            if (Math.abs(data[idx + k] - golden[idx + k]) > tolerance) {
+                count ++;
+                break;
+            }
+        }
+    }
+    return count;
+}
+
+describe("renderTilingCpu", () => {
+    if (process.env.UPDATE_GOLDEN) {
+        fs.mkdirSync(path.dirname(goldenPath), { recursive: true });
+        fs.writeFileSync(goldenPath, encodePng(hermannPixels(0.02), width, height));
+    }
+    let golden = decodePng(fs.readFileSync(goldenPath));
+
+    test("matches the golden image", () => {
+        expect([golden.width, golden.height]).toEqual([width, height]);
+        expect(countDiffs(hermannPixels(0.02), golden.data, 2)).toBeLessThanOrEqual(width * height / 1000);
+    });
+
+    test("tells apart thinner edges", () => {
+        expect(countDiffs(hermannPixels(0.01), golden.data, 2)).toBeGreaterThan(width * height / 100);
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * This file contains the offscreen rendering of tilings at any size, used
+ * for exporting high-resolution images.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import { WebGLRenderTarget } from 'three';
+
+// Largest size of the tiles rendered at once
+const maxTileSize = 2048;
+
+// Waits for the browser to handle other events between tiles
+const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// This function takes in the renderer, scene, camera and uniforms of the
+// tiling, the image size and export settings (the number of antialiasing
+// steps, whether to leave the background transparent, and a progress
+// callback), and renders the image tile by tile into a new canvas.
+// The uniforms are restored afterwards.
+const renderTiled = async (renderer, scene, camera, uniforms, width, height, settings) => {
+    let tileSize = Math.min(maxTileSize, renderer.capabilities.maxTextureSize);
+    let target = new WebGLRenderTarget(tileSize, tileSize);
+    let buffer = new Uint8Array(tileSize * tileSize * 4);
+
+    // Output canvas
+    let canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    let ctx = canvas.getContext("2d");
+
+    // Set the uniforms for the whole image
+    let saved = {};
+    for (let name of ["resolution", "scale", "nSamples", "invSamples", "transparentBg"]) {
+        saved[name] = uniforms[name].value;
+    }
+    uniforms.resolution.value = uniforms.resolution.value.clone().set(width, height);
+    uniforms.scale.value = Math.min(width, height);
+    uniforms.nSamples.value = settings.nSamples;
+    uniforms.invSamples.value = 1 / settings.nSamples;
+    uniforms.transparentBg.value = settings.transparentBg;
+
+    let nTiles = Math.ceil(width / tileSize) * Math.ceil(height / tileSize);
+    let done = 0;
+    try {
+        renderer.setRenderTarget(target);
+        for (let y0 = 0; y0 < height; y0 += tileSize) {
+            for (let x0 = 0; x0 < width; x0 += tileSize) {
+                // Render the tile and read it back
+                let tileWidth = Math.min(tileSize, width - x0);
+                let tileHeight = Math.min(tileSize, height - y0);
+                uniforms.tileOffset.value.set(x0, y0);
+                renderer.render(scene, camera);
+                renderer.readRenderTargetPixels(target, 0, 0, tileWidth, tileHeight, buffer);
+
+                // Copy it to the canvas, flipping it since WebGL rows go upwards
+                let img = ctx.createImageData(tileWidth, tileHeight);
+                for (let row = 0; row < tileHeight; row ++) {
+                    let start = row * tileSize * 4;
+                    img.data.set(buffer.subarray(start, start + tileWidth * 4), (tileHeight - 1 - row) * tileWidth * 4);
+                }
+                ctx.putImageData(img, x0, height - y0 - tileHeight);
+
+                done ++;
+                if (settings.onProgress) {
+                    settings.onProgress(done / nTiles);
+                }
+                await yieldToBrowser();
+            }
+        }
+    } finally {
+        // Restore the on-screen rendering
+        renderer.setRenderTarget(null);
+        target.dispose();
+        uniforms.tileOffset.value.set(0, 0);
+        for (let name in saved) {
+            uniforms[name].value = saved[name];
+        }
+    }
+    return canvas;
+}
+
+// Saves the blob as a file with the given name
+const downloadBlob = (blob, fileName) => {
+    let url = URL.createObjectURL(blob);
+    let link = document.createElement("a");
+
+    link.setAttribute("download", fileName);
+    link.setAttribute("href", url);
+    link.click();
+    setTimeout(() => { URL.revokeObjectURL(url); }, 0);
+}
+
+// Saves the canvas as a PNG file with the given name
+const downloadCanvas = (canvas, fileName) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+        // The browser gives no blob when the image is too large for it
+        if (!blob) {
+            reject(new Error("the image is too large for this browser"));
+            return;
+        }
+        downloadBlob(blob, fileName);
+        resolve();
+    }, "image/png");
+});
+
+// Saves the SVG source as a file with the given name
+const downloadSvg = (svg, fileName) => {
+    downloadBlob(new Blob([svg], { type: "image/svg+xml" }), fileName);
+}
+
+// Saves the JSON source as a file with the given name
+const downloadJson = (json, fileName) => {
+    downloadBlob(new Blob([json], { type: "application/json" }), fileName);
+}
+
+export { renderTiled, downloadCanvas, downloadSvg, downloadJson };
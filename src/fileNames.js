@@ -0,0 +1,48 @@
+/**
+ * This file contains the file name templates of exported tilings.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import { defaultPalette } from './colors.js';
+import { findLavesOp } from './wythoff.js';
+
+// Default template, giving names like those in results/ along with r, which
+// tells apart the tilings of the same p and q
+const defaultTemplate = "tiling_{p}_{q}_{r}_{thickness}_{edges}_{colors}";
+
+// Colors of the default palette are written as their index, as in older
+// file names, and other colors as their hex code
+const colorCode = (hex) => {
+    let idx = defaultPalette.indexOf(hex.toLowerCase());
+    return idx < 0 ? hex.slice(1).toLowerCase() : idx;
+}
+
+// Characters that can't appear in file names
+const forbiddenChars = /[\\/:*?"<>|\s]/g;
+
+// Fields available in templates, computed from the parameters and image size
+const templateFields = {
+    p: (params) => params.pValue,
+    q: (params) => params.qValue,
+    r: (params) => params.rValue,
+    thickness: (params) => String(Math.round(params.eThickness * 1000)).padStart(4, "0"),
+    edges: (params) => [params.doV0V1, params.doV1V2, params.doV2V0].map(on => on ? "T" : "F").join(""),
+    // Operator of the uniform tiling, or of its dual drawn by the edges
+    op: (params) => params.wythoffOp || findLavesOp(params)?.id || "seed",
+    colors: (params) => [params.polygonCol, params.edgeCol, params.vertCol, params.bgCol].map(colorCode).join(""),
+    model: (params) => params.modelIdx,
+    width: (params, width) => width,
+    height: (params, width, height) => height
+};
+
+// This function takes in a template such as "hermann_{p}_{q}_{thickness}", the
+// parameters, the image size and the file extension, and returns the file name 
+// with each {field} filled in. Unknown fields are left as they are.
+const formatFileName = (template, params, width, height, extension = "png") => {
+    let name = template.replace(/\{(\w+)\}/g, (match, field) =>
+        field in templateFields ? String(templateFields[field](params, width, height)) : match);
+    return (name.replace(forbiddenChars, "_") || "tiling") + "." + extension;
+}
+
+export { defaultTemplate, templateFields, formatFileName };
@@ -0,0 +1,44 @@
+/**
+ * These are the tests of the file name templates of exported tilings.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import { defaultTemplate, formatFileName } from './fileNames.js';
+import { defaultPalette } from './colors.js';
+
+const hermannParams = {
+    pValue: 4, qValue: 5, rValue: 2, eThickness: 0.02,
+    doEdges: true, doV0V1: true, doV1V2: true, doV2V0: false,
+    polygonCol: defaultPalette[2], edgeCol: defaultPalette[0], vertCol: defaultPalette[0], bgCol: defaultPalette[5],
+    modelIdx: 0
+};
+
+describe("formatFileName", () => {
+    test("gives the names of the images in results/", () => {
+        expect(formatFileName("hermann_{p}_{q}_{thickness}_{edges}_{colors}", hermannParams, 1920, 915))
+            .toBe("hermann_4_5_0020_TTF_2005.png");
+    });
+
+    test("fills in the default template", () => {
+        expect(formatFileName(defaultTemplate, { ...hermannParams, eThickness: 0.015 }, 100, 100, "svg"))
+            .toBe("tiling_4_5_2_0015_TTF_2005.svg");
+    });
+
+    test("fills in the model, the size and the operator of uniform and dual tilings", () => {
+        expect(formatFileName("{model}_{width}x{height}_{op}", { ...hermannParams, modelIdx: 3 }, 640, 480))
+            .toBe("3_640x480_ortho.png");
+        expect(formatFileName("{op}", { ...hermannParams, wythoffOp: "snub" }, 1, 1)).toBe("snub.png");
+        expect(formatFileName("{op}", { ...hermannParams, doV1V2: false }, 1, 1)).toBe("seed.png");
+    });
+
+    test("writes colors outside of the default palette as hex codes", () => {
+        expect(formatFileName("{colors}", { ...hermannParams, polygonCol: "#ABCDEF" }, 1, 1))
+            .toBe("abcdef005.png");
+    });
+
+    test("keeps unknown fields and replaces the characters file names can't hold", () => {
+        expect(formatFileName("a/b {p}:{unknown}", hermannParams, 1, 1)).toBe("a_b_4_{unknown}.png");
+        expect(formatFileName("", hermannParams, 1, 1)).toBe("tiling.png");
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * This file contains the undo history of the parameters. Each change of the
+ * parameters is a step of the history, except that quick changes of the same
+ * values, such as dragging a slider, are merged into one step.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import { useReducer, useCallback, useMemo } from 'react';
+
+import { colorParams, snakeColorParams, wythoffColorParams } from './colors.js';
+
+// Changes of the same values closer than this (in milliseconds) are merged
+const mergeDelay = 1000;
+
+// Largest number of steps kept
+const maxSteps = 100;
+
+// Names of the settings, by the parameters they hold. Other parameters, such
+// as the geometry of the tiling, change along with these.
+const settingNames = [
+    ["Tiling", ["pValue", "qValue", "rValue"]],
+    ["Edge thickness", ["eThickness"]],
+    ["Model", ["modelIdx", "modelAngle", "modelScale"]],
+    ["Edges", ["doEdges", "doV0V1", "doV1V2", "doV2V0", "preciseEdges"]],
+    ["Vertices", ["doVerts", "doOrns", "doInvVerts"]],
+    ["Polygons", ["doSolidColor", "doInvPol", "doParity"]],
+    ["Colors", colorParams.filter(name => !snakeColorParams.includes(name) && !wythoffColorParams.includes(name))],
+    ["Rotating Snakes", ["doSnake", "doForeRev", "doBackRev", "expRatioRings", "ringLayerNum", "centerCutoff",
+                         "nRepeatPerSectV0", "nRepeatPerSectV2", "snakeOrder", "snakeAspect", "snakeProfile",
+                         "snakeRingPhase", "snakeBgPhase", ...snakeColorParams]],
+    ["Caf\u00E9 Wall", ["doCafeWall", "cafeRings", "cafeAngle", "cafeRowHeight", "cafeBrickLength", "cafeShift"]],
+    ["Ouchi", ["doOuchi", "ouchiChecker", "ouchiFrequency", "ouchiDuty", "ouchiRadius"]],
+    ["Image", ["doTexture", "textureMode", "textureMirror"]],
+    ["Pattern", ["patternId", "patternValues"]],
+    ["Coloring", ["coloringMode", "coloringColors", "coloringRotations", "coloringIdx", "coloringSeed", "tileColors"]],
+    ["Uniform tiling", ["wythoffOp", "wythoffWeights", "wythoffSnub", ...wythoffColorParams]],
+    ["View", ["view"]],
+    ["Zoom", ["zoom"]],
+    ["Motion", ["motionType", "motionSpeed", "motionCenterX", "motionCenterY", "motionAngle"]],
+    ["Rendering", ["nIterations", "nSamples", "renderScale"]]
+];
+
+// Lists the parameters whose values differ
+const changedKeys = (prev, next) => Object.keys(next).filter(key => prev[key] !== next[key]);
+
+// Lists the names of the settings holding the parameters
+const changedSettings = (keys) =>
+    settingNames.filter(([, params]) => params.some(key => keys.includes(key))).map(([name]) => name);
+
+// Describes a step of the history from the names of the settings it changed
+const describeChange = (names) => {
+    if (names.length === 0) return "Settings";
+    return names.length > 3 ? `${names.slice(0, 3).join(", ")} and ${names.length - 3} more` : names.join(", ");
+}
+
+// Checks whether a change can be merged into the previous step, which is the
+// case for quick changes of the same setting, such as dragging a slider or 
+// typing a number, but not for toggles. Settings that change along with 
+// others, as when the tiling switches the model and its zoom, are left out
+// by only comparing the first setting of each.
+const canMerge = (step, names, keys, next, time) =>
+    time - step.time < mergeDelay && names.length > 0 && names[0] === step.names[0] &&
+    keys.some(key => typeof next[key] !== "boolean" && settingNames.some(([, params]) => params.includes(key)));
+
+// The history holds the steps, each with its parameters, description, the
+// settings it changed and when, and the index of the current step
+const historyReducer = (state, action) => {
+    let current = state.steps[state.index];
+    switch (action.type) {
+        default:
+            return state;
+
+        case "set": {
+            let next = typeof action.update === "function" ? action.update(current.params) : action.update;
+            if (next === current.params) return state;
+
+            // Changes that aren't recorded replace the current step
+            let keys = changedKeys(current.params, next);
+            if (!action.record || keys.length === 0) {
+                let steps = [...state.steps];
+                steps[state.index] = { ...current, params: next };
+                return { ...state, steps };
+            }
+
+            // Merge the change into the last step, or add a step after the
+            // current one, dropping the steps that were undone
+            let steps = state.steps.slice(0, state.index + 1);
+            let names = changedSettings(keys);
+            let isLast = state.index === state.steps.length - 1;
+            if (state.index > 0 && isLast && canMerge(current, names, keys, next, action.time)) {
+                steps[state.index] = { ...current, params: next, time: action.time };
+                return { ...state, steps };
+            }
+            steps.push({ params: next, label: describeChange(names), names, time: action.time });
+            steps = steps.slice(-maxSteps);
+            return { steps, index: steps.length - 1 };
+        }
+
+        case "goto": {
+            let index = Math.min(Math.max(action.index, 0), state.steps.length - 1);
+            return { ...state, index };
+        }
+    }
+}
+
+// This hook takes in the initial parameters, and returns the current ones,
+// their setter, and the history. The setter takes in the new parameters or a
+// function updating them, and { record: false } to change the current step
+// instead of adding one. The history holds its steps, the index of the
+// current step, and functions to undo, redo and go to a step.
+const useParamHistory = (initialParams) => {
+    const [state, dispatch] = useReducer(historyReducer, {
+        steps: [{ params: initialParams, label: "Start", names: [], time: 0 }],
+        index: 0
+    });
+
+    const setParams = useCallback((update, options = {}) => {
+        dispatch({ type: "set", update, record: options.record ?? true, time: Date.now() });
+    }, []);
+
+    const { steps, index } = state;
+    const history = useMemo(() => ({
+        steps,
+        index,
+        canUndo: index > 0,
+        canRedo: index < steps.length - 1,
+        undo: () => { dispatch({ type: "goto", index: index - 1 }); },
+        redo: () => { dispatch({ type: "goto", index: index + 1 }); },
+        goTo: (idx) => { dispatch({ type: "goto", index: idx }); }
+    }), [steps, index]);
+
+    return [steps[index].params, setParams, history];
+}
+
+export { historyReducer, useParamHistory };
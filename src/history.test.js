@@ -0,0 +1,81 @@
+/**
+ * These are the tests of the undo history of the parameters, and of the way
+ * it merges and drops its steps.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import { historyReducer } from './history.js';
+
+const startState = () => ({
+    steps: [{ params: { pValue: 4, zoom: 1, doSnake: false }, label: "Start", names: [], time: 0 }],
+    index: 0
+});
+
+const set = (update, time, record = true) => ({ type: "set", update, record, time });
+const current = (state) => state.steps[state.index];
+
+describe("historyReducer", () => {
+    test("adds a step for each change, named after the settings it changed", () => {
+        let state = historyReducer(startState(), set(params => ({ ...params, pValue: 5 }), 1000));
+        state = historyReducer(state, set(params => ({ ...params, doSnake: true, zoom: 2 }), 5000));
+        expect(state.steps.map(step => step.label)).toEqual(["Start", "Tiling", "Rotating Snakes, Zoom"]);
+        expect(state.index).toBe(2);
+        expect(current(state).params).toEqual({ pValue: 5, zoom: 2, doSnake: true });
+    });
+
+    test("merges quick changes of the same setting into one step", () => {
+        let state = historyReducer(startState(), set(params => ({ ...params, zoom: 1.5 }), 1000));
+        state = historyReducer(state, set(params => ({ ...params, zoom: 2 }), 1500));
+        state = historyReducer(state, set(params => ({ ...params, zoom: 2.5 }), 2000));
+        expect(state.steps).toHaveLength(2);
+        expect(current(state).params.zoom).toBe(2.5);
+    });
+
+    test("doesn't merge slow changes, toggles or changes of other settings", () => {
+        let state = historyReducer(startState(), set(params => ({ ...params, zoom: 1.5 }), 1000));
+        state = historyReducer(state, set(params => ({ ...params, zoom: 2 }), 3000));
+        state = historyReducer(state, set(params => ({ ...params, pValue: 5 }), 3100));
+        state = historyReducer(state, set(params => ({ ...params, doSnake: true }), 3200));
+        state = historyReducer(state, set(params => ({ ...params, doSnake: false }), 3300));
+        expect(state.steps).toHaveLength(6);
+    });
+
+    test("replaces the current step for changes that aren't recorded, or that change nothing", () => {
+        let state = historyReducer(startState(), set(params => ({ ...params, pValue: 5 }), 1000));
+        state = historyReducer(state, set(params => ({ ...params, zoom: 3 }), 5000, false));
+        state = historyReducer(state, set(params => ({ ...params }), 9000));
+        expect(state.steps).toHaveLength(2);
+        expect(current(state).params).toEqual({ pValue: 5, zoom: 3, doSnake: false });
+        expect(current(state).time).toBe(1000);
+    });
+
+    test("drops the undone steps when a new change is made", () => {
+        let state = startState();
+        for (let p = 5; p <= 7; p ++) {
+            state = historyReducer(state, set(params => ({ ...params, pValue: p }), p * 5000));
+        }
+        state = historyReducer(state, { type: "goto", index: 1 });
+        expect(current(state).params.pValue).toBe(5);
+        state = historyReducer(state, set(params => ({ ...params, zoom: 2 }), 50000));
+        expect(state.steps.map(step => step.params.pValue)).toEqual([4, 5, 5]);
+        expect(state.index).toBe(2);
+    });
+
+    test("keeps the last 100 steps", () => {
+        let state = startState();
+        for (let i = 1; i <= 120; i ++) {
+            state = historyReducer(state, set(params => ({ ...params, zoom: i }), i * 5000));
+        }
+        expect(state.steps).toHaveLength(100);
+        expect(state.steps[0].params.zoom).toBe(21);
+        expect(state.index).toBe(99);
+        expect(current(state).params.zoom).toBe(120);
+    });
+
+    test("clamps the step to go to", () => {
+        let state = historyReducer(startState(), set(params => ({ ...params, pValue: 5 }), 1000));
+        expect(historyReducer(state, { type: "goto", index: -3 }).index).toBe(0);
+        expect(historyReducer(state, { type: "goto", index: 8 }).index).toBe(1);
+    });
+});
@@ -7,7 +7,7 @@
 
 import React from 'react';
 import ReactDOM from 'react-dom/client';
-import App from './App';
+import App from './App.js';
 import { ConfigProvider } from 'antd';
 
 import './index.css';
@@ -69,9 +69,27 @@ root.render(
                 optionFontSize: "1rem",
                 selectorBg: "var(--dark-col-3)"
             },
+            Input: {
+                colorBgContainer: "var(--dark-col-3)",
+                activeBorderColor: "var(--elt-col-1)",
+                hoverBorderColor: "var(--elt-col-3)"
+            },
+            InputNumber: {
+                colorBgContainer: "var(--dark-col-3)",
+                activeBorderColor: "var(--elt-col-1)",
+                hoverBorderColor: "var(--elt-col-3)"
+            },
+            Progress: {
+                defaultColor: "var(--elt-col-1)",
+                remainingColor: "var(--dark-col-4)"
+            },
             Alert: {
                 colorErrorBorder: "var(--error-col-1)",
                 colorErrorBg: "var(--error-col-2)",
+                colorWarningBorder: "var(--warning-col-1)",
+                colorWarningBg: "var(--warning-col-2)",
+                colorSuccessBorder: "var(--success-col-1)",
+                colorSuccessBg: "var(--success-col-2)",
                 fontSize: "1rem"
             }
         }
@@ -62,6 +62,12 @@ class Complex {
         return exp.sub(CMP_ONE).div(exp.add(CMP_ONE));
     }
 
+    atanh() {
+        // Complex inverse hyperbolic tangent of the current complex number
+        let quot = CMP_ONE.add(this).div(CMP_ONE.sub(this));
+        return new Complex(0.5 * Math.log(quot.getNorm()), 0.5 * Math.atan2(quot.y, quot.x));
+    }
+
     power(n) {
         let r = this.getNorm();
         let phi = Math.atan2(this.y, this.x);
@@ -85,148 +91,107 @@ class Complex {
 const versor = (t) => new Complex(Math.cos(t), Math.sin(t));
 
 // Constants
+const CMP_ZERO = new Complex(0, 0);
 const CMP_ONE = new Complex(1, 0);
 const CMP_I = new Complex(0, 1);
 
-/*
-Mappings from various models of the hyperbolic plane to Poincare disk model.
-*/
-
-// Scaling factors for various models
-const gansScale = 10;
-const mapScale = 3;
-
-const modelMaps = [
-    (z) => z, // Poincare disk model (default)
-    (z) => { // Upper half-plane model
-        z.y ++;
-        return z.sub(CMP_I).div(z.add(CMP_I));
-    },
-    (z) => z.divRe(1 + Math.sqrt(1 - z.normSq())), // Beltrami-Klein model
-    (z) => z.mulRe(mapScale).reciprocal(), // Inverted Poincare model
-    (z) => { // Gans model
-        z = z.mulRe(gansScale);
-        return z.divRe(1 + Math.sqrt(1 + z.normSq()));
-    },
-    (z) => {
-        // Azimuthal equidistant projection
-        z = z.mulRe(mapScale);
-        let mag = Math.tanh(z.getNorm() * 0.5);
-        return z.getNormalized().mulRe(mag);
-    },
-    (z) => {
-        // Equal-area projection
-        z = z.mulRe(mapScale);
-        return z.divRe(Math.sqrt(1 + z.normSq()));
-    },
-    (z) => z.tanh(), // Band model
-];
+// Distance from the origin to the third mirror of a Euclidean tiling
+const flatInradius = 0.3;
 
 /*
-Computing the tiling parameters for a given Schlafli symbol.
+Computing the tiling parameters for a given (p, q, r) triangle group.
 */
 
-const generateTilingParams = (p, q, edgeThickness) => {
+// Sign of the curvature of the (p, q, r) triangle group, i.e. -1 when
+// 1/p + 1/q + 1/r < 1 (hyperbolic), 0 when it is 1 (Euclidean), 1 otherwise
+const getCurvature = (p, q, r = 2) => Math.sign(q * r + p * r + p * q - p * q * r);
+
+// This function takes in a (p, q, r) triangle group and the edge thickness, and 
+// returns the parameters of the tiling, or { error } describing why it can't 
+// be drawn (see tilingErrors)
+const generateTilingParams = (p, q, edgeThickness, r = 2) => {
+    if (![p, q, r].every(n => Number.isInteger(n) && n >= 2)) {
+        return tilingError(tilingErrors.INVALID_GROUP, 
+            `p, q and r should be whole numbers of at least 2, not ${p}, ${q} and ${r}`);
+    }
+    if (!Number.isFinite(edgeThickness) || edgeThickness <= 0) {
+        return tilingError(tilingErrors.INVALID_THICKNESS, 
+            `The edge thickness should be a positive number, not ${edgeThickness}`);
+    }
+    let curvature = getCurvature(p, q, r);
     let alpha = Math.PI / p; 
     let refDir = versor(alpha);
 
-    // Compute Euclidean distance from polygon's vertices to center
-    let beta = Math.PI / q;
-    let cotq = 1 / Math.tan(beta);
-    let tanp = refDir.y / refDir.x;
-    let rSide = Math.sqrt((cotq - tanp) / (cotq + tanp));
+    // The third mirror meets the x-axis at an angle of PI/r and the refDir 
+    // line at an angle of PI/q. Its center direction follows from the 
+    // cosines of these two angles.
+    let cosR = Math.cos(Math.PI / r);
+    let cosQ = Math.cos(Math.PI / q);
+    let cenDir = new Complex((cosQ + cosR * refDir.x) / refDir.y, cosR);
     
-    // Inversion circle center and radius
-    let cenX = .5 * (rSide * rSide + 1) / (rSide * refDir.x);
-    let invRadSq = cenX * cenX + (-2 * refDir.x * cenX + rSide) * rSide;
-    let invCen= new Complex(cenX, 0);
-    let invRad= Math.sqrt(invRadSq);
+    // Inversion circle center and radius. The circle is orthogonal to the 
+    // unit circle in the hyperbolic case and passes through two antipodal 
+    // points of it in the spherical case. In the Euclidean case it 
+    // degenerates into a line, stored as its unit normal and its offset.
+    let invCen, invRad;
+    if (curvature === 0) {
+        invCen = cenDir.getNormalized();
+        invRad = flatInradius;
+    } else {
+        invRad = 1 / Math.sqrt(Math.abs(cenDir.normSq() - 1));
+        invCen = cenDir.mulRe(-curvature * invRad);
+    }
+    let mirror = { center: invCen, radius: invRad, isLine: curvature === 0 };
 
     // --- Fundamental triangle vertices ---
 
     // V0: disk center
     let V0 = new Complex(0, 0);
 
-    // V1: along radial line toward invCen, distance to inversion circle edge
-    let dir = invCen.sub(V0).getNormalized();  // unit vector from origin to invCen
-    let d_edge = invCen.sub(V0).getNorm() - invRad;
-    let V1 = dir.mulRe(d_edge);
-    // console.log("V1:",V1)
-
-    let V2 = intersectCircleWithOriginLine(invCen, invRad, refDir);
+    // V1: intersection of the third mirror with the x-axis closest to V0
+    let V1 = closestToOrigin(intersectGeneralizedCircles(mirror, lineThroughOrigin(CMP_ONE)));
 
+    // V2: intersection of the third mirror with the refDir line closest to V0
+    let V2 = closestToOrigin(intersectGeneralizedCircles(mirror, lineThroughOrigin(refDir)));
 
-    // Universal thickening point 
-    let M_thickPoint = new Complex(0, edgeThickness);
 
-    
-    //Calculate the center and radius of the edge V0V1 thickening circle
-    let P1 = new Complex(-1, 0);
-    let P2 = new Complex(1, 0);
+    // Frames mapping each edge isometrically onto the real axis, with the 
+    // fundamental triangle lying above it
+    let MMap01 = geodesicFrame(V0, V1, curvature);
+    let MMap12 = geodesicFrame(V1, V2, curvature);
+    let MMap20 = geodesicFrame(V0, V2, curvature, true);
 
-    // Find the thickening point for V0V1
-    let MMap01 = MobiusMap3PointsTo_m101(P1, V0, P2);
-    let newM01 = applyMobiusTrans(MMap01, M_thickPoint, true);
+    // Thick edges, bounded by the curves at the distance given by the edge 
+    // thickness from each edge
+    let thickEdge01 = equidistantCurve(MMap01, V0, edgeThickness, curvature);
+    let thickEdge12 = equidistantCurve(MMap12, V1, edgeThickness, curvature);
+    let thickEdge20 = equidistantCurve(MMap20, V0, edgeThickness, curvature);
 
-    // // Compute circle center (Cx, Cy) through P1, P2, newM01
     let { center: newThickEdge01CircleCenter, 
-        radius: newThickEdge01CircleRadius } = circleFrom3Points(P1, P2, newM01);
-
-
-    // Calculate the center and radius of the edge V1V2 thickening circle
-    // Compute intersections of invCen circle with unit disk
-    let intersections = circleCircleIntersections(invCen, invRad, V0, 1.0);
-
-    // sort by y descending (top first)
-    intersections.sort((a, b) => b.y - a.y);
-    P1 = intersections[0]; // upper
-    P2 = intersections[1]; // lower
-
-    // Find the thickening point for V1V2
-    let MMap12 = MobiusMap3PointsTo_m101(P2, V1, P1);
-    let newM12 = applyMobiusTrans(MMap12, M_thickPoint, true);
-
-    // Compute circle center (Cx, Cy) through P1, P2, newM12
+        radius: newThickEdge01CircleRadius } = thickEdge01;
     let { center: newThickEdge12CircleCenter, 
-        radius: newThickEdge12CircleRadius } = circleFrom3Points(P1, P2, newM12);
-    
-    
-    //Calculate the center and radius of the edge V2V0 thickening circle
-    P1 = V2.divRe(V2.getNorm());
-    P2 = V2.divRe(-V2.getNorm());
-
-    // Find the thickening point for V2V0
-    let MMap20 = MobiusMap3PointsTo_m101(P1, V0, P2);
-    let newM20 = applyMobiusTrans(MMap20, M_thickPoint, true);
-
-    // Compute circle center (Cx, Cy) through P1, P2, newM01
+        radius: newThickEdge12CircleRadius } = thickEdge12;
     let { center: newThickEdge20CircleCenter, 
-        radius: newThickEdge20CircleRadius } = circleFrom3Points(P1, P2, newM20);
-    
-
-    // DONE! (CHECK THE REORDERING THING)
-    // let { center: newThickEdge01CircleCenter, 
-    //     radius: newThickEdge01CircleRadius } = circleFrom3Points(P1, P2, M_thickPoint);
+        radius: newThickEdge20CircleRadius } = thickEdge20;
 
-    // newThickEdge01CircleCenter = applyMobiusTrans(MMap01, newThickEdge01CircleCenter, true);
-    // newThickEdge01CircleRadius = (newThickEdge01CircleCenter.sub(P2)).getNorm();
-
-    // let { center: newThickEdge12CircleCenter, 
-    //     radius: newThickEdge12CircleRadius } = circleFrom3Points(P1, P2, M_thickPoint);
-
-    // newThickEdge12CircleCenter = applyMobiusTrans(MMap12, newThickEdge12CircleCenter, true);
-    // newThickEdge12CircleRadius = (newThickEdge12CircleCenter.sub(P1)).getNorm();
+    // Corners of the part of the triangle left uncovered by the thick edges, 
+    // which must lie inside the triangle and clear of the third thick edge
+    let thickEdgeIntersection_20_01 =
+        intersectGeneralizedCircles(thickEdge20, thickEdge01).filter(p => isInsideTriangle(p, V0, V1, V2))[0];
+    let thickEdgeIntersection_01_12 =
+        intersectGeneralizedCircles(thickEdge01, thickEdge12).filter(p => isInsideTriangle(p, V0, V1, V2))[0];
+    let thickEdgeIntersection_12_20 =
+        intersectGeneralizedCircles(thickEdge12, thickEdge20).filter(p => isInsideTriangle(p, V0, V1, V2))[0];
+    let corners = [
+        [thickEdgeIntersection_20_01, thickEdge12], 
+        [thickEdgeIntersection_01_12, thickEdge20], 
+        [thickEdgeIntersection_12_20, thickEdge01]];
+    if (corners.some(([corner, edge]) => !corner || thickEdgeDist(corner, edge, curvature) <= 0)) {
+        return tilingError(tilingErrors.THICKNESS_TOO_LARGE,
+            `The edge thickness ${edgeThickness} is too large for the (${p}, ${q}, ${r}) triangle group`);
+    }
 
-    
     // Find the enlarged circle at triV0
-    // Intersections of thick edge 20 circle with thick edge 01 circle
-    let thickEdgeIntersection_20_01 =
-        circleCircleIntersections(
-            newThickEdge20CircleCenter,
-            newThickEdge20CircleRadius,
-            newThickEdge01CircleCenter,
-            newThickEdge01CircleRadius
-        ).filter(p => isInsideTriangle(p, V0, V1, V2))[0];
 
     // Compute circle enlarged triV0
     let { center: triV0EnlargedCircleCenter, 
@@ -236,15 +201,6 @@ const generateTilingParams = (p, q, edgeThickness) => {
 
 
     // Find the enlarged circle at triV1
-    // Intersections of thick edge 01 circle with thick edge 12 circle
-    let thickEdgeIntersection_01_12 =
-        circleCircleIntersections(
-            newThickEdge01CircleCenter,
-            newThickEdge01CircleRadius,
-            newThickEdge12CircleCenter,
-            newThickEdge12CircleRadius
-        ).filter(p => isInsideTriangle(p, V0, V1, V2))[0];
-
     // Compute circle enlarged triV1
     let { center: triV1EnlargedCircleCenter, 
         radius: triV1EnlargedCircleRadius } = enlargedCircleAtPoint(thickEdgeIntersection_01_12,
@@ -253,16 +209,6 @@ const generateTilingParams = (p, q, edgeThickness) => {
 
 
     // Find the enlarged circle at triV2
-    // Intersections of thick edge 12 circle with thick edge 20 circle
-    let thickEdgeIntersection_12_20 =
-        circleCircleIntersections(
-            newThickEdge12CircleCenter,
-            newThickEdge12CircleRadius,
-            newThickEdge20CircleCenter,
-            newThickEdge20CircleRadius
-        ).filter(p => isInsideTriangle(p, V0, V1, V2))[0];
-
-
     // Compute circle enlarged at V2
     let { center: triV2EnlargedCircleCenter, 
         radius: triV2EnlargedCircleRadius } = enlargedCircleAtPoint(thickEdgeIntersection_12_20,
@@ -273,9 +219,7 @@ const generateTilingParams = (p, q, edgeThickness) => {
     // Find the enlarged circle at V2
     // Intersections of thick edge 12 circle with edge V2V0
     // This is thickEdgeIntersection_12_V2V0
-    let V2a = intersectCircleWithOriginLine(newThickEdge12CircleCenter,
-                                            newThickEdge12CircleRadius,
-                                            refDir);
+    let V2a = closestToOrigin(intersectGeneralizedCircles(thickEdge12, lineThroughOrigin(refDir)));
     
     // --- Point reflected of V2a via MMap12 ---
     let V2a_trans_12 = applyMobiusTrans(MMap12, V2a, false);
@@ -295,9 +239,7 @@ const generateTilingParams = (p, q, edgeThickness) => {
     // Find the enlarged circle at V0
     // Intersections of thick edge 01 circle with edge V2V0
     // This is thickEdgeIntersection_01_V2V0
-    let V0a = intersectCircleWithOriginLine(newThickEdge01CircleCenter,
-                                            newThickEdge01CircleRadius,
-                                            refDir);
+    let V0a = closestToOrigin(intersectGeneralizedCircles(thickEdge01, lineThroughOrigin(refDir)));
     
     // --- Point reflected of V0a via MMap01 ---
     let V0b = new Complex(V0a.x, -V0a.y);
@@ -314,7 +256,7 @@ const generateTilingParams = (p, q, edgeThickness) => {
     let D = new Complex(edgeThickness * 4., 0.);
     let E = ornament(D, V2, len_rat, angle_rat);
 
-    let MMap2 = MobiusMap3PointsTo_m101(intersections[1], V2, intersections[0]);
+    let MMap2 = geodesicFrame(V2, V1, curvature, true);
     let tmp_E2 = ornament(new Complex(-D.x, D.y), applyMobiusTrans(MMap2, V0, false), len_rat, angle_rat);
     let D2 = applyMobiusTrans(MMap2, new Complex(-D.x, D.y), true);
     let E2 = applyMobiusTrans(MMap2, tmp_E2, true);
@@ -325,7 +267,7 @@ const generateTilingParams = (p, q, edgeThickness) => {
     let E1 = applyMobiusTrans(MMap12, E, true);
     
 
-    let MMap1 = MobiusMap3PointsTo_m101(new Complex(-1., 0.), V1, new Complex(1., 0.));
+    let MMap1 = geodesicFrame(V1, V0, curvature, true);
     let D1p = applyMobiusTrans(MMap1, new Complex(-D.x, D.y), true);
     let E1p = applyMobiusTrans(MMap1, new Complex(-E.x, E.y), true);
 
@@ -341,7 +283,8 @@ const generateTilingParams = (p, q, edgeThickness) => {
     let { center: C2RotSnakesCenter, 
         radius: C2RotSnakesRadius } = circleFrom3Points(V1, V1_ref_20, V1_ref_20_ref_12);
 
-    return {
+    let tiling = {
+        curvature,
         invCen,
         invRad,
         refNrm: new Complex(refDir.y, -refDir.x),
@@ -375,6 +318,201 @@ const generateTilingParams = (p, q, edgeThickness) => {
         C2RotSnakesCenter,
         C2RotSnakesRadius
     };
+
+    // Nearly degenerate triangles may still run into infinities
+    let isFiniteValue = (val) => typeof val === "number" ? 
+        Number.isFinite(val) : Number.isFinite(val.x) && Number.isFinite(val.y);
+    if (!Object.values(tiling).every(isFiniteValue)) {
+        return tilingError(tilingErrors.DEGENERATE, 
+            `The (${p}, ${q}, ${r}) triangle group can't be drawn with the edge thickness ${edgeThickness}`);
+    }
+    return tiling;
+}
+
+/*
+Validating the tiling parameters.
+*/
+
+// Kinds of errors returned by generateTilingParams
+const tilingErrors = { 
+    INVALID_GROUP: "invalidGroup", 
+    INVALID_THICKNESS: "invalidThickness", 
+    THICKNESS_TOO_LARGE: "thicknessTooLarge", 
+    DEGENERATE: "degenerate" 
+};
+
+// Range of the edge thickness (and vertex size) offered in the app
+const minThickness = 0.005;
+const maxThickness = 0.145;
+const limitSteps = 30;
+
+// Returns the error with the given code and message, in the form returned 
+// by generateTilingParams
+const tilingError = (code, message) => ({ error: { code, message } });
+
+// Signed distance to the boundary of a thick edge, negative on the edge, as 
+// in the shader
+const thickEdgeDist = (z, edge, curvature) => {
+    if (curvature === 0) return z.x * edge.center.x + z.y * edge.center.y - edge.radius;
+    return (z.sub(edge.center).getNorm() - Math.abs(edge.radius)) * Math.sign(edge.radius);
+}
+
+// This function takes in a (p, q, r) triangle group and returns the range of 
+// edge thicknesses it can be drawn with, as { min, max, maxOrnament } where 
+// maxOrnament is the largest size of ornamented vertices, or { error } if the 
+// group can't be drawn at all
+const thicknessLimits = (p, q, r = 2) => {
+    let tiling = generateTilingParams(p, q, minThickness, r);
+    if (tiling.error) {
+        return tiling;
+    }
+
+    // The thick edges and ornaments grow with the thickness, so the largest 
+    // one passing a test is found by bisection
+    let largest = (fits) => {
+        let isValid = (thickness) => {
+            let tiling = generateTilingParams(p, q, thickness, r);
+            return !tiling.error && fits(tiling);
+        }
+        let lo = minThickness, hi = maxThickness;
+        if (isValid(hi)) {
+            return hi;
+        }
+        for (let i = 0; i < limitSteps; i ++) {
+            let mid = (lo + hi) / 2;
+            if (isValid(mid)) {
+                lo = mid;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo;
+    }
+
+    // The ornaments at both ends of the V0V1 and V1V2 edges shouldn't overlap
+    let ornamentsFit = ({ V1, V2, D, D1p, D2 }) => D.x < D1p.x && 
+        applyMobiusTrans(geodesicFrame(V1, V2, tiling.curvature), D2).x > D.x;
+
+    return { min: minThickness, max: largest(() => true), maxOrnament: largest(ornamentsFit) };
+}
+
+/*
+Folding points into the fundamental triangle, as the shader does.
+*/
+
+// This function takes in a point, the tiling parameters and the maximum number 
+// of iterations, and reflects the point into the fundamental triangle like the
+// fold loop of the shader. It returns the folded point, the mirrors it was 
+// reflected in (0 for the mirror opposite V0, 1 for the line with normal 
+// refNrm, 2 for the x-axis), and the reflection counts used for coloring.
+const foldToFundamental = (z, tiling, nIterations) => {
+    let { curvature, invCen, invRad, refNrm } = tiling;
+    let mirrors = [];
+    let counts = { n: 0, a: 0, b: 0, c: 0, col0: 0, col1: 0, col2: 0, polCol: 0 };
+
+    for (let i = 0; i < nIterations; i ++) {
+        let fund = true;
+
+        // Mirror opposite V0
+        let diff = z.sub(invCen);
+        if (curvature === 0) {
+            let dotProd = z.x * invCen.x + z.y * invCen.y - invRad;
+            if (dotProd > 0) {
+                z = z.sub(invCen.mulRe(2 * dotProd));
+                fund = false;
+            }
+        } else if ((diff.normSq() - invRad * invRad) * curvature > 0) {
+            z = invCen.add(diff.mulRe(invRad * invRad / diff.normSq()));
+            fund = false;
+        }
+        if (!fund) {
+            mirrors.push(0);
+            counts.n ++; counts.a ++; counts.polCol ++; counts.col0 ++; counts.c ++;
+        }
+
+        // Mirror opposite V1
+        let dotProd = z.x * refNrm.x + z.y * refNrm.y;
+        if (dotProd < 0) {
+            z = z.sub(refNrm.mulRe(2 * dotProd));
+            fund = false;
+            mirrors.push(1);
+            counts.n ++; counts.col1 ++; counts.b ++; counts.c ++;
+        }
+
+        // Mirror opposite V2
+        if (z.y < 0) {
+            z = z.conj();
+            fund = false;
+            mirrors.push(2);
+            counts.n ++; counts.polCol ++; counts.col2 ++; counts.b ++;
+        }
+
+        if (fund) break;
+    }
+    return { z, mirrors, counts };
+}
+
+// This function takes in a point of the fundamental triangle, the mirrors
+// returned by foldToFundamental for a point and the tiling parameters, and 
+// reflects the point back in those mirrors, giving the matching point of the
+// triangle that was folded. Unfolding V0 gives the center of its polygon.
+const unfoldPoint = (z, mirrors, tiling) => {
+    let { curvature, invCen, invRad, refNrm } = tiling;
+    for (let i = mirrors.length - 1; i >= 0; i --) {
+        if (mirrors[i] === 0 && curvature === 0) {
+            z = z.sub(invCen.mulRe(2 * (z.x * invCen.x + z.y * invCen.y - invRad)));
+        } else if (mirrors[i] === 0) {
+            let diff = z.sub(invCen);
+            z = invCen.add(diff.mulRe(invRad * invRad / diff.normSq()));
+        } else if (mirrors[i] === 1) {
+            z = z.sub(refNrm.mulRe(2 * (z.x * refNrm.x + z.y * refNrm.y)));
+        } else {
+            z = z.conj();
+        }
+    }
+    return z;
+}
+
+// This function takes in a point, the direction of a geodesic through the 
+// origin and the curvature, and returns { across } with the signed distance
+// of the point from the geodesic, positive on its left, and { along } with 
+// the distance from the origin to the foot of the perpendicular through the
+// point, like the fermiCoords function of the shader. The point at infinity
+// of the sphere lies on the geodesic, opposite the origin.
+const fermiCoords = (z, angle, curvature) => {
+    if (!isFinite(z.x) || !isFinite(z.y)) {
+        return { across: 0, along: Math.PI };
+    }
+    let w = z.mul(versor(-angle));
+    let nrmSq = w.normSq();
+    let sinAcross = 2 * w.y / (1 + curvature * nrmSq);
+    if (curvature < 0) {
+        return { across: Math.asinh(sinAcross), along: Math.atanh(2 * w.x / (1 + nrmSq)) };
+    }
+    if (curvature > 0) {
+        return { across: Math.asin(Math.min(Math.max(sinAcross, -1), 1)), along: Math.atan2(2 * w.x, 1 - nrmSq) };
+    }
+    return { across: sinAcross, along: 2 * w.x };
+}
+
+// This function takes in the tiling parameters and returns the reflections in
+// the three mirrors (in the order used by foldToFundamental) as "2x2 matrices" 
+// M of the maps z -> M(conj(z)). Each M is itself an isometry.
+const mirrorReflections = (tiling) => {
+    let { curvature, invCen, invRad, refNrm } = tiling;
+    
+    let mirror;
+    if (curvature === 0) {
+        // z -> z - 2 (dot(z, n) - offset) n, with n = invCen
+        mirror = { a: invCen.mul(invCen).mulRe(-1), b: invCen.mulRe(2 * invRad), c: CMP_ZERO, d: CMP_ONE };
+    } else {
+        // Inversion z -> c + r^2 / conj(z - c)
+        mirror = { a: invCen, b: new Complex(invRad * invRad - invCen.normSq(), 0), c: CMP_ONE, d: invCen.conj().mulRe(-1) };
+    }
+    let dir = refNrm.mul(CMP_I);
+    let line = rotationMobius(dir.mul(dir));
+
+    return [mirror, line, MOBIUS_ID].map(MMap => normalizeIsometry(MMap, curvature));
 }
 
 // This function takes in 3 non-colinear points p1, p2, p3
@@ -426,6 +564,145 @@ const applyMobiusTrans = (MMap, z, inverted = false) => {
     }
 }
 
+/*
+Isometries of the plane as Mobius transformations. Hyperbolic isometries fix
+the unit disk, spherical ones are rotations of the sphere in stereographic 
+coordinates, and Euclidean ones are rigid motions.
+*/
+
+// Kinds of animated motions
+const motionTypes = { NONE: 0, ELLIPTIC: 1, PARABOLIC: 2, HYPERBOLIC: 3 };
+
+// Largest distance from the origin of a motion's center in the unit disk
+const maxMotionRadius = 0.99;
+
+// The identity transformation
+const MOBIUS_ID = { a: CMP_ONE, b: CMP_ZERO, c: CMP_ZERO, d: CMP_ONE };
+
+// Returns the "2x2 matrix" of the composition of M after N
+const composeMobius = (M, N) => ({
+    a: M.a.mul(N.a).add(M.b.mul(N.c)),
+    b: M.a.mul(N.b).add(M.b.mul(N.d)),
+    c: M.c.mul(N.a).add(M.d.mul(N.c)),
+    d: M.c.mul(N.b).add(M.d.mul(N.d))
+});
+
+// Rotation about the origin z -> rot * z, for a unit complex number rot
+const rotationMobius = (rot) => ({ a: rot, b: CMP_ZERO, c: CMP_ZERO, d: CMP_ONE });
+
+// Translation z -> (z + A) / (1 - curvature * conj(A) * z), moving 0 to A
+const translationMobius = (A, curvature) => ({
+    a: CMP_ONE,
+    b: A,
+    c: A.conj().mulRe(-curvature),
+    d: CMP_ONE
+});
+
+// Translation along the geodesic through P and Q, moving P to Q
+const geodesicTranslation = (P, Q, curvature) => {
+    let toOrigin = translationMobius(P.mulRe(-1), curvature);
+    let fromOrigin = translationMobius(P, curvature);
+    let step = translationMobius(applyMobiusTrans(toOrigin, Q, false), curvature);
+
+    return composeMobius(fromOrigin, composeMobius(step, toOrigin));
+}
+
+// Translation by the given distance along the real axis, which is a geodesic
+// of the plane with the given curvature
+const axialTranslation = (dist, curvature) => {
+    let half = dist / 2;
+    let [ch, sh] = curvature < 0 ? [Math.cosh(half), Math.sinh(half)] : 
+                    curvature > 0 ? [Math.cos(half), Math.sin(half)] : [1, dist];
+    
+    return { a: new Complex(ch, 0), b: new Complex(sh, 0), c: new Complex(-curvature * sh, 0), d: new Complex(ch, 0) };
+}
+
+// Translation by the given distance along the geodesic leaving the origin
+// in the direction of the given angle
+const directedTranslation = (angle, dist, curvature) => {
+    let rot = rotationMobius(versor(angle));
+    let rotInv = rotationMobius(versor(-angle));
+    return composeMobius(rot, composeMobius(axialTranslation(dist, curvature), rotInv));
+}
+
+// Parabolic isometry of the unit disk fixing the ideal point 1, which is the
+// translation w -> w + dist of the upper half-plane seen through the Cayley map
+const parabolicMobius = (dist) => ({
+    a: new Complex(1, dist / 2),
+    b: new Complex(0, -dist / 2),
+    c: new Complex(0, dist / 2),
+    d: new Complex(1, -dist / 2)
+});
+
+// This function takes in the kind of motion (see motionTypes), its center, 
+// its direction angle, how far it has gone (an angle for rotations and a 
+// distance otherwise) and the curvature of the plane, and returns the 
+// "2x2 matrix" of the isometry moving the plane that far.
+// Rotations turn about the center, parabolic motions slide along the 
+// horocycles at the ideal point in the given direction, and translations 
+// follow the geodesic through the center in the given direction.
+const motionIsometry = (type, center, angle, amount, curvature) => {
+    // Keep the center inside the disk for hyperbolic tilings
+    if (curvature < 0 && center.getNorm() > maxMotionRadius) {
+        center = center.getNormalized().mulRe(maxMotionRadius);
+    }
+    
+    // Frame mapping the origin to the center and the real axis to the direction
+    let frame = composeMobius(translationMobius(center, curvature), rotationMobius(versor(angle)));
+    let local;
+    switch (type) {
+        case motionTypes.ELLIPTIC:
+            local = rotationMobius(versor(amount));
+            frame = translationMobius(center, curvature);
+            break;
+        case motionTypes.PARABOLIC:
+            // Only hyperbolic planes have ideal points, so other planes slide 
+            // along the line perpendicular to the direction instead
+            frame = rotationMobius(versor(angle));
+            local = curvature < 0 ? parabolicMobius(amount) : 
+                composeMobius(rotationMobius(CMP_I), composeMobius(axialTranslation(amount, curvature), rotationMobius(CMP_I.conj())));
+            break;
+        case motionTypes.HYPERBOLIC:
+            local = axialTranslation(amount, curvature);
+            break;
+        default:
+            return MOBIUS_ID;
+    }
+
+    let frameInv = { a: frame.d, b: frame.b.mulRe(-1), c: frame.c.mulRe(-1), d: frame.a };
+    return normalizeIsometry(composeMobius(frame, composeMobius(local, frameInv)), curvature);
+}
+
+// This function takes in the "2x2 matrix" of an isometry that may have 
+// drifted after many compositions, and projects it back onto the isometries 
+// of the plane with the given curvature, which have d = conj(a) and 
+// c = -curvature * conj(b) once the determinant is 1
+const normalizeIsometry = (MMap, curvature) => {
+    let det = MMap.a.mul(MMap.d).sub(MMap.b.mul(MMap.c));
+    let scale = det.root(2)[0];
+
+    let a = MMap.a.div(scale).add(MMap.d.div(scale).conj()).mulRe(.5);
+    let b = MMap.b.div(scale);
+    if (curvature !== 0) {
+        b = b.sub(MMap.c.div(scale).conj().mulRe(curvature)).mulRe(.5);
+    }
+
+    let norm = Math.sqrt(a.normSq() + curvature * b.normSq());
+    a = a.divRe(norm);
+    b = b.divRe(norm);
+
+    return { a, b, c: b.conj().mulRe(-curvature), d: a.conj() };
+}
+
+// Checks whether the "2x2 matrix" is an isometry of the plane with the 
+// given curvature, up to a scalar factor
+const isIsometry = (MMap, curvature) => {
+    let proj = normalizeIsometry(MMap, curvature);
+    let scale = MMap.a.mul(MMap.d).sub(MMap.b.mul(MMap.c)).root(2)[0];
+
+    return ["a", "b", "c", "d"].every(key => MMap[key].div(scale).sub(proj[key]).getNorm() < 1e-6);
+}
+
 // Return intersection points of two circles (or [] if none)
 // Based on https://mathworld.wolfram.com/Circle-CircleIntersection.html
 const circleCircleIntersections = (c1, r1, c2, r2) => {
@@ -513,56 +790,106 @@ function ornament(D, refDir, len_rat, angle_rat) {
     return versor(thetaE).mulRe(rE);
 }
 
-function intersectCircleWithOriginLine(invCen, invRad, refDir) {
-    // line normal n = (refDir.y, -refDir.x)
-    const nx = refDir.y;
-    const ny = -refDir.x;
+// Line through the origin in the given direction, as a generalized circle
+const lineThroughOrigin = (dir) => ({ center: new Complex(dir.y, -dir.x), radius: 0, isLine: true });
 
-    const cenX = invCen.x;
-    const cenY = invCen.y;
+// Returns the point of the given list closest to the origin (or undefined if empty)
+const closestToOrigin = (points) => 
+    points.reduce((best, p) => (best === undefined || p.normSq() < best.normSq()) ? p : best, undefined);
 
-    let V = null;
+// Return intersection points of two generalized circles (or [] if none).
+// A generalized circle is either a circle with a center and a (possibly
+// negative) radius, or a line with a unit normal stored in the center
+// and its offset along it stored in the radius.
+const intersectGeneralizedCircles = (g1, g2) => {
+    if (!g1.isLine && !g2.isLine) {
+        return circleCircleIntersections(g1.center, Math.abs(g1.radius), g2.center, Math.abs(g2.radius));
+    }
 
-    // Non-vertical line
-    if (Math.abs(ny) > 1e-12) {
-        // line: nx*x + ny*y = 0  →  y = slope * x
-        const slope = -nx / ny;
+    if (g1.isLine && g2.isLine) {
+        // Solve the 2x2 linear system of both line equations
+        let n1 = g1.center, n2 = g2.center;
+        let det = n1.x * n2.y - n1.y * n2.x;
+        if (Math.abs(det) < 1e-12) return [];
 
-        // Substitute into circle equation
-        // (x - cx)^2 + (slope*x - cy)^2 = r^2
-        const A = 1 + slope * slope;
-        const B = -2 * (cenX + slope * cenY);
-        const C = cenX * cenX + cenY * cenY - invRad * invRad;
+        return [new Complex(
+            (g1.radius * n2.y - g2.radius * n1.y) / det,
+            (n1.x * g2.radius - n2.x * g1.radius) / det)];
+    }
 
-        const disc = B * B - 4 * A * C;
-        if (disc < 0) return null;
+    // Line-circle intersection, from the foot of the perpendicular 
+    // dropped from the circle's center onto the line
+    let line = g1.isLine ? g1 : g2;
+    let circ = g1.isLine ? g2 : g1;
+    let rad = Math.abs(circ.radius);
+    let nrm = line.center;
 
-        const x1 = (-B + Math.sqrt(disc)) / (2 * A);
-        const y1 = slope * x1;
+    let dist = circ.center.x * nrm.x + circ.center.y * nrm.y - line.radius;
+    if (Math.abs(dist) > rad) return [];
 
-        const x2 = (-B - Math.sqrt(disc)) / (2 * A);
-        const y2 = slope * x2;
+    let foot = circ.center.sub(nrm.mulRe(dist));
+    let h = Math.sqrt(rad * rad - dist * dist);
+    let tangent = new Complex(-nrm.y, nrm.x);
 
-        const cand1 = new Complex(x1, y1);
-        const cand2 = new Complex(x2, y2);
+    return h < 1e-12 ? [foot] : [foot.add(tangent.mulRe(h)), foot.sub(tangent.mulRe(h))];
+};
 
-        // pick the intersection inside the unit disk
-        V = cand1.getNorm() < cand2.getNorm() ? cand1 : cand2;
+// This function takes in two points A, B and the curvature of the plane
+// and returns a "2x2 matrix" for the isometry that maps A to 0 and B onto 
+// the positive real axis (or the negative one if reversed)
+const geodesicFrame = (A, B, curvature, reversed = false) => {
+    // Translation moving A to 0
+    let shift = translationMobius(A.mulRe(-1), curvature);
+
+    // Rotate the image of B onto the real axis
+    let rot = applyMobiusTrans(shift, B, false).getNormalized().conj();
+    if (reversed) {
+        rot = rot.mulRe(-1);
     }
-    // Vertical line: x = 0
-    else {
-        // (0 - cx)^2 + (y - cy)^2 = r^2
-        let radTerm = invRad * invRad - cenX * cenX;
-        if (radTerm < 0) radTerm = 0; // numerical safety
 
-        const y = cenY + Math.sqrt(radTerm);
-        const cand1 = new Complex(0, y);
-        const cand2 = new Complex(0, cenY - Math.sqrt(radTerm));
+    return composeMobius(rotationMobius(rot), shift);
+}
 
-        V = cand1.getNorm() < cand2.getNorm() ? cand1 : cand2;
+// This function takes in the frame of an edge, a point on that edge, the
+// edge thickness and the curvature of the plane, and returns the generalized 
+// circle bounding the points within the thickness distance of the edge. 
+// Its radius is negative if these points lie outside of it.
+const equidistantCurve = (MMap, edgePoint, thickness, curvature) => {
+    let thickPoint = applyMobiusTrans(MMap, new Complex(0, thickness), true);
+
+    if (curvature === 0) {
+        // Euclidean case: a line parallel to the edge
+        let dir = applyMobiusTrans(MMap, new Complex(1, thickness), true).sub(thickPoint);
+        let nrm = new Complex(-dir.y, dir.x);
+        return {
+            center: nrm,
+            radius: nrm.x * thickPoint.x + nrm.y * thickPoint.y,
+            isLine: true
+        };
     }
 
-    return V;
+    // In the frame, the curve passes through the thickening point and two 
+    // points symmetric about the imaginary axis: the ideal endpoints of the 
+    // edge in the hyperbolic case, and points on the unit circle at the 
+    // same distance from the edge in the spherical case
+    let side = CMP_ONE;
+    if (curvature > 0) {
+        side = versor(2 * Math.atan(thickness));
+    }
+    let { center, radius } = circleFrom3Points(
+        applyMobiusTrans(MMap, side, true),
+        applyMobiusTrans(MMap, new Complex(-side.x, side.y), true),
+        thickPoint);
+
+    if (edgePoint.sub(center).getNorm() > radius) {
+        radius *= -1;
+    }
+    return { center, radius, isLine: false };
 }
 
-export { Complex, generateTilingParams, modelMaps };
\ No newline at end of file
+export { Complex, generateTilingParams, getCurvature, 
+         MobiusMap3PointsTo_m101, applyMobiusTrans, composeMobius, rotationMobius, 
+         translationMobius, geodesicTranslation, directedTranslation, normalizeIsometry, isIsometry, versor, 
+         motionIsometry, motionTypes, foldToFundamental, unfoldPoint, fermiCoords, mirrorReflections, 
+         circleFrom3Points, isInsideTriangle, tilingErrors, thicknessLimits, lineThroughOrigin, closestToOrigin, 
+         intersectGeneralizedCircles, geodesicFrame, equidistantCurve, MOBIUS_ID };
\ No newline at end of file
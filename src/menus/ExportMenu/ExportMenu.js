@@ -0,0 +1,123 @@
+/**
+ * This is the export menu component. It contains the settings for saving
+ * high-resolution images and vector images of the tiling.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import './ExportMenu.css';
+
+import React from 'react';
+import { useState, useContext } from 'react';
+import { Drawer, Button, Input, InputNumber, Progress } from 'antd';
+
+import LabelledToggle from '../SettingsMenu/sliders/LabelledToggle.js';
+import LabelledSlider from '../SettingsMenu/sliders/LabelledSlider.js';
+import { ParamContext } from '../../App.js';
+import { defaultTemplate, templateFields, formatFileName } from '../../fileNames.js';
+import { defaultSvgSettings } from '../../svgExport.js';
+import { modelAspect } from '../../models.js';
+import { useDrawerLayout } from '../../screen.js';
+
+// Largest exported side length in pixels
+const maxExportSize = 16384;
+
+function ExportMenu(props) {
+    const params = useContext(ParamContext);
+    const layout = useDrawerLayout();
+
+    const [width, setWidth] = useState(2000);
+    const [height, setHeight] = useState(2000);
+    const [nSamples, setNSamples] = useState(params[0].nSamples);
+    const [transparentBg, setTransparentBg] = useState(false);
+    const [template, setTemplate] = useState(defaultTemplate);
+    const [progress, setProgress] = useState(null);
+    const [maxDepth, setMaxDepth] = useState(defaultSvgSettings.maxDepth);
+    const [minSize, setMinSize] = useState(defaultSvgSettings.minSize);
+
+    const fileName = formatFileName(template, params[0], width, height);
+    const onExport = async () => {
+        setProgress(0);
+        try {
+            await props.onExport({
+                width, height, nSamples, transparentBg, fileName,
+                onProgress: (frac) => { setProgress(Math.round(100 * frac)); }
+            });
+        } finally {
+            setProgress(null);
+        }
+    }
+    const onExportSvg = () => {
+        props.onExportSvg({
+            width, height, maxDepth, minSize, transparentBg,
+            fileName: formatFileName(template, params[0], width, height, "svg")
+        });
+    }
+
+    return (
+        <Drawer title="Save Image" {...layout}
+            onClose={props.onClose} open={props.isOpen} key="exportDrawer">
+            <h2>Size</h2>
+            <p>Width and Height (pixels)</p>
+            <div className="export-size">
+                <InputNumber
+                    min={1} max={maxExportSize} value={width}
+                    onChange={(val) => { if (val) setWidth(val); }} />
+                <span>{"×"}</span>
+                <InputNumber
+                    min={1} max={maxExportSize} value={height}
+                    onChange={(val) => { if (val) setHeight(val); }} />
+            </div>
+            <div className="export-buttons">
+                <Button onClick={() => {
+                    setWidth(Math.round(props.canvasSize.x));
+                    setHeight(Math.round(props.canvasSize.y));
+                }}>
+                    Use Window Size
+                </Button>
+                <Button onClick={() => {
+                    setHeight(Math.min(Math.max(Math.round(width / modelAspect(params[0])), 1), maxExportSize));
+                }}>
+                    Fit the Model
+                </Button>
+            </div>
+
+            <h2>Quality</h2>
+            <LabelledSlider
+                lbl="Supersampling (steps per side)" min={1} max={10} value={nSamples}
+                onChange={setNSamples} />
+            <LabelledToggle
+                lbl="Transparent Background Outside the Model" toggled={transparentBg}
+                onChange={setTransparentBg} />
+
+            <h2>File Name</h2>
+            <Input value={template} onChange={(evt) => { setTemplate(evt.target.value); }} />
+            <p className="export-hint">
+                Available fields: {Object.keys(templateFields).map(field => `{${field}}`).join(", ")}
+            </p>
+            <p className="export-file-name">{fileName}</p>
+
+            {progress === null ? (
+                <Button type="primary" size="large" onClick={onExport}>Export</Button>
+            ) : (
+                <Progress percent={progress} />
+            )}
+
+            <h2>Vector Image (SVG)</h2>
+            <p className="export-hint">
+                Draws each tile as exact shapes, using the size, background and file name
+                above. It leaves out the Rotating Snakes and Ouchi patterns, images and
+                pattern plugins, and shows the tiling without its motion and the animated
+                palette as a single color.
+            </p>
+            <LabelledSlider
+                lbl="Maximum Depth (reflections)" min={1} max={100} value={maxDepth}
+                onChange={setMaxDepth} />
+            <LabelledSlider
+                lbl="Smallest Tile (pixels)" min={0.5} max={20} step={0.5} value={minSize}
+                onChange={setMinSize} />
+            <Button size="large" onClick={onExportSvg}>Save SVG</Button>
+        </Drawer>);
+}
+
+export default ExportMenu;
@@ -9,6 +9,7 @@ import React from 'react';
 import { Drawer, Collapse } from 'antd';
 
 import Blockquote from './blockquote/Blockquote.js';
+import { useDrawerLayout } from '../../screen.js';
 
 /*
 All of this is text for the help menu's sections.
@@ -32,7 +33,45 @@ const items = [
     {
         key: "help3",
         label: "How do I use this?",
-        children: <p>The main window of Hyperbolic Illusion displays the tiling. To move it around in the hyperbolic plane, drag your mouse around inside the disk. To change the settings and tiling (i.e. model of the hyperbolic plane, coloring, and rendering settings), click on <strong>Settings</strong>. Note that larger antialiasing step counts or using larger iteration counts may have an impact on performance. To save an image of your tiling, click on <strong>Save Image</strong>. To copy a shareable link to your clipboard, click on <strong>Copy Shareable Link</strong>.</p>,
+        children: <>
+            <p>The main window of Hyperbolic Illusion displays the tiling. To move around in the hyperbolic plane, drag the tiling with your mouse; it follows the cursor, and you can keep dragging as far as you like. To change the settings and tiling (i.e. model of the hyperbolic plane, coloring, and rendering settings), click on <strong>Settings</strong>. Note that larger antialiasing step counts or using larger iteration counts may have an impact on performance. To save an image of your tiling, click on <strong>Save Image</strong>. To copy a shareable link to your clipboard, click on <strong>Copy Shareable Link</strong>.</p>
+            <h3>Zooming and rotating</h3>
+            <p>Hold Shift while dragging to rotate the tiling about the center of the screen, and use the mouse wheel to zoom in and out; on a touchscreen, pinch with two fingers to zoom and rotate. The buttons in the corner of the tiling zoom, bring the origin back to the center (<strong>Recenter</strong>), or undo all moves (<strong>Reset View</strong>).</p>
+            <h3>Motion</h3>
+            <p>To animate the tiling, pick a rotation, a parabolic translation or a translation along a geodesic under <strong>Motion</strong> in the settings, and set its speed; a negative speed runs it backwards.</p>
+            <h3>Saving images</h3>
+            <p>Under <strong>Save Image</strong>, you can choose the size of the image in pixels (independently of the window), its supersampling, a transparent background outside of the model (<strong>Fit the Model</strong> sets the height that fits the model's shape for the width), and a file name template filled in from the tiling's parameters.</p>
+            <h3>Vector images</h3>
+            <p>The <strong>Save Image</strong> menu also saves the tiling as an SVG vector image drawn tile by tile, down to a chosen depth and tile size. It leaves out the Rotating Snakes and Ouchi patterns, images and pattern plugins, and shows the tiling without its motion and the animated palette as a single color; colorings and uniform tilings are drawn as on screen.</p>
+            <h3>Edge thickness</h3>
+            <p>The edge thickness and vertex size sliders only go as far as the current tiling allows; if a new tiling can't fit the current thickness, it is lowered and a note explains why.</p>
+            <h3>Saved presets</h3>
+            <p>Under <strong>Saved Presets</strong> at the top of the settings, you can save the current settings under a name; saved presets are kept in your browser, where you can load, rename, reorder and delete them, and export them all to a JSON file that can be imported elsewhere, for instance to share a set of stimuli.</p>
+            <h3>Colors</h3>
+            <p>Every color picker shows a palette and your recent colors; click on <strong>Exact Color</strong> to type a color as a hex code, RGB or HSL values, or a relative luminance (keeping the hue and saturation), and to make your own palettes, which are kept in your browser.</p>
+            <h3>Undo and history</h3>
+            <p>Every change of the settings and of the view can be undone with Ctrl+Z and redone with Ctrl+Shift+Z; the <strong>History</strong> at the top of the settings lists the changes, where dragging a slider counts as one change, and clicking on one goes back or forward to it.</p>
+            <h3>Keyboard</h3>
+            <p>To move with the keyboard, click on the tiling or tab to it: the arrow keys move along geodesics, Q and E rotate, + and - zoom, C recenters and 0 resets the view, in smaller steps while holding Shift. Anywhere outside of a text field, H opens this help, S the settings, I the image export, and L copies a shareable link.</p>
+            <h3>Phones and tablets</h3>
+            <p>On phones and tablets, the menus open from the bottom of the screen, and the tiling starts with fewer antialiasing steps and is rendered at a lower resolution, which you can raise with <strong>Fraction of Pixels Rendered</strong> under <strong>Rendering</strong>.</p>
+            <h3>Caf&eacute; Wall illusion</h3>
+            <p>The <strong>Caf&eacute; Wall illusion</strong> under <strong>Illusion preset</strong> colors whole polygons with the two polygon colors in alternating bricks along rows, which are layers of distance from a geodesic through the origin or rings around the center, and shifts every other row by a fraction of a brick; the edges, in the edge color, are the mortar between them.</p>
+            <h3>Ouchi illusion</h3>
+            <p>The <strong>Ouchi illusion</strong> stripes a disk around the center of every polygon with rings, and the rest of the tiling with spokes running across them, following the symmetry of the tiling; its settings switch the stripes to elongated checks, and set how many stripes fit in a unit of length, how much of each period the stripes cover, and the size of the disk as a fraction of the distance to the polygon's edges.</p>
+            <h3>Rotating Snakes</h3>
+            <p>Turning on <strong>Kitaoka's Rotating Snakes illusion</strong> draws rings of snakes around the polygons and vertices of the current tiling, in any model. Neighboring snakes turn opposite ways unless their <strong>uniform rotation direction</strong> is on; they can only alternate around polygons when q and r are even, and around vertices when p and r are even, and otherwise they all turn the same way. Its settings also set the four colors of the snakes and which of them fills each step (the dark background, the first body, the light background and the second body), since the apparent motion runs from the dark steps to the light ones, along with the shape of the snakes and the phase offsets of the rings and the background; the buttons below them bring back the classic snakes or the ones turning the other way, with the body colors swapped.</p>
+            <h3>Pattern plugins</h3>
+            <p>Under <strong>Pattern Plugin</strong>, a GLSL function can color the polygons instead, with the controls of the parameters it declares (numbers, whole numbers, toggles and colors). It is written as <code>vec3 pattern(vec2 z, vec3 counts)</code>, taking the point of the fundamental triangle, whose corner V0 is the center of the polygon, and the numbers of reflections in the mirrors opposite V0, V1 and V2 that brought it there, and it uses its parameters by their names. Copy a built-in pattern to edit its name, parameters and GLSL, then click on <strong>Apply</strong>; your patterns are kept in your browser and can be exported to JSON files and imported elsewhere, and links to them only show them in browsers that have them. If a pattern doesn't compile, the tiling is drawn without it and its errors are listed by line over the tiling.</p>
+            <h3>Images</h3>
+            <p>Under <strong>Image</strong>, you can upload a picture, such as an existing Euclidean illusion, and tile it instead of the polygon colors: it fills each fundamental triangle, with its left side shrunk to the center of the polygon; or each polygon, centered on it and repeated p times around it; or each polygon as a square whose corners go to the polygon's corners, which makes a {"{4, q}"} tiling of squares when p = 4. Its copies are mirrored along with the triangles, making a kaleidoscope, unless you only let them turn; then each copy fills a triangle and its mirror image, or turns around the center of the polygon. The image is kept in your browser, scaled down to at most 1024 pixels, and links to the tiling don't include it.</p>
+            <h3>Colorings</h3>
+            <p>Under <strong>Coloring</strong>, the polygons can take more than two colors. A <strong>Symmetric</strong> coloring is one that every symmetry of the tiling, or only every rotation, turns into itself, swapping the colors around, such as the coloring of the {"{7, 3}"} tiling with 8 colors where no two neighbors share a color. Colorings that only a part of the symmetries keeps, such as those of the {"{7, 3}"} tiling with 7 colors, are listed after them with the share of the symmetries keeping them, and give neighbors different colors. Pick the number of colors and one of the colorings found for the tiling, or try another number if there are none. A <strong>Random</strong> coloring gives each polygon a color from its position and a seed, which <strong>Shuffle</strong> changes. The colors can be filled from the default palette or one of your own, and each of them set by clicking on its swatch.</p>
+            <h3>Uniform tilings</h3>
+            <p>Under <strong>Uniform Tilings</strong>, Wythoff's construction turns the tiling into a uniform one: a point W of the fundamental triangle is joined by edges to its mirror images in the sides it lies off, and faces form around the corners V0, V1 and V2 (with p, r and q sides around them). The operators of Conway's notation place W, such as <strong>Truncate</strong>, <strong>Rectify</strong>, <strong>Cantellate</strong> and <strong>Omnitruncate</strong>, and <strong>Snub</strong> only keeps the images of W by the rotations of the tiling, which adds snub triangles; or drag W anywhere in the triangle, where it snaps onto the sides near them. Each kind of face has its own color. The duals <strong>Kis</strong>, <strong>Join</strong>, <strong>Ortho</strong> and <strong>Meta</strong> are drawn by the edge toggles, as sides of the triangles.</p>
+            <h3>Models</h3>
+            <p>Under <strong>Model</strong>, the hyperbolic plane can also be seen as the <strong>Hemisphere model</strong>, viewed from above at an angle, as the <strong>Hyperboloid</strong> of Minkowski space seen in perspective, or in the <strong>Conformal square</strong>, which keeps angles like the Poincar&eacute; disk but fills a square; the half-plane and band models can be rotated and scaled, and each model opens at its own zoom.</p>
+        </>,
     },
     {
         key: "help4",
@@ -51,9 +90,10 @@ This is the help menu component itself.
 */
 
 function HelpMenu(props) {
+    const layout = useDrawerLayout();
     return (
         <>
-            <Drawer title="Help" placement="left" width="35vw"
+            <Drawer title="Help" {...layout}
                 onClose={props.onClose} open={props.isOpen} key="helpDrawer">
                 {/* <Blockquote attr={<>William Shakespeare, <i>Hamlet</i></>}>
                     I could be bounded in a nutshell and count myself a king of infinite space.
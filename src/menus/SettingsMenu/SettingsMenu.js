@@ -6,63 +6,76 @@
 
 import React from 'react';
 import { Drawer, Select, Alert } from 'antd';
-import { useState, useContext, useCallback } from 'react';
+import { useState, useContext, useCallback, useMemo } from 'react';
 
 import LabelledToggle from './sliders/LabelledToggle.js';
 import LabelledSlider from './sliders/LabelledSlider.js';
-import { generateTilingParams } from '../../math.js';
+import { motionTypes } from '../../math.js';
+import { maxSides, thicknessStep, thicknessRange, applyTiling, snakeAlternation } from '../../params.js';
+import { models, modelNames } from '../../models.js';
+import { applyValues } from '../../shareLinks.js';
+import { snakeColorParams } from '../../colors.js';
+import { builtinPresets } from '../../presets.js';
 import { ParamContext } from '../../App.js';
 import { ColorPicker } from './colorpicker/ColorPicker.js';
+import PresetPanel from './presets/PresetPanel.js';
+import PatternPanel from './patterns/PatternPanel.js';
+import TexturePanel from './texture/TexturePanel.js';
+import ColoringPanel from './coloring/ColoringPanel.js';
+import WythoffPanel from './wythoff/WythoffPanel.js';
+import HistoryPanel from './history/HistoryPanel.js';
+import { useDrawerLayout } from '../../screen.js';
 import { Button } from 'antd';
 
 
 
-// Names of hyperbolic models and indices
-const modelNames = [
-    { label: "Poincar\u00E9 disk", value: 0 },
-    { label: "Upper half-plane model", value: 1 },
-    { label: "Beltrami-Klein disk", value: 2 },
-    { label: "Poincar\u00E9 disk complement", value: 3 },
-    { label: "Gans model", value: 4 },
-    { label: "Azimuthal equidistant projection", value: 5 },
-    { label: "Equal-area projection", value: 6 },
-    { label: "Band model", value: 7 }
-];
-
 /*
 This is the Tiling section of the Settings menu.
 */
 
-const maxSides = 20;
+const snakesPreset = builtinPresets.find(preset => preset.id === "rotatingSnakes");
+const reversedSnakesPreset = builtinPresets.find(preset => preset.id === "rotatingSnakesReversed");
+
+// Turning on the Rotating Snakes keeps the tiling, model and snakes' settings
+const snakeModeValues = { doVerts: false, doOrns: false, doEdges: false, doInvPol: false, doParity: false, 
+                          doSolidColor: true, doSnake: true, doCafeWall: false, doOuchi: false, doTexture: false, 
+                          patternId: "", coloringMode: 0, wythoffOp: "" };
+const cafeWallPreset = builtinPresets.find(preset => preset.id === "cafeWall");
+const ouchiPreset = builtinPresets.find(preset => preset.id === "ouchi");
+
+// Steps of each snake, in the order of snakeOrder
+const snakeSteps = ["Dark Background", "First Body", "Light Background", "Second Body"];
+const snakeColorOptions = snakeColorParams.map((name, i) => ({ label: `Color ${i + 1}`, value: String(i) }));
 
 function TilingSelector() {
     const params = useContext(ParamContext);   
 
-    // Whether or not to show the error message
-    const [hasError, setError] = useState(false);
+    // Problem with the last change of the tiling, shown below the sliders
+    const [notice, setNotice] = useState(null);
 
-    // Temporary storage for slider values
-    const [pVal, setPVal] = useState(params[0].pValue); 
-    const [qVal, setQVal] = useState(params[0].qValue); 
-    const [eThickVal, setEThickVal] = useState(params[0].eThickness); 
+    // Range of the edge thickness and vertex size sliders for this tiling
+    const { pValue, qValue, rValue, eThickness } = params[0];
+    const range = useMemo(() => thicknessRange(pValue, qValue, rValue), [pValue, qValue, rValue]);
+    const alternation = snakeAlternation(pValue, qValue, rValue);
 
-    const setValues = useCallback((p, q, edgeThickness) => {
-        // Check for valid tiling
-        if ((p - 2) * (q - 2) <= 4) {
-            setError(true);
+    const setValues = useCallback((p, q, r, edgeThickness, changes = {}) => {
+        let result = applyTiling({...params[0], ...changes}, p, q, r, edgeThickness);
+        if (result.error) {
+            setNotice({ type: "error", message: result.error.message });
             return;
         }
+        setNotice(result.warning ? { type: "warning", message: result.warning } : null);
+        params[1](result.params);
+    }, [params]);
 
-        // If valid, compute parameters and store Schlafli symbol
-        setError(false);
-        params[1]({
-            ...params[0],
-            ...generateTilingParams(p, q, edgeThickness),
-            pValue: p,
-            qValue: q,
-            eThickness: edgeThickness,
-            doForeRev: q % 2 ? true : params[0].doForeRev ,
-            doBackRev: p % 2 ? true : params[0].doBackRev});
+    const applyPreset = useCallback((preset) => {
+        let result = applyValues(params[0], preset.values);
+        if (result.error) {
+            setNotice({ type: "error", message: result.error.message });
+            return;
+        }
+        setNotice(result.warning ? { type: "warning", message: result.warning } : null);
+        params[1](result.params);
     }, [params]);
 
     return (<>
@@ -71,71 +84,50 @@ function TilingSelector() {
             lbl="Number of Sides" 
             min={3} max={maxSides} value={params[0].pValue}
             onChange={(val) => { 
-                setPVal(val);
-                setValues(val, qVal, eThickVal);
+                setValues(val, qValue, rValue, eThickness);
             }} />
         <LabelledSlider 
             lbl="Number of Polygons Around a Vertex" 
             min={3} max={maxSides} value={params[0].qValue}
             onChange={(val) => { 
-                setQVal(val);
-                setValues(pVal, val, eThickVal);
+                setValues(pValue, val, rValue, eThickness);
             }} />
-        { hasError && (
-            <Alert 
-                message="This is not a valid hyperbolic tiling. Try changing the parameters." 
-                type="error" />
-        ) }
+        <LabelledSlider 
+            lbl="Angle Divisor at Edge Midpoints (\u03C0/r)" 
+            min={2} max={maxSides} value={params[0].rValue}
+            onChange={(val) => { 
+                setValues(pValue, qValue, val, eThickness);
+            }} />
+        {notice && (
+            <Alert type={notice.type} message={notice.message} showIcon
+                closable onClose={() => { setNotice(null); }} 
+                style={{ marginBottom: "var(--small-spacing)" }} />
+        )}
         <hr/>
         <h2>Illusion preset</h2>
         <LabelledToggle
-            lbl="Kitaoka's Rotating Snakes illusion" toggled={params[0].doSnake}
-            onChange={(toggled) =>
-                params[1]({
-                    ...params[0],
-                    ...setPVal(4),
-                    ...setQVal(6),
-                    ...generateTilingParams(4, 6, eThickVal),
-                    pValue: 4,
-                    qValue: 6,
-
-                    modelIdx: 0,
-
-                    doVerts: toggled ? false : params[0].doVerts,
-                    doOrns: toggled ? false : params[0].doOrns,
-
-                    doEdges: toggled ? false : true,
-
-                    doInvPol: toggled ? false : params[0].doInvPol,
-                    doParity: false,
-                    
-                    doSolidColor: true,
-                    doSnake: toggled,
-
-                    doForeRev: toggled ? false : params[0].doForeRev,
-                    doBackRev: toggled ? false : params[0].doBackRev,
-                    expRatioRings: toggled ? 0.115 : params[0].expRatioRings,
-                    ringLayerNum: toggled ? 30 : params[0].ringLayerNum,
-                    centerCutoff: toggled ? 0.05 : params[0].centerCutoff,
-                    nRepeatPerSectV0: toggled ? 2 : params[0].nRepeatPerSectV0,
-                    nRepeatPerSectV2: toggled ? 2 : params[0].nRepeatPerSectV2,
-                })
-            }
+            lbl={snakesPreset.name} toggled={params[0].doSnake}
+            onChange={(toggled) => params[1](toggled ? {...params[0], ...snakeModeValues} : 
+                {...params[0], doEdges: true, doSnake: false})}
         />
         {params[0].doSnake && (
             <>
                 <h3>Kitaoka's Rotating Snakes Parameters</h3>
 
-                {!(params[0].qValue % 2) && (
-                    <LabelledToggle
-                    lbl="Foreground uniform rotation direction" toggled={params[0].doForeRev} 
+                <LabelledToggle
+                    lbl="Foreground uniform rotation direction" 
+                    toggled={params[0].doForeRev || !alternation.fore} disabled={!alternation.fore}
                     onChange={(toggled) => params[1]({...params[0], doForeRev: toggled})} />
-                )}
                 
-                {!(params[0].pValue % 2) && (
-                    <LabelledToggle
-                    lbl="Background uniform rotation direction" toggled={params[0].doBackRev} 
+                <LabelledToggle
+                    lbl="Background uniform rotation direction" 
+                    toggled={params[0].doBackRev || !alternation.back} disabled={!alternation.back}
                     onChange={(toggled) => params[1]({...params[0], doBackRev: toggled})} />
+
+                {!(alternation.fore && alternation.back) && (
+                    <p>Neighboring snakes can only turn opposite ways around polygons with an even number of
+                        neighbors at each vertex, and around vertices of polygons with an even number of sides 
+                        (both with an even angle divisor). The others all turn the same way.</p>
                 )}
                 
                 
@@ -178,129 +170,151 @@ function TilingSelector() {
                         params[1]({ ...params[0], nRepeatPerSectV2: val })
                     }
                 />
+
+                <LabelledSlider
+                    lbl="Snake Aspect Ratio"
+                    min={0.5} max={2} step={0.01} value={params[0].snakeAspect}
+                    onChange={(val) => params[1]({ ...params[0], snakeAspect: val })} />
+
+                <LabelledSlider
+                    lbl="Radial Profile Exponent"
+                    min={0.2} max={2} step={0.01} value={params[0].snakeProfile}
+                    onChange={(val) => params[1]({ ...params[0], snakeProfile: val })} />
+
+                <LabelledSlider
+                    lbl="Phase Offset Between Rings"
+                    min={0} max={1} step={0.005} value={params[0].snakeRingPhase}
+                    onChange={(val) => params[1]({ ...params[0], snakeRingPhase: val })} />
+
+                <LabelledSlider
+                    lbl="Phase Offset of the Background"
+                    min={0} max={2} step={0.005} value={params[0].snakeBgPhase}
+                    onChange={(val) => params[1]({ ...params[0], snakeBgPhase: val })} />
+
+                {snakeColorParams.map((name, i) => (
+                    <React.Fragment key={name}>
+                        <p>Color {i + 1}</p>
+                        <ColorPicker 
+                            value={params[0][name]} 
+                            onChange={(col) => params[1]({...params[0], [name]: col})}/>
+                    </React.Fragment>
+                ))}
+
+                {snakeSteps.map((step, i) => (
+                    <React.Fragment key={step}>
+                        <p>Color of the {step}</p>
+                        <Select 
+                            value={params[0].snakeOrder[i]} style={{ 
+                                width: "100%", 
+                                marginBottom: "var(--small-spacing)" }}
+                            options={snakeColorOptions}
+                            onChange={(val) => {
+                                let order = [...params[0].snakeOrder];
+                                order[i] = val;
+                                params[1]({...params[0], snakeOrder: order.join("")});
+                            }} />
+                    </React.Fragment>
+                ))}
+
+                {[snakesPreset, reversedSnakesPreset].map(preset => (
+                    <div style={{ marginBottom: "var(--small-spacing)" }} key={preset.id}>
+                        <Button onClick={() => { applyPreset(preset); }}>{preset.name}</Button>
+                    </div>
+                ))}
             </>
         )}  
 
-        <div style={{ marginBottom: "var(--small-spacing)" }}>
-        <Button
-            type={"primary"} size="large"
-            onClick={() => 
-                params[1]({
-                    ...params[0],
-                    ...setPVal(4),
-                    ...setQVal(6),
-                    ...setEThickVal(0.02),
-                    ...generateTilingParams(4, 6, 0.02),
-                    pValue: 4,
-                    qValue: 6,
-                    eThickness: 0.02,
-
-                    modelIdx: 0,
-
-                    doVerts: false,
-                    doInvVerts: true,
-                    doOrns: true,
-
-                    doEdges: false,
-
-                    doInvPol: true,
-                    doParity: false,
-                    
-                    doSolidColor: true,
-                    doSnake: false,
-
-                    polygonColIdx: 7,
-                    invPolygonColIdx: 8,
-                    vertColIdx: 0,
-                    invVertColIdx: 9,
-                })
-            }
-        >
-            Kitaoka's Primrose Field illusion
-        </Button>
-        </div>
-
-        <div style={{ marginBottom: "var(--small-spacing)" }}>
-        <Button
-            type={"primary"} size="large"
-            onClick={() => 
-                params[1]({
-                    ...params[0],
-                    ...setPVal(3),
-                    ...setQVal(7),
-                    ...setEThickVal(0.015),
-                    ...generateTilingParams(3, 7, 0.015),
-                    pValue: 3,
-                    qValue: 7,
-                    eThickness: 0.015,
-
-                    modelIdx: 0,
-
-                    doVerts: true,
-                    doInvVerts: false,
-                    doOrns: false,
-
-                    doEdges: true,
-                    doV0V1: true,
-                    doV1V2: false,
-                    doV2V0: true,
-
-                    doInvPol: false,
-                    doParity: false,
-                    
-                    doSolidColor: true,
-                    doSnake: false,
-
-                    edgeColIdx: 6,
-                    polygonColIdx: 2,
-                    vertColIdx: 0
-                })
-            }
-        >
-            Scintillating Grid illusion
-        </Button>
-        </div>
-
-        <div style={{ marginBottom: "var(--small-spacing)" }}>
-        <Button
-            type={"primary"} size="large"
-            onClick={() => 
-                params[1]({
-                    ...params[0],
-                    ...setPVal(4),
-                    ...setQVal(5),
-                    ...setEThickVal(0.020),
-                    ...generateTilingParams(4, 5, 0.020),
-                    pValue: 4,
-                    qValue: 5,
-                    eThickness: 0.020,
-
-                    modelIdx: 0,
-
-                    doVerts: false,
-                    doInvVerts: false,
-                    doOrns: false,
-
-                    doEdges: true,
-                    doV0V1: true,
-                    doV1V2: true,
-                    doV2V0: false,
-
-                    doInvPol: false,
-                    doParity: false,
-                    
-                    doSolidColor: true,
-                    doSnake: false,
-
-                    edgeColIdx: 0,
-                    polygonColIdx: 2
-                })
-            }
-        >
-            Hermann Grid illusion
-        </Button>
-        </div>
-        
+        <LabelledToggle
+            lbl={cafeWallPreset.name} toggled={params[0].doCafeWall}
+            onChange={(toggled) => toggled ? applyPreset(cafeWallPreset) : 
+                params[1]({...params[0], doCafeWall: false})}
+        />
+        {params[0].doCafeWall && (
+            <>
+                <h3>Caf&eacute; Wall Parameters</h3>
+
+                <LabelledToggle
+                    lbl="Rows as rings around the center" toggled={params[0].cafeRings} 
+                    onChange={(toggled) => params[1]({...params[0], cafeRings: toggled})} />
+
+                {!params[0].cafeRings && (
+                    <LabelledSlider
+                        lbl="Direction of the Rows' Geodesic (degrees)"
+                        min={0} max={360} value={params[0].cafeAngle}
+                        onChange={(val) => params[1]({ ...params[0], cafeAngle: val })} />
+                )}
+
+                <LabelledSlider
+                    lbl="Row Height"
+                    min={0.1} max={3} step={0.01} value={params[0].cafeRowHeight}
+                    onChange={(val) => params[1]({ ...params[0], cafeRowHeight: val })} />
+
+                <LabelledSlider
+                    lbl="Brick Length"
+                    min={0.1} max={3} step={0.01} value={params[0].cafeBrickLength}
+                    onChange={(val) => params[1]({ ...params[0], cafeBrickLength: val })} />
+
+                <LabelledSlider
+                    lbl="Shift of Every Other Row (bricks)"
+                    min={0} max={1} step={0.05} value={params[0].cafeShift}
+                    onChange={(val) => params[1]({ ...params[0], cafeShift: val })} />
+
+                <p>Brick Colors</p>
+                <ColorPicker 
+                    value={params[0].polygonCol} 
+                    onChange={(col) => params[1]({...params[0], polygonCol: col})}/>
+                <ColorPicker 
+                    value={params[0].invPolygonCol} 
+                    onChange={(col) => params[1]({...params[0], invPolygonCol: col})}/>
+            </>
+        )}
+
+        <LabelledToggle
+            lbl={ouchiPreset.name} toggled={params[0].doOuchi}
+            onChange={(toggled) => toggled ? applyPreset(ouchiPreset) : 
+                params[1]({...params[0], doOuchi: false})}
+        />
+        {params[0].doOuchi && (
+            <>
+                <h3>Ouchi Parameters</h3>
+
+                <LabelledToggle
+                    lbl="Checks instead of stripes" toggled={params[0].ouchiChecker} 
+                    onChange={(toggled) => params[1]({...params[0], ouchiChecker: toggled})} />
+
+                <LabelledSlider
+                    lbl="Stripe Frequency (per unit length)"
+                    min={1} max={20} step={0.5} value={params[0].ouchiFrequency}
+                    onChange={(val) => params[1]({ ...params[0], ouchiFrequency: val })} />
+
+                <LabelledSlider
+                    lbl="Duty Cycle (width of the stripes)"
+                    min={0.1} max={0.9} step={0.05} value={params[0].ouchiDuty}
+                    onChange={(val) => params[1]({ ...params[0], ouchiDuty: val })} />
+
+                <LabelledSlider
+                    lbl="Radius of the Inner Disk (fraction of the polygon)"
+                    min={0.1} max={1} step={0.01} value={params[0].ouchiRadius}
+                    onChange={(val) => params[1]({ ...params[0], ouchiRadius: val })} />
+
+                <p>Stripe Colors</p>
+                <ColorPicker 
+                    value={params[0].polygonCol} 
+                    onChange={(col) => params[1]({...params[0], polygonCol: col})}/>
+                <ColorPicker 
+                    value={params[0].invPolygonCol} 
+                    onChange={(col) => params[1]({...params[0], invPolygonCol: col})}/>
+            </>
+        )}
+
+        {builtinPresets.filter(preset => 
+            ![snakesPreset, reversedSnakesPreset, cafeWallPreset, ouchiPreset].includes(preset)).map(preset => (
+            <div style={{ marginBottom: "var(--small-spacing)" }} key={preset.id}>
+                <Button type={"primary"} size="large" onClick={() => { applyPreset(preset); }}>
+                    {preset.name}
+                </Button>
+            </div>
+        ))}
 
         <hr />
         <h2>Edge</h2>
@@ -311,10 +325,10 @@ function TilingSelector() {
         {params[0].doEdges && (
             <LabelledSlider 
             lbl="Edge Thickness" 
-            min={0.005} max={0.145} step={0.005} value={params[0].eThickness}
+            min={range.min} max={params[0].doOrns ? range.maxOrnament : range.max} step={thicknessStep} 
+            value={params[0].eThickness}
             onChange={(val) => { 
-                setEThickVal(val);
-                setValues(pVal, qVal, val);
+                setValues(pValue, qValue, rValue, val);
             }} />
         )}
         {params[0].doEdges && (
@@ -330,8 +344,8 @@ function TilingSelector() {
                     onChange={(toggled) => params[1]({...params[0], doV2V0: toggled})} />   
                 <p>Edge Color</p>
                 <ColorPicker 
-                    selIdx={params[0].edgeColIdx} 
-                    onChange={(idx) => params[1]({...params[0], edgeColIdx: idx})}/>    
+                    value={params[0].edgeCol} 
+                    onChange={(col) => params[1]({...params[0], edgeCol: col})}/>    
             </>
         )}
         <hr />
@@ -349,46 +363,42 @@ function TilingSelector() {
             <>
                 <p>Vertex Color</p>
                 <ColorPicker 
-                    selIdx={params[0].vertColIdx} 
-                    onChange={(idx) => params[1]({...params[0], vertColIdx: idx})}/>
+                    value={params[0].vertCol} 
+                    onChange={(col) => params[1]({...params[0], vertCol: col})}/>
             </>
         )}   
 
         {params[0].doVerts && (
             <LabelledSlider 
             lbl="Vertex Size" 
-            min={0.005} max={0.145} step={0.005} value={params[0].eThickness}
+            min={range.min} max={range.max} step={thicknessStep} value={params[0].eThickness}
             onChange={(val) => { 
-                setEThickVal(val);
-                setValues(pVal, qVal, val);
+                setValues(pValue, qValue, rValue, val);
             }} />
         )} 
 
         <LabelledToggle
             lbl="Show Ornamented Vertices" toggled={params[0].doOrns} 
-            onChange={(toggled) => params[1](
-                {...params[0], 
+            onChange={(toggled) => setValues(pValue, qValue, rValue, eThickness, {
                 doOrns: toggled,
                 doVerts: toggled ? false : params[0].doVerts,
-                doInvVerts: toggled ? params[0].doInvVerts : false}
-            )} 
+                doInvVerts: toggled ? params[0].doInvVerts : false})} 
         />
         {params[0].doOrns && (
             <>
                 <p>Vertex Color</p>
                 <ColorPicker 
-                    selIdx={params[0].vertColIdx} 
-                    onChange={(idx) => params[1]({...params[0], vertColIdx: idx})}/>
+                    value={params[0].vertCol} 
+                    onChange={(col) => params[1]({...params[0], vertCol: col})}/>
             </>
         )}   
 
         {params[0].doOrns && (
             <LabelledSlider 
             lbl="Vertex Size" 
-            min={0.005} max={0.145} step={0.005} value={params[0].eThickness}
+            min={range.min} max={range.maxOrnament} step={thicknessStep} value={params[0].eThickness}
             onChange={(val) => { 
-                setEThickVal(val);
-                setValues(pVal, qVal, val);
+                setValues(pValue, qValue, rValue, val);
             }} />
         )} 
 
@@ -405,8 +415,8 @@ function TilingSelector() {
             <>
                 <p>Second Vertex Color</p>
                 <ColorPicker 
-                    selIdx={params[0].invVertColIdx} 
-                    onChange={(idx) => params[1]({...params[0], invVertColIdx: idx})}/>
+                    value={params[0].invVertCol} 
+                    onChange={(col) => params[1]({...params[0], invVertCol: col})}/>
                 <hr />
             </>
         )}
@@ -426,10 +436,19 @@ function AppearanceMenu() {
             <h2>Additional Appearance</h2>
             <h3>Model</h3>
             <Select 
-                defaultValue={params[0].modelIdx} style={{ 
+                value={params[0].modelIdx} style={{ 
                     width: "100%", 
                     marginBottom: "var(--small-spacing)" }}
-                options={modelNames} onChange={(val) => params[1]({...params[0], modelIdx: val})} />
+                options={modelNames.filter(model => model.curvature === params[0].curvature)} 
+                onChange={(val) => params[1]({...params[0], modelIdx: val, zoom: models[val].zoom})} />
+            {models[params[0].modelIdx].adjustable && (<>
+                <LabelledSlider
+                    lbl="Model Rotation (degrees)" min={-180} max={180} step={1} value={params[0].modelAngle}
+                    onChange={(val) => params[1]({...params[0], modelAngle: val})} />
+                <LabelledSlider
+                    lbl="Model Scale" min={0.25} max={4} step={0.05} value={params[0].modelScale}
+                    onChange={(val) => params[1]({...params[0], modelScale: val})} />
+            </>)}
 
             <h3>Polygon</h3>
             <LabelledToggle
@@ -444,8 +463,8 @@ function AppearanceMenu() {
                     <p>Polygon Color</p>
 
                     <ColorPicker 
-                        selIdx={params[0].polygonColIdx} 
-                        onChange={(idx) => params[1]({...params[0], polygonColIdx: idx})}/>
+                        value={params[0].polygonCol} 
+                        onChange={(col) => params[1]({...params[0], polygonCol: col})}/>
                     <hr />               
                 </>
             )}
@@ -461,8 +480,8 @@ function AppearanceMenu() {
                 <>
                     <p>Second Polygon Color</p>
                     <ColorPicker 
-                        selIdx={params[0].invPolygonColIdx} 
-                        onChange={(idx) => params[1]({...params[0], invPolygonColIdx: idx})}/>
+                        value={params[0].invPolygonCol} 
+                        onChange={(col) => params[1]({...params[0], invPolygonCol: col})}/>
                     <hr />             
                 </>
             )}
@@ -474,12 +493,60 @@ function AppearanceMenu() {
 
             <p>Background Color</p>
             <ColorPicker 
-                selIdx={params[0].bgColIdx} 
-                onChange={(idx) => params[1]({...params[0], bgColIdx: idx})}/>
+                value={params[0].bgCol} 
+                onChange={(col) => params[1]({...params[0], bgCol: col})}/>
             <hr /> 
         </>);
 }
 
+/*
+This is the Motion section of the settings menu.
+*/
+
+const motionNames = [
+    { label: "None", value: motionTypes.NONE },
+    { label: "Rotation about a point", value: motionTypes.ELLIPTIC },
+    { label: "Parabolic translation about an ideal point", value: motionTypes.PARABOLIC, hyperbolicOnly: true },
+    { label: "Translation along a geodesic", value: motionTypes.HYPERBOLIC }
+];
+
+function MotionMenu() {
+    const params = useContext(ParamContext);
+    const type = params[0].motionType;
+    const hasCenter = type === motionTypes.ELLIPTIC || type === motionTypes.HYPERBOLIC;
+    const hasAngle = type === motionTypes.PARABOLIC || type === motionTypes.HYPERBOLIC;
+    return (<>
+        <h2>Motion</h2>
+        <Select 
+            value={type} style={{ 
+                width: "100%", 
+                marginBottom: "var(--small-spacing)" }}
+            options={motionNames.filter(motion => !motion.hyperbolicOnly || params[0].curvature < 0)} 
+            onChange={(val) => params[1]({...params[0], motionType: val})} />
+        {type !== motionTypes.NONE && (
+            <LabelledSlider 
+                lbl="Speed" min={-2} max={2} step={0.05} value={params[0].motionSpeed}
+                onChange={(val) => params[1]({...params[0], motionSpeed: val})} />
+        )}
+        {hasCenter && (
+            <>
+                <LabelledSlider 
+                    lbl="Center (x)" min={-0.95} max={0.95} step={0.01} value={params[0].motionCenterX}
+                    onChange={(val) => params[1]({...params[0], motionCenterX: val})} />
+                <LabelledSlider 
+                    lbl="Center (y)" min={-0.95} max={0.95} step={0.01} value={params[0].motionCenterY}
+                    onChange={(val) => params[1]({...params[0], motionCenterY: val})} />
+            </>
+        )}
+        {hasAngle && (
+            <LabelledSlider 
+                lbl={type === motionTypes.PARABOLIC ? "Direction of the Ideal Point (degrees)" : "Direction of the Geodesic (degrees)"} 
+                min={0} max={360} value={params[0].motionAngle}
+                onChange={(val) => params[1]({...params[0], motionAngle: val})} />
+        )}
+    </>);
+}
+
 /*
 This is the Rendering section of the settings menu.
 */
@@ -494,6 +561,10 @@ function RenderingMenu() {
         <LabelledSlider
             lbl="Number of Antialiasing Steps" min={1} max={50} value={params[0].nSamples}
             onChange={(val) => params[1]({...params[0], nSamples: val})} />
+        <LabelledSlider
+            lbl="Fraction of Pixels Rendered" min={0.25} max={1} step={0.05} 
+            value={params[0].renderScale}
+            onChange={(val) => params[1]({...params[0], renderScale: val})} />
     </>);
 }
 
@@ -502,12 +573,20 @@ This is the settings menu itself.
 */
 
 function SettingsMenu(props) {
+    const layout = useDrawerLayout();
     return (
         <>
-            <Drawer title="Settings" placement="left" width="35vw"
+            <Drawer title="Settings" {...layout}
                 onClose={props.onClose} open={props.isOpen} key="helpDrawer">
+                    <HistoryPanel />
+                    <PresetPanel />
                     <TilingSelector />
+                    <WythoffPanel />
                     <AppearanceMenu />
+                    <ColoringPanel />
+                    <TexturePanel />
+                    <PatternPanel />
+                    <MotionMenu />
                     <RenderingMenu />
             </Drawer>
         </>);
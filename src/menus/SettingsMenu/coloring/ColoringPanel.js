@@ -0,0 +1,139 @@
+/**
+ * This component is the coloring section of the settings. It colors the
+ * polygons with more than two colors, either symmetrically, picking one of
+ * the colorings of the tiling with that many colors, or at random, and sets
+ * the colors from a palette or one by one.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import './ColoringPanel.css';
+
+import React from 'react';
+import { useState, useContext, useSyncExternalStore } from 'react';
+import { Button, InputNumber, Select, Alert } from 'antd';
+
+import LabelledSlider from '../sliders/LabelledSlider.js';
+import LabelledToggle from '../sliders/LabelledToggle.js';
+import { ColorPicker } from '../colorpicker/ColorPicker.js';
+import { ParamContext } from '../../../App.js';
+import { defaultParams } from '../../../params.js';
+import { getColorLibrary, subscribeColorLibrary } from '../../../colors.js';
+import { maxColors, maxColorings, maxSeed, coloringModes, findColorings } from '../../../colorings.js';
+
+// Colorings take over the polygons from the other illusions, plugins and
+// uniform tilings
+const illusionsOff = { doSnake: false, doCafeWall: false, doOuchi: false, doTexture: false, patternId: "",
+                       wythoffOp: "" };
+
+const modeOptions = [
+    { label: "None", value: coloringModes.NONE },
+    { label: "Symmetric", value: coloringModes.SYMMETRIC },
+    { label: "Random", value: coloringModes.RANDOM }
+];
+
+function ColoringPanel() {
+    const params = useContext(ParamContext);
+    const library = useSyncExternalStore(subscribeColorLibrary, getColorLibrary);
+    const { pValue, qValue, rValue, coloringMode, coloringColors, coloringRotations, tileColors } = params[0];
+
+    // Color of the polygons being edited
+    const [editedIdx, setEditedIdx] = useState(0);
+
+    const colorings = coloringMode === coloringModes.SYMMETRIC ?
+        findColorings(pValue, qValue, rValue, coloringColors, coloringRotations) : [];
+    const coloringIdx = colorings[params[0].coloringIdx] ? params[0].coloringIdx : 0;
+
+    // Colorings that only a part of the symmetries keep tell which part
+    const symmetries = coloringRotations ? "rotations" : "symmetries";
+    const coloringLabel = (coloring, i) => `Coloring ${i + 1} of ${colorings.length}` +
+        (coloring.nBlocks > 1 ? `, kept by 1/${coloring.nBlocks} of the ${symmetries}` : "");
+
+    const setMode = (mode) => {
+        params[1]({...params[0], ...(mode !== coloringModes.NONE ? illusionsOff : {}), coloringMode: mode});
+    }
+
+    // Fills the colors of the polygons with those of a palette, repeating
+    // them if it has fewer
+    const palettes = [{ name: "Default Colors", colors: defaultParams.tileColors },
+        ...library.palettes.filter(palette => palette.colors.length > 0)];
+    const setPalette = (idx) => {
+        let colors = palettes[idx].colors;
+        params[1]({...params[0], tileColors: Array.from({ length: maxColors }, (_, i) => colors[i % colors.length])});
+    }
+
+    const setColor = (col) => {
+        params[1]({...params[0], tileColors: tileColors.map((old, i) => i === editedIdx ? col : old)});
+    }
+
+    return (<>
+        <h2>Coloring</h2>
+        <Select
+            value={coloringMode} options={modeOptions}
+            style={{ width: "100%", marginBottom: "var(--small-spacing)" }}
+            onChange={setMode} />
+
+        {coloringMode !== coloringModes.NONE && (<>
+            <LabelledSlider
+                lbl="Number of Colors" min={2} max={maxColors} value={coloringColors}
+                onChange={(val) => params[1]({...params[0], coloringColors: val, coloringIdx: 0})} />
+
+            {coloringMode === coloringModes.SYMMETRIC && (<>
+                <LabelledToggle
+                    lbl="Only rotations need to keep the coloring (otherwise mirror images too)"
+                    toggled={coloringRotations}
+                    onChange={(toggled) => params[1]({...params[0], coloringRotations: toggled, coloringIdx: 0})} />
+                {colorings.length > 0 ? (<>
+                    <p>Coloring</p>
+                    <Select
+                        value={coloringIdx}
+                        options={colorings.map((coloring, i) => ({ label: coloringLabel(coloring, i), value: i }))}
+                        style={{ width: "100%", marginBottom: "var(--small-spacing)" }}
+                        onChange={(idx) => params[1]({...params[0], coloringIdx: idx})} />
+                    {colorings.length === maxColorings && (
+                        <p className="coloring-hint">Only the first {maxColorings} colorings are listed.</p>
+                    )}
+                </>) : (
+                    <Alert type="info" showIcon style={{ marginBottom: "var(--small-spacing)" }}
+                        message={`No coloring of the (${pValue}, ${qValue}, ${rValue}) tiling with ${coloringColors} ` +
+                            `colors was found that its ${symmetries} or a part of them keep, ` +
+                            "so the polygons keep their usual colors. Try another number of colors."} />
+                )}
+            </>)}
+
+            {coloringMode === coloringModes.RANDOM && (<>
+                <p>Seed</p>
+                <div className="coloring-row">
+                    <InputNumber
+                        min={0} max={maxSeed} precision={0} value={params[0].coloringSeed}
+                        onChange={(val) => { if (val !== null) params[1]({...params[0], coloringSeed: val}); }} />
+                    <Button onClick={() => params[1]({...params[0],
+                        coloringSeed: Math.floor(Math.random() * (maxSeed + 1))})}>Shuffle</Button>
+                </div>
+            </>)}
+
+            <p>Palette</p>
+            <Select
+                value={null} placeholder="Fill the colors from a palette"
+                options={palettes.map((palette, i) => ({ label: palette.name, value: i }))}
+                style={{ width: "100%", marginBottom: "var(--small-spacing)" }}
+                onChange={setPalette} />
+            <div className="coloring-swatches">
+                {tileColors.slice(0, coloringColors).map((col, i) => (
+                    <button
+                        key={i} title={`Color ${i + 1}: ${col}`}
+                        className={"coloring-swatch" + (i === editedIdx ? " focused" : "")}
+                        style={{ backgroundColor: col }}
+                        onClick={() => { setEditedIdx(i); }} />
+                ))}
+            </div>
+            {editedIdx < coloringColors && (<>
+                <p>Color {editedIdx + 1}</p>
+                <ColorPicker value={tileColors[editedIdx]} onChange={setColor} />
+            </>)}
+        </>)}
+        <hr />
+    </>);
+}
+
+export default ColoringPanel;
@@ -1,6 +1,8 @@
 /**
- * This is a simple color picker, with support for keyboard navigation
- * via arrows and tab. It also contains a preset list of colors to use.
+ * This is the color picker, with support for keyboard navigation via arrows
+ * and tab, showing a palette of colors and the recently used ones. Its editor
+ * sets exact colors by hex code, RGB, HSL or relative luminance, and manages
+ * the custom palettes.
  * This code is protected under the MIT license (see the LICENSE file).
  * @author tdung-do
  */
@@ -8,29 +10,167 @@
 import './ColorPicker.css';
 
 import React from 'react';
-import { useState } from 'react';
-
-// Colors to display
-const colors = [[255, 255, 255], [180, 180, 180], [0, 0, 0], [244, 67, 54], [233, 30, 99],
-                [25, 25, 25], [127, 127, 127], [160, 215, 51], [78, 187, 130], [204, 0, 153],
-                // [156, 39, 176], [103, 58, 183], [63, 81, 181], [33, 150, 243], 
-                // [3, 169, 244], [0, 188, 212], [0, 150, 136], [76, 175, 80], 
-                // [139, 195, 74], [205, 220, 57], [255, 235, 59], [255, 235, 59], 
-                // [255, 193, 7], [255, 152, 0], [255, 87, 34], [183, 28, 28], 
-                // [136, 14, 79], [74, 20, 140], [49, 27, 146], [13, 71, 161], 
-                // [1, 87, 155], [0, 96, 100], [0, 77, 64], [27, 94, 32], 
-                // [51, 105, 30], [130, 119, 23], [245, 127, 23], [255, 111, 0], 
-                [230, 81, 0], [191, 54, 12],  [96, 125, 139]];
-
-// Format a color in CSS format
-const formatColor = (col) => `rgb(${col[0]}, ${col[1]}, ${col[2]})`;
+import { useState, useEffect, useSyncExternalStore } from 'react';
+import { Button, Input, InputNumber, Select } from 'antd';
+
+import { defaultPalette, isColor, hexToRgb, rgbToHex, rgbToHsl, hslToRgb, relativeLuminance, withLuminance,
+         getColorLibrary, updateColorLibrary, subscribeColorLibrary, addRecentColor } from '../../../colors.js';
+
+// Hook giving the recent colors and custom palettes, updated whenever they change
+const useColorLibrary = () => useSyncExternalStore(subscribeColorLibrary, getColorLibrary);
+
+/*
+Color editor component.
+*/
+
+function ColorEditor(props) {
+    const library = useColorLibrary();
+    const rgb = hexToRgb(props.value);
+
+    // The typed hex code and HSL values are kept while they don't match a
+    // color exactly, so that typing isn't interrupted
+    const [hexText, setHexText] = useState(props.value);
+    const [hsl, setHsl] = useState(rgbToHsl(rgb));
+    useEffect(() => {
+        setHexText(text => isColor(text) && text.toLowerCase() === props.value ? text : props.value);
+        setHsl(prevHsl => rgbToHex(hslToRgb(prevHsl)) === props.value ? prevHsl : rgbToHsl(hexToRgb(props.value)));
+    }, [props.value]);
+
+    // Values are applied while typing, and remembered as a recent color once done
+    const remember = () => { addRecentColor(props.value); };
+    const setRgb = (newRgb) => { props.onChange(rgbToHex(newRgb)); };
+    const setChannel = (i, val) => {
+        if (val === null) return;
+        setRgb(rgb.map((old, j) => i === j ? val : old));
+    }
+    const setHslValue = (i, val) => {
+        if (val === null) return;
+        let newHsl = hsl.map((old, j) => i === j ? val : old);
+        setHsl(newHsl);
+        setRgb(hslToRgb(newHsl));
+    }
+
+    // The luminance is only applied once typed, as the hue and saturation of
+    // the intermediate values could be lost
+    const [luminance, setLuminance] = useState(null);
+    const applyLuminance = () => {
+        if (luminance !== null) {
+            let col = rgbToHex(withLuminance(rgb, luminance));
+            props.onChange(col);
+            addRecentColor(col);
+        }
+        setLuminance(null);
+    }
+
+    // Custom palettes
+    const palettes = library.palettes;
+    const paletteIdx = library.paletteIdx;
+    const palette = palettes[paletteIdx];
+    const setPalette = (idx, colors) => {
+        updateColorLibrary(lib => ({
+            palettes: lib.palettes.map((other, i) => i === idx ? { ...other, colors } : other)
+        }));
+    }
+
+    const numberField = (lbl, val, min, max, onChange, precision = 0) => (
+        <label className="color-editor-field">
+            <span>{lbl}</span>
+            <InputNumber size="small" min={min} max={max} precision={precision}
+                step={precision ? Math.pow(10, -precision) : 1} value={val}
+                onChange={onChange} onBlur={remember} onPressEnter={remember} />
+        </label>
+    );
+
+    return (
+        <div className="color-editor">
+            <div className="color-editor-row">
+                <input type="color" className="color-editor-native" value={props.value}
+                    onChange={(evt) => { props.onChange(evt.target.value); }} onBlur={remember} />
+                <Input size="small" value={hexText} maxLength={7}
+                    onChange={(evt) => {
+                        let text = evt.target.value.trim();
+                        text = text.startsWith("#") ? text : "#" + text;
+                        setHexText(text);
+                        if (isColor(text)) props.onChange(text.toLowerCase());
+                    }}
+                    onBlur={remember} onPressEnter={remember} />
+            </div>
+            <div className="color-editor-row">
+                {numberField("R", rgb[0], 0, 255, (val) => { setChannel(0, val); })}
+                {numberField("G", rgb[1], 0, 255, (val) => { setChannel(1, val); })}
+                {numberField("B", rgb[2], 0, 255, (val) => { setChannel(2, val); })}
+            </div>
+            <div className="color-editor-row">
+                {numberField("H", hsl[0], 0, 360, (val) => { setHslValue(0, val); }, 1)}
+                {numberField("S", hsl[1], 0, 100, (val) => { setHslValue(1, val); }, 1)}
+                {numberField("L", hsl[2], 0, 100, (val) => { setHslValue(2, val); }, 1)}
+            </div>
+            <div className="color-editor-row">
+                <label className="color-editor-field">
+                    <span>Relative Luminance</span>
+                    <InputNumber size="small" min={0} max={1} precision={4} step={0.001}
+                        value={luminance ?? relativeLuminance(rgb)} onChange={setLuminance}
+                        onBlur={applyLuminance} onPressEnter={applyLuminance} />
+                </label>
+            </div>
+
+            <div className="color-editor-row">
+                <Select size="small" value={paletteIdx} className="color-editor-palette"
+                    options={[{ label: "Default palette", value: -1 },
+                        ...palettes.map((other, i) => ({ label: other.name, value: i }))]}
+                    onChange={(idx) => { updateColorLibrary(() => ({ paletteIdx: idx })); }} />
+                <Button size="small" onClick={() => {
+                    updateColorLibrary(lib => ({
+                        palettes: [...lib.palettes, { name: `Palette ${lib.palettes.length + 1}`, colors: [props.value] }],
+                        paletteIdx: lib.palettes.length
+                    }));
+                }}>New</Button>
+                <Button size="small" danger disabled={!palette} onClick={() => {
+                    updateColorLibrary(lib => ({
+                        palettes: lib.palettes.filter((other, i) => i !== paletteIdx),
+                        paletteIdx: -1
+                    }));
+                }}>Delete</Button>
+            </div>
+            {palette && (
+                <div className="color-editor-row">
+                    <Input size="small" value={palette.name}
+                        onChange={(evt) => {
+                            let name = evt.target.value;
+                            updateColorLibrary(lib => ({
+                                palettes: lib.palettes.map((other, i) => i === paletteIdx ? { ...other, name } : other)
+                            }));
+                        }} />
+                    {palette.colors.includes(props.value) ? (
+                        <Button size="small" onClick={() => {
+                            setPalette(paletteIdx, palette.colors.filter(col => col !== props.value));
+                        }}>Remove Color</Button>
+                    ) : (
+                        <Button size="small" onClick={() => {
+                            setPalette(paletteIdx, [...palette.colors, props.value]);
+                        }}>Add Color</Button>
+                    )}
+                </div>
+            )}
+        </div>);
+}
 
 /*
 Color picker component.
 */
 
 function ColorPicker(props) {
-    const [colIdx, setColIdx] = useState(props.selIdx);
+    const library = useColorLibrary();
+    const [isEditing, setIsEditing] = useState(false);
+
+    const value = props.value.toLowerCase();
+    const palette = library.palettes[library.paletteIdx]?.colors ?? defaultPalette;
+    const colIdx = palette.indexOf(value);
+
+    const pick = (col) => {
+        props.onChange(col);
+        addRecentColor(col);
+    }
 
     const handleKeypress = (evt) => {
         let nIdx, updated = false;
@@ -44,34 +184,45 @@ function ColorPicker(props) {
                 updated = true;
                 break;
             case "ArrowRight":
-                nIdx = Math.min(colIdx + 1, colors.length - 1);
+                nIdx = Math.min(colIdx + 1, palette.length - 1);
                 updated = true;
                 break;
         }
 
         // Update values if changed
-        if (updated) {
-            setColIdx(nIdx);
-            props.onChange(nIdx);
+        if (updated && palette.length) {
+            pick(palette[nIdx]);
         }
     };
 
+    const swatch = (col, i, className) => (
+        <button
+            key={className + "-" + i}
+            className={className + (value === col ? " focused" : "")}
+            style={{backgroundColor: col}}
+            title={col}
+            onClick={() => { pick(col); }}
+            tabIndex="-1"></button>
+    );
+
     return (
-    <div className="color-picker" tabIndex="0" onKeyDown={handleKeypress}>
-        {
-            colors.map((col, i) => {
-                return (<button
-                    key={"colorPicker-" + props.componentName + "-" + i}
-                    className={"color-picker-btn" + (colIdx === i ? " focused" : "")} 
-                    style={{backgroundColor: formatColor(col)}}
-                    onClick={() => {
-                        setColIdx(i);
-                        props.onChange(i);
-                    }}
-                    tabIndex="-1"></button>);
-            })
-        }
+    <div className="color-picker-parent">
+        <div className="color-picker" tabIndex="0" onKeyDown={handleKeypress}>
+            {palette.map((col, i) => swatch(col, i, "color-picker-btn"))}
+        </div>
+        <div className="color-picker-row">
+            {library.recent.length > 0 && (<>
+                <span className="color-picker-hint">Recent</span>
+                {library.recent.map((col, i) => swatch(col, i, "color-picker-recent"))}
+            </>)}
+            <Button size="small" className="color-picker-edit" onClick={() => { setIsEditing(!isEditing); }}>
+                {isEditing ? "Close Editor" : "Exact Color"}
+            </Button>
+        </div>
+        {isEditing && (
+            <ColorEditor value={value} onChange={props.onChange} />
+        )}
     </div>);
 }
 
-export { ColorPicker, colors };
\ No newline at end of file
+export { ColorPicker };
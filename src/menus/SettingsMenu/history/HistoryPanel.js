@@ -0,0 +1,42 @@
+/**
+ * This component shows the undo history of the settings, with buttons to
+ * undo and redo, and the list of steps to go back or forward to.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import './HistoryPanel.css';
+
+import React from 'react';
+import { useContext } from 'react';
+import { Button } from 'antd';
+
+import { HistoryContext } from '../../../App.js';
+
+function HistoryPanel() {
+    const history = useContext(HistoryContext);
+
+    // The latest steps are listed first
+    return (<>
+        <h2>History</h2>
+        <div className="history-buttons">
+            <Button onClick={history.undo} disabled={!history.canUndo}>Undo</Button>
+            <Button onClick={history.redo} disabled={!history.canRedo}>Redo</Button>
+            <span className="history-hint">Ctrl+Z, Ctrl+Shift+Z</span>
+        </div>
+        <ol className="history-list" reversed>
+            {history.steps.map((step, i) => (
+                <li key={i}>
+                    <button 
+                        className={"history-step" + (i === history.index ? " current" : "") + (i > history.index ? " undone" : "")}
+                        onClick={() => { history.goTo(i); }}>
+                        {step.label}
+                    </button>
+                </li>
+            )).reverse()}
+        </ol>
+        <hr />
+    </>);
+}
+
+export default HistoryPanel;
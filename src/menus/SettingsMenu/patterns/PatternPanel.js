@@ -0,0 +1,195 @@
+/**
+ * This component is the pattern plugin section of the settings. It selects
+ * the plugin coloring the polygons, with controls built from the parameters
+ * it declares, and edits the plugins of the user, which are kept in the
+ * browser and saved to or read from JSON files.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import './PatternPanel.css';
+
+import React from 'react';
+import { useState, useContext, useEffect, useRef, useSyncExternalStore } from 'react';
+import { Button, Input, Select, Alert } from 'antd';
+
+import LabelledSlider from '../sliders/LabelledSlider.js';
+import LabelledToggle from '../sliders/LabelledToggle.js';
+import { ColorPicker } from '../colorpicker/ColorPicker.js';
+import { ParamContext } from '../../../App.js';
+import { builtinPatterns, readPattern, readPatternFile, writePatternFile, patternValues, newPatternId,
+         getUserPatterns, updateUserPatterns, subscribePatterns, findPattern } from '../../../patterns.js';
+import { downloadJson } from '../../../export.js';
+
+// Hook giving the plugins of the user, updated whenever they change
+const useUserPatterns = () => useSyncExternalStore(subscribePatterns, getUserPatterns);
+
+// Plugins take over the polygons from the other illusions and uniform tilings
+const illusionsOff = { doSnake: false, doCafeWall: false, doOuchi: false, doTexture: false, coloringMode: 0,
+                       wythoffOp: "" };
+
+function PatternPanel() {
+    const params = useContext(ParamContext);
+    const userPatterns = useUserPatterns();
+    const { patternId } = params[0];
+    const pattern = findPattern(patternId);
+    const isUserPattern = userPatterns.includes(pattern);
+    const values = pattern ? patternValues(pattern, params[0].patternValues) : {};
+
+    // The edited plugin is only applied on request, as its GLSL is compiled
+    // again on every change
+    const [name, setName] = useState("");
+    const [paramText, setParamText] = useState("");
+    const [glsl, setGlsl] = useState("");
+    const [notice, setNotice] = useState(null);
+    const fileRef = useRef(null);
+    useEffect(() => {
+        setName(pattern?.name ?? "");
+        setParamText(JSON.stringify(pattern?.params ?? [], null, 2));
+        setGlsl(pattern?.glsl ?? "");
+    }, [pattern]);
+
+    const select = (id) => {
+        let selected = findPattern(id);
+        params[1]({...params[0], ...(id ? illusionsOff : {}),
+            patternId: id, patternValues: selected ? patternValues(selected) : {}});
+        setNotice(null);
+    }
+
+    const setValue = (param, val) => {
+        params[1]({...params[0], patternValues: {...values, [param]: val}});
+    }
+
+    // Adds plugins to those of the user and selects the first of them
+    const addPatterns = (added) => {
+        updateUserPatterns(patterns => [...patterns, ...added]);
+        select(added[0].id);
+    }
+
+    const onCopy = () => {
+        addPatterns([{ ...pattern, id: newPatternId(), name: `${pattern.name} (copy)` }]);
+    }
+
+    // Replaces the plugin with the edited one, under the same id
+    const onApply = () => {
+        let declared;
+        try {
+            declared = JSON.parse(paramText);
+        } catch (e) {
+            setNotice({ type: "error", message: "The parameters aren't valid JSON." });
+            return;
+        }
+        let result = readPattern({ name, params: declared, glsl });
+        if (result.error) {
+            setNotice({ type: "error", message: result.error });
+            return;
+        }
+        let edited = { ...result.pattern, id: pattern.id };
+        updateUserPatterns(patterns => patterns.map(other => other.id === pattern.id ? edited : other));
+        params[1]({...params[0], patternValues: patternValues(edited, params[0].patternValues)});
+        setNotice(null);
+    }
+
+    const onDelete = () => {
+        updateUserPatterns(patterns => patterns.filter(other => other.id !== pattern.id));
+        select("");
+    }
+
+    const onExport = () => {
+        downloadJson(JSON.stringify(writePatternFile([pattern]), null, 2), "pattern.json");
+    }
+
+    const onImport = async (evt) => {
+        let file = evt.target.files[0];
+        evt.target.value = "";
+        if (!file) return;
+
+        let result;
+        try {
+            result = readPatternFile(JSON.parse(await file.text()));
+        } catch (e) {
+            result = { error: "The file isn't valid JSON." };
+        }
+        if (result.error) {
+            setNotice({ type: "error", message: result.error });
+            return;
+        }
+        addPatterns(result.patterns);
+        setNotice({
+            type: "success",
+            message: `Imported ${result.patterns.length} pattern${result.patterns.length === 1 ? "" : "s"} from ${file.name}.`
+        });
+    }
+
+    const options = [
+        { label: "None", value: "" },
+        { label: "Built-in", options: builtinPatterns.map(other => ({ label: other.name, value: other.id })) },
+        ...(userPatterns.length ?
+            [{ label: "My Patterns", options: userPatterns.map(other => ({ label: other.name, value: other.id })) }] : [])
+    ];
+
+    return (<>
+        <h2>Pattern Plugin</h2>
+        <Select
+            value={pattern ? patternId : ""} options={options}
+            style={{ width: "100%", marginBottom: "var(--small-spacing)" }}
+            onChange={(id) => { select(id); }} />
+        {patternId && !pattern && (
+            <Alert type="warning" showIcon style={{ marginBottom: "var(--small-spacing)" }}
+                message="This tiling uses a pattern that isn't saved in this browser. Import its file to see it." />
+        )}
+
+        {pattern && pattern.params.map(param => (
+            <React.Fragment key={param.name}>
+                {param.type === "bool" && (
+                    <LabelledToggle
+                        lbl={param.label} toggled={values[param.name]}
+                        onChange={(toggled) => { setValue(param.name, toggled); }} />
+                )}
+                {(param.type === "number" || param.type === "int") && (
+                    <LabelledSlider
+                        lbl={param.label} min={param.min} max={param.max} step={param.step}
+                        value={values[param.name]}
+                        onChange={(val) => { setValue(param.name, val); }} />
+                )}
+                {param.type === "color" && (<>
+                    <p>{param.label}</p>
+                    <ColorPicker
+                        value={values[param.name]}
+                        onChange={(col) => { setValue(param.name, col); }} />
+                </>)}
+            </React.Fragment>
+        ))}
+
+        {isUserPattern && (
+            <div className="pattern-editor">
+                <h3>Edit Pattern</h3>
+                <p>Name</p>
+                <Input value={name} onChange={(evt) => { setName(evt.target.value); }} />
+                <p>Parameters (JSON)</p>
+                <Input.TextArea className="pattern-code" autoSize={{ minRows: 3, maxRows: 12 }} spellCheck={false}
+                    value={paramText} onChange={(evt) => { setParamText(evt.target.value); }} />
+                <p>GLSL</p>
+                <Input.TextArea className="pattern-code" autoSize={{ minRows: 6, maxRows: 20 }} spellCheck={false}
+                    value={glsl} onChange={(evt) => { setGlsl(evt.target.value); }} />
+            </div>
+        )}
+
+        <div className="pattern-buttons">
+            {isUserPattern && <Button type="primary" onClick={onApply}>Apply</Button>}
+            {pattern && !isUserPattern && <Button onClick={onCopy}>Copy to Edit</Button>}
+            {isUserPattern && <Button onClick={onExport}>Export to File</Button>}
+            <Button onClick={() => { fileRef.current.click(); }}>Import from File</Button>
+            {isUserPattern && <Button danger onClick={onDelete}>Delete</Button>}
+            <input type="file" accept=".json,application/json" ref={fileRef} onChange={onImport} hidden />
+        </div>
+        {notice && (
+            <Alert type={notice.type} message={notice.message} showIcon
+                closable onClose={() => { setNotice(null); }}
+                style={{ marginBottom: "var(--small-spacing)" }} />
+        )}
+        <hr />
+    </>);
+}
+
+export default PatternPanel;
@@ -0,0 +1,133 @@
+/**
+ * This component is the list of presets saved by the user. Presets are kept
+ * in the browser, and can be loaded, renamed, reordered, deleted, and saved
+ * to or read from JSON files.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import './PresetPanel.css';
+
+import React from 'react';
+import { useState, useContext, useEffect, useRef } from 'react';
+import { Button, Input, Alert, Typography } from 'antd';
+
+import { ParamContext } from '../../../App.js';
+import { storedValues, applyValues } from '../../../shareLinks.js';
+import { newPresetId, writePresetList, readPresetList, loadStoredPresets, storePresets } from '../../../presets.js';
+import { downloadJson } from '../../../export.js';
+
+function PresetPanel() {
+    const params = useContext(ParamContext);
+
+    const [presets, setPresets] = useState(loadStoredPresets);
+    const [name, setName] = useState("");
+    const [notice, setNotice] = useState(null);
+    const fileRef = useRef(null);
+
+    // Keep the saved presets up to date
+    useEffect(() => { storePresets(presets); }, [presets]);
+
+    // Saves the current settings, replacing the preset with the same name
+    const onSave = () => {
+        let presetName = name.trim() || `Preset ${presets.length + 1}`;
+        let preset = { id: newPresetId(), name: presetName, values: storedValues(params[0]) };
+        let idx = presets.findIndex(other => other.name === presetName);
+        setPresets(idx < 0 ? [...presets, preset] : presets.map((other, i) => i === idx ? preset : other));
+        setName("");
+        setNotice(null);
+    }
+
+    const onLoad = (preset) => {
+        let result = applyValues(params[0], preset.values);
+        if (result.error) {
+            setNotice({ type: "error", message: result.error.message });
+            return;
+        }
+        setNotice(result.warning ? { type: "warning", message: result.warning } : null);
+        params[1](result.params);
+    }
+
+    const onRename = (idx, newName) => {
+        if (!newName.trim()) return;
+        setPresets(presets.map((preset, i) => i === idx ? { ...preset, name: newName.trim() } : preset));
+    }
+
+    // Swaps the preset with the one before or after it
+    const onMove = (idx, offset) => {
+        let moved = [...presets];
+        [moved[idx], moved[idx + offset]] = [moved[idx + offset], moved[idx]];
+        setPresets(moved);
+    }
+
+    const onDelete = (idx) => {
+        setPresets(presets.filter((preset, i) => i !== idx));
+    }
+
+    const onExport = () => {
+        downloadJson(JSON.stringify(writePresetList(presets), null, 2), "presets.json");
+    }
+
+    // Adds the presets of a file after the existing ones
+    const onImport = async (evt) => {
+        let file = evt.target.files[0];
+        evt.target.value = "";
+        if (!file) return;
+
+        let result;
+        try {
+            result = readPresetList(JSON.parse(await file.text()));
+        } catch (e) {
+            result = { error: "The file isn't valid JSON." };
+        }
+        if (result.error) {
+            setNotice({ type: "error", message: result.error });
+            return;
+        }
+        setPresets(prevPresets => [...prevPresets, ...result.presets]);
+        setNotice({
+            type: result.skipped ? "warning" : "success",
+            message: `Imported ${result.presets.length} preset${result.presets.length === 1 ? "" : "s"} from ${file.name}` +
+                (result.skipped ? `, leaving out ${result.skipped} invalid ones.` : ".")
+        });
+    }
+
+    return (<>
+        <h2>Saved Presets</h2>
+        <div className="preset-save">
+            <Input placeholder="Preset name" value={name}
+                onChange={(evt) => { setName(evt.target.value); }} onPressEnter={onSave} />
+            <Button type="primary" onClick={onSave}>Save Current Settings</Button>
+        </div>
+
+        {presets.length === 0 && (
+            <p className="preset-hint">No saved presets yet.</p>
+        )}
+        {presets.map((preset, i) => (
+            <div className="preset-row" key={preset.id}>
+                <Typography.Text className="preset-name"
+                    editable={{ onChange: (val) => { onRename(i, val); }, tooltip: "Rename" }}>
+                    {preset.name}
+                </Typography.Text>
+                <Button size="small" onClick={() => { onLoad(preset); }}>Load</Button>
+                <Button size="small" disabled={i === 0} onClick={() => { onMove(i, -1); }}>{"↑"}</Button>
+                <Button size="small" disabled={i === presets.length - 1} onClick={() => { onMove(i, 1); }}>{"↓"}</Button>
+                <Button size="small" danger onClick={() => { onDelete(i); }}>Delete</Button>
+            </div>
+        ))}
+
+        <div className="preset-files">
+            <Button onClick={onExport} disabled={presets.length === 0}>Export to File</Button>
+            <Button onClick={() => { fileRef.current.click(); }}>Import from File</Button>
+            <input type="file" accept=".json,application/json" ref={fileRef} onChange={onImport} hidden />
+        </div>
+        {notice && (
+            <Alert type={notice.type} message={notice.message} showIcon
+                closable onClose={() => { setNotice(null); }}
+                style={{ marginBottom: "var(--small-spacing)" }} />
+        )}
+        <hr />
+    </>);
+}
+
+export default PresetPanel;
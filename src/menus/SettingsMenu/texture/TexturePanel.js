@@ -0,0 +1,81 @@
+/**
+ * This component is the image section of the settings. It uploads the image
+ * tiled into the fundamental triangles, and sets how it is mapped onto them.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import './TexturePanel.css';
+
+import React from 'react';
+import { useState, useContext, useRef, useSyncExternalStore } from 'react';
+import { Button, Select, Alert } from 'antd';
+
+import LabelledToggle from '../sliders/LabelledToggle.js';
+import { ParamContext } from '../../../App.js';
+import { textureModes, readTextureFile, getTexture, setTexture, subscribeTexture } from '../../../textures.js';
+
+// The image takes over the polygons from the other illusions and plugins
+const illusionsOff = { doSnake: false, doCafeWall: false, doOuchi: false, patternId: "", coloringMode: 0,
+                       wythoffOp: "" };
+
+function TexturePanel() {
+    const params = useContext(ParamContext);
+    const texture = useSyncExternalStore(subscribeTexture, getTexture);
+    const [notice, setNotice] = useState(null);
+    const fileRef = useRef(null);
+
+    // Tiles the image as soon as it's uploaded
+    const onUpload = async (evt) => {
+        let file = evt.target.files[0];
+        evt.target.value = "";
+        if (!file) return;
+
+        try {
+            setTexture(await readTextureFile(file));
+        } catch (e) {
+            setNotice({ type: "error", message: e.message });
+            return;
+        }
+        setNotice(null);
+        params[1]({...params[0], ...illusionsOff, doTexture: true});
+    }
+
+    return (<>
+        <h2>Image</h2>
+        <div className="texture-row">
+            {texture && <img className="texture-preview" src={texture.url} alt="" />}
+            <span className="texture-name">{texture ? texture.name : "No image uploaded yet."}</span>
+        </div>
+        <div className="texture-row">
+            <Button onClick={() => { fileRef.current.click(); }}>Upload Image</Button>
+            <Button danger disabled={!texture} onClick={() => { setTexture(null); }}>Remove</Button>
+            <input type="file" accept="image/*" ref={fileRef} onChange={onUpload} hidden />
+        </div>
+        {notice && (
+            <Alert type={notice.type} message={notice.message} showIcon
+                closable onClose={() => { setNotice(null); }}
+                style={{ marginBottom: "var(--small-spacing)" }} />
+        )}
+
+        <LabelledToggle
+            lbl="Tile the Image" toggled={params[0].doTexture} disabled={!texture}
+            onChange={(toggled) => params[1]({...params[0], ...(toggled ? illusionsOff : {}), doTexture: toggled})} />
+        {params[0].doTexture && (
+            <>
+                <p>Mapping</p>
+                <Select 
+                    value={params[0].textureMode} options={textureModes}
+                    style={{ width: "100%", marginBottom: "var(--small-spacing)" }}
+                    onChange={(val) => params[1]({...params[0], textureMode: val})} />
+                <LabelledToggle
+                    lbl="Mirror the image along with the triangles (otherwise only turn it)" 
+                    toggled={params[0].textureMirror}
+                    onChange={(toggled) => params[1]({...params[0], textureMirror: toggled})} />
+            </>
+        )}
+        <hr />
+    </>);
+}
+
+export default TexturePanel;
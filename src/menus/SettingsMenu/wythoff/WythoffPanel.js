@@ -0,0 +1,158 @@
+/**
+ * This component is the uniform tiling section of the settings. It picks the
+ * operator of Conway's notation applied to the tiling, which places the point
+ * W of Wythoff's construction or draws the dual tilings with the edge toggles,
+ * sets W by hand in a picture of the fundamental triangle, and sets the colors
+ * of the faces.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import './WythoffPanel.css';
+
+import React from 'react';
+import { useState, useContext, useRef } from 'react';
+import { Select } from 'antd';
+
+import LabelledToggle from '../sliders/LabelledToggle.js';
+import { ColorPicker } from '../colorpicker/ColorPicker.js';
+import { ParamContext } from '../../../App.js';
+import { wythoffColorParams } from '../../../colors.js';
+import { wythoffModes, wythoffOps, lavesOps, findLavesOp, selectedWythoff } from '../../../wythoff.js';
+
+// Uniform tilings take over the polygons from the illusions, plugins and colorings
+const illusionsOff = { doSnake: false, doCafeWall: false, doOuchi: false, doTexture: false, patternId: "",
+                       coloringMode: 0 };
+
+// Corners V0, V1 and V2 of the triangle of the picker, which is equilateral
+// so that the distances of a point to its sides are in the ratio of its
+// trilinear weights, and of its barycentric coordinates
+const pickerCorners = [[16, 162], [184, 162], [100, 16.5]];
+
+// Weights closer to 0 than this snap to it, putting W on the mirror
+const snapWeight = 0.04;
+
+const opLabel = (op) => op.conway ? `${op.name} (${op.conway})` : op.name;
+const lavesPrefix = "laves:";
+
+const opOptions = [
+    { label: "None", value: "" },
+    { label: "Uniform", options: wythoffOps.map(op => ({ label: opLabel(op), value: op.id })) },
+    { label: "Dual (with the edges)", options: lavesOps.map(op => ({ label: opLabel(op), value: lavesPrefix + op.id })) }
+];
+
+// Point of the picker with the given weights, and its foot on each side
+const pickerPoint = (weights) => {
+    let sum = weights.reduce((total, w) => total + w, 0);
+    return [0, 1].map(axis => weights.reduce((total, w, i) => total + w * pickerCorners[i][axis], 0) / sum);
+}
+const pickerFoot = (point, k) => {
+    let [A, B] = [pickerCorners[(k + 1) % 3], pickerCorners[(k + 2) % 3]];
+    let [dx, dy] = [B[0] - A[0], B[1] - A[1]];
+    let t = ((point[0] - A[0]) * dx + (point[1] - A[1]) * dy) / (dx * dx + dy * dy);
+    return [A[0] + t * dx, A[1] + t * dy];
+}
+
+// Weights of the point of the picker, as its barycentric coordinates, which
+// are cut off at the sides and rounded to keep links short
+const pickerWeights = (x, y) => {
+    let [[x0, y0], [x1, y1], [x2, y2]] = pickerCorners;
+    let det = (y1 - y2) * (x0 - x2) + (x2 - x1) * (y0 - y2);
+    let w0 = ((y1 - y2) * (x - x2) + (x2 - x1) * (y - y2)) / det;
+    let w1 = ((y2 - y0) * (x - x2) + (x0 - x2) * (y - y2)) / det;
+    let weights = [w0, w1, 1 - w0 - w1].map(w => w < snapWeight ? 0 : w);
+    let sum = weights.reduce((total, w) => total + w, 0);
+    return weights.map(w => Math.round(1000 * w / sum) / 1000);
+}
+
+function WythoffPanel() {
+    const params = useContext(ParamContext);
+    const { pValue, qValue, rValue, wythoffOp, wythoffSnub } = params[0];
+    const wythoff = selectedWythoff(params[0]);
+    const lavesOp = findLavesOp(params[0]);
+    const svgRef = useRef(null);
+
+    // Color of the faces being edited
+    const [editedIdx, setEditedIdx] = useState(0);
+
+    const selectOp = (value) => {
+        if (value.startsWith(lavesPrefix)) {
+            let op = lavesOps.find(other => lavesPrefix + other.id === value);
+            params[1]({...params[0], ...op.edges, doEdges: true, wythoffOp: ""});
+        } else {
+            params[1]({...params[0], ...(value && !wythoffOp ? illusionsOff : {}), wythoffOp: value});
+        }
+    }
+
+    // Dragging the point makes it custom, staying snub if it was
+    const onPointer = (evt) => {
+        if (evt.type === "pointerdown") {
+            evt.currentTarget.setPointerCapture(evt.pointerId);
+        } else if (!evt.currentTarget.hasPointerCapture(evt.pointerId)) {
+            return;
+        }
+        let box = svgRef.current.getBoundingClientRect();
+        let weights = pickerWeights(200 * (evt.clientX - box.left) / box.width, 180 * (evt.clientY - box.top) / box.height);
+        params[1]({...params[0], ...(wythoffOp ? {} : illusionsOff), wythoffOp: "custom", wythoffWeights: weights,
+            wythoffSnub: wythoffOp === "snub" || (wythoffOp === "custom" && wythoffSnub)});
+    }
+
+    const isSnub = wythoff.mode === wythoffModes.SNUB;
+    const point = wythoff.mode !== wythoffModes.NONE ? pickerPoint(wythoff.weights) : null;
+    const faceNames = [`Around V0 (${pValue}-fold)`, `Around V1 (${rValue}-fold)`, `Around V2 (${qValue}-fold)`,
+                       "Snub triangles"];
+    const shownFaces = isSnub ? 4 : 3;
+
+    return (<>
+        <h2>Uniform Tilings</h2>
+        <Select
+            value={wythoffOp || (lavesOp ? lavesPrefix + lavesOp.id : "")} options={opOptions}
+            style={{ width: "100%", marginBottom: "var(--small-spacing)" }}
+            onChange={selectOp} />
+
+        <p className="wythoff-hint">
+            Drag the point W in the fundamental triangle: edges join it to its images in the sides it lies off.
+        </p>
+        <svg
+            ref={svgRef} className="wythoff-picker" viewBox="0 0 200 180"
+            onPointerDown={onPointer} onPointerMove={onPointer}>
+            <polygon className="wythoff-triangle" points={pickerCorners.map(corner => corner.join(",")).join(" ")} />
+            {point && !isSnub && [0, 1, 2].filter(k => wythoff.weights[k] > 0).map(k => (
+                <line key={k} className="wythoff-edge" x1={point[0]} y1={point[1]}
+                    x2={pickerFoot(point, k)[0]} y2={pickerFoot(point, k)[1]} />
+            ))}
+            {point && <circle className="wythoff-point" cx={point[0]} cy={point[1]} r={6} />}
+            {["V0", "V1", "V2"].map((name, i) => (
+                <text key={name} className="wythoff-label" x={pickerCorners[i][0]} y={pickerCorners[i][1] + (i === 2 ? -5 : 14)}
+                    textAnchor={["end", "start", "middle"][i]}>{name}</text>
+            ))}
+        </svg>
+        {wythoffOp === "custom" && (
+            <LabelledToggle
+                lbl="Snub (keep only the images of W by rotations)" toggled={wythoffSnub}
+                onChange={(toggled) => params[1]({...params[0], wythoffSnub: toggled})} />
+        )}
+
+        {wythoff.mode !== wythoffModes.NONE && (<>
+            <p>Face Colors</p>
+            <div className="wythoff-swatches">
+                {wythoffColorParams.slice(0, shownFaces).map((name, i) => (
+                    <button
+                        key={name} title={faceNames[i]}
+                        className={"wythoff-swatch" + (i === editedIdx ? " focused" : "")}
+                        style={{ backgroundColor: params[0][name] }}
+                        onClick={() => { setEditedIdx(i); }} />
+                ))}
+            </div>
+            {editedIdx < shownFaces && (<>
+                <p>{faceNames[editedIdx]}</p>
+                <ColorPicker
+                    value={params[0][wythoffColorParams[editedIdx]]}
+                    onChange={(col) => params[1]({...params[0], [wythoffColorParams[editedIdx]]: col})} />
+            </>)}
+        </>)}
+        <hr />
+    </>);
+}
+
+export default WythoffPanel;
@@ -0,0 +1,39 @@
+/**
+ * This is the shader errors component. It is overlaid on the tiling when the
+ * shader fails to compile, listing the errors of the pattern plugin by the
+ * lines of its GLSL function, while the tiling is drawn without it.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import './ShaderErrors.css';
+
+import React from 'react';
+
+function ShaderErrors(props) {
+    return (
+        <div id="shader-errors" role="alert">
+            <div className="shader-errors-header">
+                <h3>
+                    {props.pattern ? `The pattern "${props.pattern.name}" doesn't compile` : "The shader doesn't compile"}
+                </h3>
+                <button className="shader-errors-close" onClick={props.onClose} aria-label="Close">{"×"}</button>
+            </div>
+            {props.pattern && <p>The tiling is drawn without it until it's fixed in the settings.</p>}
+            <ul>
+                {props.errors.map((error, i) => (
+                    <li key={i}>
+                        {error.line !== undefined && (
+                            <span className="shader-errors-line">
+                                {error.inPattern ? `Line ${error.line}` : `Shader line ${error.line}`}
+                            </span>
+                        )}
+                        {error.message}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+export default ShaderErrors;
@@ -1,5 +1,7 @@
 /**
- * This is the topbar component. It contains buttons to open all submenus.
+ * This is the topbar component. It contains buttons to open all submenus,
+ * which also open with the keys shown in their titles, and shortens their
+ * labels on narrow windows.
  * This code is protected under the MIT license (see the LICENSE file).
  * @author tdung-do
  */
@@ -16,11 +18,17 @@ function TopbarMenu(props) {
             {/* <div id="logo-container">
                 <img src={logo} alt="Logo" id="topbar-logo"/>
             </div> */}
-            <button className="topbar-button" onClick={props.onHelp}>Help</button>
-            <button className="topbar-button" onClick={props.onSettings}>Settings</button>
-            <button className="topbar-button" onClick={props.onSaveImg}>Save Image</button>
-            <Tooltip title="Copied to clipboard" trigger="click">
-                <button className="topbar-button" onClick={props.onShare}>Get Shareable Link</button>
+            <button className="topbar-button" onClick={props.onHelp} title="Help (H)" aria-keyshortcuts="H">Help</button>
+            <button className="topbar-button" onClick={props.onSettings}
+                title="Settings (S)" aria-keyshortcuts="S">Settings</button>
+            <button className="topbar-button" onClick={props.onSaveImg} title="Save Image (I)" aria-keyshortcuts="I">
+                <span className="topbar-long">Save Image</span><span className="topbar-short">Save</span>
+            </button>
+            <Tooltip title="Copied to clipboard" open={props.linkCopied}>
+                <button className="topbar-button" onClick={props.onShare}
+                    title="Get Shareable Link (L)" aria-keyshortcuts="L">
+                    <span className="topbar-long">Get Shareable Link</span><span className="topbar-short">Share</span>
+                </button>
             </Tooltip>
         </div>
     );
@@ -0,0 +1,28 @@
+/**
+ * This is the view controls component. It contains the buttons overlaid on 
+ * the tiling to zoom, recenter and reset the view.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import './ViewControls.css';
+
+import { Tooltip } from 'antd';
+import React from 'react';
+
+function ViewControls(props) {
+    return (
+        <div id="view-controls">
+            <Tooltip title="Zoom in" placement="left">
+                <button className="view-button" onClick={props.onZoomIn}>+</button>
+            </Tooltip>
+            <Tooltip title="Zoom out" placement="left">
+                <button className="view-button" onClick={props.onZoomOut}>{"−"}</button>
+            </Tooltip>
+            <button className="view-button" onClick={props.onRecenter}>Recenter</button>
+            <button className="view-button" onClick={props.onReset}>Reset View</button>
+        </div>
+    );
+}
+
+export default ViewControls;
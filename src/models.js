@@ -0,0 +1,487 @@
+/**
+ * This file is the registry of the models showing the tilings on the screen.
+ * Each model is defined once here, with its map to the Poincare disk (or to
+ * the plane of the fundamental triangle for Euclidean and spherical tilings)
+ * in JS and in GLSL, the inverse map, and its default zoom and aspect. The
+ * maps of the app and the ones put into the shader are built from it.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import { Complex, versor } from './math.js';
+
+const CMP_ZERO = new Complex(0, 0);
+const CMP_ONE = new Complex(1, 0);
+const CMP_I = new Complex(0, 1);
+
+// Scaling factors for various models
+const gansScale = 10;
+const mapScale = 3;
+
+// Writes a number as a GLSL float
+const glslFloat = (x) => Number.isInteger(x) ? `${x}.` : `${x}`;
+
+/*
+Geometry of the hemisphere and the hyperboloid, which are seen from a point
+of view in space. Points of space are arrays [x, y, h], where h is the
+height over the plane of the disk.
+*/
+
+const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+const cross = (u, v) => [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+const normalize = (u) => u.map(x => x / Math.sqrt(dot(u, u)));
+const glslVec3 = (u) => `vec3(${u.map(glslFloat).join(", ")})`;
+
+// Elevation of the view of the hemisphere, which is seen from far away
+const hemisphereElevation = Math.PI / 6;
+
+// Directions of the view of the hemisphere, and the shift centering it on
+// the screen, as it reaches from -sin(elevation) to 1 upwards
+const hemisphereView = normalize([0, Math.cos(hemisphereElevation), -Math.sin(hemisphereElevation)]);
+const hemisphereUp = [0, Math.sin(hemisphereElevation), Math.cos(hemisphereElevation)];
+const hemisphereShift = (1 - Math.sin(hemisphereElevation)) / 2;
+
+// Eye looking at the hyperboloid t^2 - x^2 - y^2 = 1 from the side, far
+// enough for the bottom of the bowl to fill the screen at the model's zoom,
+// and the directions of its view
+const hyperboloidEye = [0, -12, 4];
+const hyperboloidView = normalize([0, 12, 0.8]);
+const hyperboloidRight = normalize(cross(hyperboloidView, [0, 0, 1]));
+const hyperboloidUp = cross(hyperboloidRight, hyperboloidView);
+
+// Minkowski form of the hyperboloid
+const minkowski = (u, v) => u[2] * v[2] - u[0] * v[0] - u[1] * v[1];
+
+// Point of the hyperboloid seen through the screen point z, the nearest
+// one in front of the eye, or null if the ray misses it
+const hyperboloidPoint = (z) => {
+    let dir = [0, 1, 2].map(i => hyperboloidView[i] + z.x * hyperboloidRight[i] + z.y * hyperboloidUp[i]);
+    let b = minkowski(hyperboloidEye, dir);
+    let c = minkowski(hyperboloidEye, hyperboloidEye) - 1;
+    let disc = b * b - minkowski(dir, dir) * c;
+    if (disc < 0) return null;
+    let roots = [c / (Math.sqrt(disc) - b), -c / (Math.sqrt(disc) + b)].sort((s, t) => s - t);
+    let s = roots.find(s => s > 0 && hyperboloidEye[2] + s * dir[2] > 0);
+    return s === undefined ? null : [0, 1, 2].map(i => hyperboloidEye[i] + s * dir[i]);
+}
+
+// This function takes in a, b and c, and returns the region of the disk
+// where a|z|^2 + 2<b, z> + c < 0, where planes cut the hyperboloid
+const cutRegion = (a, b, c) => {
+    let radius = Math.sqrt(b.normSq() / (a * a) - c / a);
+    return { center: b.divRe(-a), radius: a > 0 ? radius : -radius };
+}
+
+// The eye sees the side of the hyperboloid facing it, where the Minkowski
+// product of the eye and the point is below 1, in front of the plane through 
+// the eye normal to the view
+const hyperboloidRegions = (() => {
+    let [x, y, t] = hyperboloidEye;
+    let offset = dot(hyperboloidView, hyperboloidEye);
+    return [
+        cutRegion(t + 1, new Complex(-x, -y), t - 1),
+        cutRegion(-hyperboloidView[2] - offset, new Complex(-hyperboloidView[0], -hyperboloidView[1]),
+            offset - hyperboloidView[2])
+    ];
+})();
+
+/*
+Conformal square, the Schwarz-Christoffel map of the square onto the disk.
+*/
+
+// Complete elliptic integral K(1 / sqrt 2), and the scale that brings the
+// corners of the square to the points 1 + i and the like
+const squareK = 1.854074677301372;
+const squareScale = 0.9270373386;
+
+// Steps of the descending Landen transformation, which converges quickly
+const landenSteps = 6;
+
+// This function takes in u and the complementary parameter mc = 1 - m,
+// and returns the Jacobi elliptic functions [sn, cn, dn] of u
+const sncndn = (u, mc) => {
+    let em = [], en = [];
+    let a = 1, c = 1, dn = 1;
+    for (let i = 0; i < landenSteps; i++) {
+        em.push(a);
+        mc = Math.sqrt(mc);
+        en.push(mc);
+        c = 0.5 * (a + mc);
+        mc *= a;
+        a = c;
+    }
+    u *= c;
+    let sn = Math.sin(u), cn = Math.cos(u);
+    if (sn !== 0) {
+        a = cn / sn;
+        c *= a;
+        for (let i = landenSteps - 1; i >= 0; i--) {
+            let b = em[i];
+            a *= c;
+            c *= dn;
+            dn = (en[i] + a) / (b + a);
+            a = c / b;
+        }
+        a = 1 / Math.sqrt(c * c + 1);
+        sn = sn >= 0 ? a : -a;
+        cn = c * sn;
+    }
+    return [sn, cn, dn];
+}
+
+// Maps the square onto the disk as (1 - i) / sqrt 2 cn(K (1 + i) / 2 z - K)
+// with the parameter 1/2, whose complementary parameter is also 1/2
+const squareToDisk = (z) => {
+    let w = new Complex(squareK / 2, squareK / 2).mul(z).sub(new Complex(squareK, 0));
+    let [sn, cn, dn] = sncndn(w.x, 0.5);
+    let [sn1, cn1, dn1] = sncndn(w.y, 0.5);
+    let den = cn1 * cn1 + 0.5 * sn * sn * sn1 * sn1;
+    return new Complex(cn * cn1 / den, -sn * dn * sn1 * dn1 / den).mul(new Complex(Math.SQRT1_2, -Math.SQRT1_2));
+}
+
+// The inverse is the integral of 1 / sqrt(1 + z^4), summed along the radius
+// and then refined by Newton's method
+const squareSteps = 16;
+const squareRefinements = 3;
+const diskToSquare = (z) => {
+    let slope = (w) => {
+        let sq = w.mul(w);
+        let [root] = CMP_ONE.add(sq.mul(sq)).root(2);
+        return root;
+    }
+    let sum = CMP_ZERO;
+    for (let i = 0; i < squareSteps; i++) {
+        sum = sum.add(slope(z.mulRe((i + 0.5) / squareSteps)).reciprocal());
+    }
+    let w = sum.mul(z).divRe(squareSteps * squareScale);
+    for (let i = 0; i < squareRefinements; i++) {
+        let img = squareToDisk(w);
+        w = w.sub(img.sub(z).div(slope(img)).divRe(squareScale));
+    }
+    return w;
+}
+
+/*
+The registry. Each model has:
+- name, and curvature of the tilings it shows,
+- zoom, the default zoom, and aspect, the ratio of the width to the height
+  of the images fitting it,
+- toDisk, the map from the model to the disk, and glsl.toDisk, its body in
+  GLSL, which remaps the point z and may use the helpers in glsl.helpers,
+- fromDisk, its inverse, giving NaNs where the model has no point,
+- isOutside and glsl.isOutside, for models that don't fill the plane,
+  checking whether the point lies outside of the model's boundary,
+- mobius, whether its maps are Mobius transformations, keeping circular arcs,
+- infinity, for models showing the point at infinity, the point of the disk
+  it shows there (as null if it is the point at infinity itself),
+- visible, for models showing only a part of the disk, its regions given by
+  their center and radius, negative for the outside of the circle,
+- adjustable, whether it can be rotated and scaled on the screen.
+Models are stored by their index, so new ones are added at the end.
+*/
+
+const models = [
+    {
+        name: "Poincar\u00E9 disk", curvature: -1, zoom: 1, aspect: 1,
+        toDisk: (z) => z,
+        fromDisk: (z) => z,
+        glsl: { toDisk: "return z;" },
+        mobius: true
+    },
+    {
+        name: "Upper half-plane model", curvature: -1, zoom: 1, aspect: 2,
+        toDisk: (z) => z.div(z.add(CMP_I.mulRe(2))),
+        fromDisk: (z) => CMP_I.mul(CMP_ONE.add(z)).div(CMP_ONE.sub(z)).sub(CMP_I),
+        glsl: { toDisk: "return cdiv(z, z + 2. * CMP_I);" },
+        mobius: true, adjustable: true
+    },
+    {
+        name: "Beltrami-Klein disk", curvature: -1, zoom: 1, aspect: 1,
+        toDisk: (z) => z.divRe(1 + Math.sqrt(1 - z.normSq())),
+        fromDisk: (z) => z.mulRe(2 / (1 + z.normSq())),
+        glsl: { toDisk: "return z / (1. + sqrt(1. - normSq(z)));" }
+    },
+    {
+        name: "Poincar\u00E9 disk complement", curvature: -1, zoom: 1, aspect: 1,
+        toDisk: (z) => z.mulRe(mapScale).reciprocal(),
+        fromDisk: (z) => z.reciprocal().divRe(mapScale),
+        glsl: { toDisk: `return cinv(z * ${glslFloat(mapScale)});` },
+        mobius: true, infinity: CMP_ZERO
+    },
+    {
+        name: "Gans model", curvature: -1, zoom: 1, aspect: 1,
+        toDisk: (z) => {
+            z = z.mulRe(gansScale);
+            return z.divRe(1 + Math.sqrt(1 + z.normSq()));
+        },
+        fromDisk: (z) => z.mulRe(2 / ((1 - z.normSq()) * gansScale)),
+        glsl: { toDisk: `
+            z *= ${glslFloat(gansScale)};
+            return z / (1. + sqrt(1. + normSq(z)));` }
+    },
+    {
+        name: "Azimuthal equidistant projection", curvature: -1, zoom: 1, aspect: 1,
+        toDisk: (z) => {
+            z = z.mulRe(mapScale);
+            return z.getNormalized().mulRe(Math.tanh(z.getNorm() * 0.5));
+        },
+        fromDisk: (z) => {
+            let mag = z.getNorm();
+            return mag > 0 ? z.mulRe(2 * Math.atanh(mag) / (mag * mapScale)) : z;
+        },
+        glsl: { toDisk: `
+            z *= ${glslFloat(mapScale)};
+            return normalize(z) * tanh(.5 * length(z));` }
+    },
+    {
+        name: "Equal-area projection", curvature: -1, zoom: 1, aspect: 1,
+        toDisk: (z) => {
+            z = z.mulRe(mapScale);
+            return z.divRe(Math.sqrt(1 + z.normSq()));
+        },
+        fromDisk: (z) => z.divRe(Math.sqrt(1 - z.normSq()) * mapScale),
+        glsl: { toDisk: `
+            z *= ${glslFloat(mapScale)};
+            return z / sqrt(1. + normSq(z));` }
+    },
+    {
+        name: "Band model", curvature: -1, zoom: 1, aspect: 2,
+        toDisk: (z) => z.tanh(),
+        fromDisk: (z) => z.atanh(),
+        glsl: { toDisk: "return ctanh(z);" },
+        adjustable: true
+    },
+    {
+        name: "Euclidean plane", curvature: 0, zoom: 1, aspect: 1,
+        toDisk: (z) => z,
+        fromDisk: (z) => z,
+        glsl: { toDisk: "return z;" },
+        mobius: true
+    },
+    {
+        name: "Stereographic projection", curvature: 1, zoom: 1, aspect: 1,
+        toDisk: (z) => z,
+        fromDisk: (z) => z,
+        glsl: { toDisk: "return z;" },
+        mobius: true, infinity: null
+    },
+    {
+        name: "Orthographic sphere", curvature: 1, zoom: 1, aspect: 1,
+        toDisk: (z) => z.divRe(1 + Math.sqrt(1 - z.normSq())),
+        fromDisk: (z) => z.mulRe(2 / (1 + z.normSq())),
+        isOutside: (z) => z.normSq() > 1,
+        glsl: { toDisk: "return z / (1. + sqrt(1. - normSq(z)));", isOutside: "return normSq(z) > 1.;" },
+        visible: [{ center: CMP_ZERO, radius: 1 }]
+    },
+    {
+        // The hemisphere over the disk, seen from above at an angle, whose
+        // vertical projection is the Klein disk and whose stereographic
+        // projection from the bottom of the sphere is the Poincare disk
+        name: "Hemisphere model", curvature: -1, zoom: 1, aspect: 4 / 3,
+        toDisk: (z) => {
+            let depth = -Math.sqrt(1 - z.x * z.x - (z.y + hemisphereShift) ** 2);
+            let pt = [0, 1, 2].map(i => (z.y + hemisphereShift) * hemisphereUp[i] + depth * hemisphereView[i]);
+            return new Complex(z.x, pt[1]).divRe(1 + pt[2]);
+        },
+        fromDisk: (z) => {
+            let pt = [2 * z.x, 2 * z.y, 1 - z.normSq()].map(x => x / (1 + z.normSq()));
+            return new Complex(pt[0], dot(pt, hemisphereUp) - hemisphereShift);
+        },
+        isOutside: (z) => {
+            let y = z.y + hemisphereShift;
+            return z.x * z.x + y * y > 1 ||
+                y * hemisphereUp[2] - Math.sqrt(1 - z.x * z.x - y * y) * hemisphereView[2] < 0;
+        },
+        glsl: {
+            toDisk: `
+            z.y += ${glslFloat(hemisphereShift)};
+            vec3 pt = z.y * ${glslVec3(hemisphereUp)} - sqrt(1. - normSq(z)) * ${glslVec3(hemisphereView)};
+            return vec2(z.x, pt.y) / (1. + pt.z);`,
+            isOutside: `
+            z.y += ${glslFloat(hemisphereShift)};
+            return normSq(z) > 1. ||
+                z.y * ${glslFloat(hemisphereUp[2])} - sqrt(1. - normSq(z)) * ${glslFloat(hemisphereView[2])} < 0.;`
+        },
+        visible: [
+            { center: CMP_ZERO, radius: 1 },
+            { center: new Complex(0, -1 / Math.tan(hemisphereElevation)), radius: 1 / Math.sin(hemisphereElevation) }
+        ]
+    },
+    {
+        // The hyperboloid of the Minkowski space, seen in perspective, whose
+        // projection from the point (0, 0, -1) is the Poincare disk
+        name: "Hyperboloid (Minkowski) perspective", curvature: -1, zoom: 2.4, aspect: 4 / 3,
+        toDisk: (z) => {
+            let pt = hyperboloidPoint(z) ?? [NaN, NaN, NaN];
+            return new Complex(pt[0], pt[1]).divRe(1 + pt[2]);
+        },
+        fromDisk: (z) => {
+            let pt = [2 * z.x, 2 * z.y, 1 + z.normSq()].map(x => x / (1 - z.normSq()));
+            let rel = pt.map((x, i) => x - hyperboloidEye[i]);
+            let depth = dot(rel, hyperboloidView);
+            if (!(depth > 0)) return new Complex(NaN, NaN);
+            return new Complex(dot(rel, hyperboloidRight), dot(rel, hyperboloidUp)).divRe(depth);
+        },
+        isOutside: (z) => hyperboloidPoint(z) === null,
+        glsl: {
+            helpers: `
+vec4 hyperboloidPoint(vec2 z) {
+    // Point of the hyperboloid seen through the screen point, the nearest 
+    // one in front of the eye, and whether the ray hits it as the last 
+    // coordinate
+    vec3 eye = ${glslVec3(hyperboloidEye)};
+    vec3 dir = ${glslVec3(hyperboloidView)} + z.x * ${glslVec3(hyperboloidRight)} + z.y * ${glslVec3(hyperboloidUp)};
+    float b = eye.z * dir.z - eye.x * dir.x - eye.y * dir.y;
+    float c = eye.z * eye.z - eye.x * eye.x - eye.y * eye.y - 1.;
+    float disc = b * b - (dir.z * dir.z - dir.x * dir.x - dir.y * dir.y) * c;
+    if (disc < 0.) return vec4(0.);
+    vec2 roots = vec2(c / (sqrt(disc) - b), -c / (sqrt(disc) + b));
+    if (roots.x > roots.y) roots = roots.yx;
+    if (roots.x > 0. && eye.z + roots.x * dir.z > 0.) return vec4(eye + roots.x * dir, 1.);
+    if (roots.y > 0. && eye.z + roots.y * dir.z > 0.) return vec4(eye + roots.y * dir, 1.);
+    return vec4(0.);
+}`,
+            toDisk: `
+            vec4 pt = hyperboloidPoint(z);
+            return pt.xy / (1. + pt.z);`,
+            isOutside: "return hyperboloidPoint(z).w == 0.;"
+        },
+        visible: hyperboloidRegions
+    },
+    {
+        // The square onto which the disk is mapped conformally, keeping the
+        // angles but bending the geodesics
+        name: "Conformal square", curvature: -1, zoom: 0.95, aspect: 1,
+        toDisk: squareToDisk,
+        fromDisk: diskToSquare,
+        isOutside: (z) => Math.abs(z.x) > 1 || Math.abs(z.y) > 1,
+        glsl: {
+            helpers: `
+vec3 sncndn(float u, float mc) {
+    // Jacobi elliptic functions sn, cn and dn of u, with the complementary
+    // parameter mc = 1 - m, by the descending Landen transformation
+    float em[${landenSteps}], en[${landenSteps}];
+    float a = 1., c = 1., dn = 1.;
+    for (int i = 0; i < ${landenSteps}; i++) {
+        em[i] = a;
+        mc = sqrt(mc);
+        en[i] = mc;
+        c = .5 * (a + mc);
+        mc *= a;
+        a = c;
+    }
+    u *= c;
+    float sn = sin(u), cn = cos(u);
+    if (sn != 0.) {
+        a = cn / sn;
+        c *= a;
+        for (int i = ${landenSteps - 1}; i >= 0; i--) {
+            float b = em[i];
+            a *= c;
+            c *= dn;
+            dn = (en[i] + a) / (b + a);
+            a = c / b;
+        }
+        a = 1. / sqrt(c * c + 1.);
+        sn = sn >= 0. ? a : -a;
+        cn = c * sn;
+    }
+    return vec3(sn, cn, dn);
+}`,
+            toDisk: `
+            z = ${glslFloat(squareK / 2)} * cmul(vec2(1.), z) - vec2(${glslFloat(squareK)}, 0.);
+            vec3 re = sncndn(z.x, .5);
+            vec3 im = sncndn(z.y, .5);
+            z = vec2(re.y * im.y, -re.x * re.z * im.x * im.z) / (im.y * im.y + .5 * re.x * re.x * im.x * im.x);
+            return cmul(vec2(${glslFloat(Math.SQRT1_2)}, -${glslFloat(Math.SQRT1_2)}), z);`,
+            isOutside: "return max(abs(z.x), abs(z.y)) > 1.;"
+        }
+    }
+];
+
+// Names of models and indices, with the curvature of the tilings they show
+const modelNames = models.map((model, i) => ({ label: model.name, value: i, curvature: model.curvature }));
+
+/*
+Maps of the models, as placed on the screen.
+*/
+
+// Rotation and scale of the model on the screen, as a complex number
+const modelFrame = (params) => models[params.modelIdx].adjustable ?
+    versor((params.modelAngle ?? 0) * Math.PI / 180).mulRe(params.modelScale ?? 1) : CMP_ONE;
+
+// Ratio of the width to the height of the images fitting the model, which
+// stand upright when it is turned upright
+const modelAspect = (params) => {
+    let { aspect, adjustable } = models[params.modelIdx];
+    let angle = (params.modelAngle ?? 0) * Math.PI / 180;
+    return adjustable && Math.abs(Math.sin(angle)) > Math.abs(Math.cos(angle)) ? 1 / aspect : aspect;
+}
+
+// This function takes in the parameters of the tiling and a point of the
+// screen (scaled by the zoom), and returns the point of the disk it shows
+const modelToDisk = (params, z) => models[params.modelIdx].toDisk(z.div(modelFrame(params)));
+
+// This function takes in the parameters of the tiling and a point of the
+// disk, and returns where it is shown on the screen (scaled by the zoom)
+const diskToModel = (params, z) => models[params.modelIdx].fromDisk(z).mul(modelFrame(params));
+
+// Checks whether the point of the screen lies outside of the model's boundary
+const isOutsideModel = (params, z) => {
+    let { isOutside } = models[params.modelIdx];
+    return isOutside ? isOutside(z.div(modelFrame(params))) : false;
+}
+
+/*
+Putting the maps into the shader.
+*/
+
+const modelMarker = "// MODEL MAPS";
+
+// Comments of the shader keep to ASCII
+const asciiName = (name) => name.normalize("NFD").replace(/[^\x20-\x7e]/g, "");
+
+// Indents the lines of the code by the given amount, keeping their own indents
+const indent = (code, spaces) => {
+    let lines = code.split("\n").filter(line => line.trim());
+    let common = Math.min(...lines.map(line => line.search(/\S/)));
+    return lines.map(line => " ".repeat(spaces) + line.slice(common).trimEnd()).join("\n");
+}
+
+// This function takes in the source of the shader and returns it with the
+// maps of the models put in place of the marker, as the functions
+// vec2 remapToDisk(vec2 z) and bool isOutsideModel(vec2 z). Lines after them
+// keep their numbers in compile errors.
+const injectModels = (source) => {
+    let idx = source.indexOf(modelMarker);
+    if (idx < 0) return source;
+
+    let nextLine = source.slice(0, idx).split("\n").length + 1;
+    let cases = (key) => models.flatMap((model, i) => model.glsl[key] ?
+        [`        case ${i}: {`, `            // ${asciiName(model.name)}`, indent(model.glsl[key], 12), "        }"] : []);
+    let lines = [
+        ...models.filter(model => model.glsl.helpers).map(model => model.glsl.helpers.trim() + "\n"),
+        "vec2 remapToDisk(vec2 z) {",
+        "    // Remaps the point from the screen's model to the Poincare disk, or to",
+        "    // the plane of the fundamental triangle for Euclidean and spherical tilings",
+        "    z = cdiv(z, modelFrame);",
+        "    switch (modelIdx) {",
+        ...cases("toDisk"),
+        "    }",
+        "    return z;",
+        "}",
+        "",
+        "bool isOutsideModel(vec2 z) {",
+        "    // Checks whether the screen point lies outside of the model's boundary",
+        "    z = cdiv(z, modelFrame);",
+        "    switch (modelIdx) {",
+        ...cases("isOutside"),
+        "    }",
+        "    return false;",
+        "}",
+        `#line ${nextLine} 0`
+    ];
+    return source.replace(modelMarker, lines.join("\n"));
+}
+
+export { models, modelNames, modelFrame, modelAspect, modelToDisk, diskToModel, isOutsideModel, injectModels };
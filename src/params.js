@@ -0,0 +1,211 @@
+/**
+ * This file contains the default parameters of the app and the rules for
+ * changing the tiling, shared by the app and the batch renderer.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import { Complex, generateTilingParams, thicknessLimits, motionTypes, MOBIUS_ID } from './math.js';
+import { models } from './models.js';
+
+const ZERO = new Complex(0, 0);
+
+// Largest number of sides of the triangle group's polygons
+const maxSides = 20;
+
+// Range of the zoom factor
+const minZoom = 0.05;
+const maxZoom = 50;
+
+// Step of the edge thickness and vertex size sliders
+const thicknessStep = 0.005;
+
+// The order of the Rotating Snakes' colors is written as the numbers of the
+// colors of the four steps of each snake (the dark background, a body, the
+// light background and the other body), such as "0123"
+const isSnakeOrder = (val) => typeof val === "string" && /^[0-3]{4}$/.test(val);
+
+// Neighboring polygons of the Rotating Snakes can only turn opposite ways 
+// when q and r are even, and neighboring vertices when p and r are even, as 
+// in the shader. Otherwise all of them turn the same way.
+const snakeAlternation = (p, q, r) => ({ fore: q % 2 === 0 && r % 2 === 0, back: p % 2 === 0 && r % 2 === 0 });
+
+// Parameters of the app on startup, before the tiling is computed
+const defaultParams = {
+    pValue: 4,
+    qValue: 5,
+    rValue: 2,
+    eThickness: 0.015,
+
+    modelIdx: 0,
+    modelAngle: 0,
+    modelScale: 1,
+
+    doVerts: false,
+    doInvVerts: false,
+    doOrns: false,
+
+    preciseEdges: true,
+    doV0V1: true,
+    doV1V2: true,
+    doV2V0: false,
+    doEdges: true,
+
+    doInvPol: false,
+    doParity: false,
+    doSolidColor: true,
+    doSnake: false,
+
+    doForeRev: false,
+    doBackRev: false,
+    expRatioRings: 0.115,
+    ringLayerNum: 30,
+    centerCutoff: 0.05,
+    nRepeatPerSectV0: 2,
+    nRepeatPerSectV2: 2,
+    snakeOrder: "0123",
+    snakeAspect: 1.25,
+    snakeProfile: 0.667,
+    snakeRingPhase: 0.125,
+    snakeBgPhase: 0.535,
+
+    doCafeWall: false,
+    cafeRings: false,
+    cafeAngle: 0,
+    cafeRowHeight: 1,
+    cafeBrickLength: 1,
+    cafeShift: 0.25,
+
+    doOuchi: false,
+    ouchiChecker: false,
+    ouchiFrequency: 6,
+    ouchiDuty: 0.5,
+    ouchiRadius: 0.6,
+
+    doTexture: false,
+    textureMode: 0,
+    textureMirror: true,
+
+    patternId: "",
+    patternValues: {},
+
+    coloringMode: 0,
+    coloringColors: 7,
+    coloringRotations: false,
+    coloringIdx: 0,
+    coloringSeed: 1,
+    tileColors: ["#e6194b", "#3cb44b", "#ffe119", "#4363d8", "#f58231", "#911eb4",
+                 "#46f0f0", "#f032e6", "#bcf60c", "#fabebe", "#008080", "#9a6324"],
+
+    wythoffOp: "",
+    wythoffWeights: [1, 1, 1],
+    wythoffSnub: false,
+
+    polygonCol: "#ffffff",
+    invPolygonCol: "#4ebb82",
+    edgeCol: "#000000",
+    vertCol: "#f44336",
+    invVertCol: "#cc0099",
+    bgCol: "#000000",
+    snakeCol0: "#000000",
+    snakeCol1: "#1379ff",
+    snakeCol2: "#ffffff",
+    snakeCol3: "#e5e500",
+    wythoffCol0: "#ffd54f",
+    wythoffCol1: "#81c784",
+    wythoffCol2: "#64b5f6",
+    wythoffCol3: "#ffffff",
+
+    nIterations: 50,
+    nSamples: 5,
+    renderScale: 1,
+
+    view: MOBIUS_ID,
+    zoom: 1,
+
+    motionType: motionTypes.NONE,
+    motionSpeed: 0.5,
+    motionCenterX: 0,
+    motionCenterY: 0,
+    motionAngle: 0,
+
+    curvature: -1,
+    invCen: ZERO,
+    invRad: 0,
+    refNrm: ZERO
+};
+
+// Parameters replacing the defaults on phones and tablets, which render the
+// tiling with fewer antialiasing steps and at a lower resolution than the
+// screen, as their GPUs are slower for the number of pixels
+const mobileParams = {
+    nSamples: 2,
+    renderScale: 0.75
+};
+
+// This function takes in a (p, q, r) triangle group and returns the range of
+// the edge thickness and the largest size of ornamented vertices it can be 
+// drawn with, rounded down to the steps of the sliders
+const thicknessRange = (p, q, r) => {
+    let limits = thicknessLimits(p, q, r);
+    if (limits.error) {
+        return { min: thicknessStep, max: thicknessStep, maxOrnament: thicknessStep };
+    }
+    let floor = (val) => Math.max(Number((Math.floor(val / thicknessStep + 1e-6) * thicknessStep).toFixed(3)), limits.min);
+    return { min: limits.min, max: floor(limits.max), maxOrnament: floor(limits.maxOrnament) };
+}
+
+// This function takes in the parameters, a (p, q, r) triangle group and the
+// edge thickness, and returns { params } with the parameters showing the new 
+// tiling, or { error } if it can't be drawn. The model is switched to a 
+// fitting one if the curvature of the tiling changes, and an edge thickness 
+// too large for the tiling is lowered to the largest one allowed, which is 
+// explained in { warning }.
+const applyTiling = (params, p, q, r, edgeThickness) => {
+    let range = thicknessRange(p, q, r);
+    let largest = params.doOrns ? range.maxOrnament : range.max;
+    let warning = null;
+    if (edgeThickness > largest) {
+        warning = `The ${params.doOrns ? "vertex size" : "edge thickness"} was lowered from ` + 
+            `${edgeThickness} to ${largest}, the largest that fits the (${p}, ${q}, ${r}) triangle group.`;
+        edgeThickness = largest;
+    }
+
+    let tiling = generateTilingParams(p, q, edgeThickness, r);
+    if (tiling.error) {
+        return { error: tiling.error };
+    }
+
+    let curvature = tiling.curvature;
+    // Switch to the first model of the new curvature, at its zoom
+    let { modelIdx, zoom } = params;
+    if (models[modelIdx].curvature !== curvature) {
+        modelIdx = models.findIndex(model => model.curvature === curvature);
+        zoom = models[modelIdx].zoom;
+    }
+
+    // Only hyperbolic tilings have ideal points to move about
+    let motionType = params.motionType;
+    if (curvature >= 0 && motionType === motionTypes.PARABOLIC) {
+        motionType = motionTypes.NONE;
+    }
+
+    // Store the triangle group
+    return {
+        params: {
+            ...params,
+            ...tiling,
+            modelIdx,
+            zoom,
+            motionType,
+            pValue: p,
+            qValue: q,
+            rValue: r,
+            eThickness: edgeThickness
+        },
+        warning
+    };
+}
+
+export { defaultParams, mobileParams, maxSides, minZoom, maxZoom, thicknessStep, thicknessRange, applyTiling,
+         isSnakeOrder, snakeAlternation };
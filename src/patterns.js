@@ -0,0 +1,269 @@
+/**
+ * This file contains the pattern plugins, which color the polygons with a
+ * GLSL function given along with the parameters it uses. The app puts the
+ * plugin into the shader and turns its parameters into uniforms, and the
+ * settings build their controls from them. Plugins made by the user are kept
+ * in the browser and exchanged as JSON files.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import { isColor, hexToRgb } from './colors.js';
+
+// Format of pattern files
+const patternFormat = "hyperbolic-illusion-pattern";
+const storageKey = "hyperbolic-illusion-patterns";
+
+// Line of the shader replaced by the plugin, which defines PATTERN_PLUGIN
+const patternMarker = "// PATTERN PLUGIN";
+
+// Prefix of the uniforms holding the parameters, so that they can't clash
+// with the uniforms of the shader
+const uniformPrefix = "pattern_";
+
+// Types of the parameters, with their GLSL types and valid values
+const paramTypes = {
+    number: { glsl: "float", isValid: Number.isFinite },
+    int: { glsl: "int", isValid: Number.isInteger },
+    bool: { glsl: "bool", isValid: (val) => typeof val === "boolean" },
+    color: { glsl: "vec3", isValid: isColor }
+};
+
+// Names of parameters, which are GLSL identifiers
+const identifier = /^[A-Za-z][A-Za-z0-9]*$/;
+
+// Patterns built into the app, which also show how plugins are written. The
+// function receives the point z of the fundamental triangle, whose corner V0
+// is the center of the polygon, and the numbers of reflections in the
+// mirrors opposite V0, V1 and V2 that brought the point there. It may use
+// the uniforms and functions of the shader, such as polygonCol and PI.
+const builtinPatterns = [
+    {
+        id: "reflectionChecks",
+        name: "Checkerboard of triangles",
+        params: [
+            { name: "evenCol", label: "Even Triangles", type: "color", default: "#ffffff" },
+            { name: "oddCol", label: "Odd Triangles", type: "color", default: "#000000" }
+        ],
+        glsl: [
+            "vec3 pattern(vec2 z, vec3 counts) {",
+            "    // Neighboring triangles are mirror images, with opposite parities",
+            "    return mod(counts.x + counts.y + counts.z, 2.) == 0. ? evenCol : oddCol;",
+            "}"
+        ].join("\n")
+    },
+    {
+        id: "concentricRings",
+        name: "Concentric rings",
+        params: [
+            { name: "nRings", label: "Number of Rings", type: "int", min: 1, max: 20, default: 6 },
+            { name: "width", label: "Width of the Rings", type: "number", min: 0.05, max: 0.95, step: 0.05, default: 0.5 },
+            { name: "alternate", label: "Swap the colors of neighboring polygons", type: "bool", default: true },
+            { name: "ringCol", label: "Rings", type: "color", default: "#000000" },
+            { name: "gapCol", label: "Gaps", type: "color", default: "#ffffff" }
+        ],
+        glsl: [
+            "vec3 pattern(vec2 z, vec3 counts) {",
+            "    // Rings around the center of the polygon, out to the corner V1",
+            "    float ring = length(z) / length(V1) * float(nRings);",
+            "    bool onRing = fract(ring) < width;",
+            "    if (alternate && mod(counts.x, 2.) == 1.) onRing = !onRing;",
+            "    return onRing ? ringCol : gapCol;",
+            "}"
+        ].join("\n")
+    }
+];
+
+/*
+Reading plugins.
+*/
+
+// This function takes in a parameter declared by a plugin and returns it
+// with its label and step filled in, or { error } if it's invalid
+const readParam = (param) => {
+    if (typeof param?.name !== "string" || !identifier.test(param.name)) {
+        return { error: `The parameter name ${JSON.stringify(param?.name)} isn't a letter followed by letters and digits.` };
+    }
+    let type = paramTypes[param.type];
+    if (!type) {
+        return { error: `The parameter "${param.name}" has the unknown type ${JSON.stringify(param.type)}.` };
+    }
+    if (!type.isValid(param.default)) {
+        return { error: `The default value of "${param.name}" isn't a valid ${param.type}.` };
+    }
+
+    let read = { name: param.name, label: typeof param.label === "string" ? param.label : param.name,
+                 type: param.type, default: param.default };
+    if (param.type === "number" || param.type === "int") {
+        if (!type.isValid(param.min) || !type.isValid(param.max) || param.min >= param.max) {
+            return { error: `The range of "${param.name}" should be a min below a max.` };
+        }
+        if (param.default < param.min || param.default > param.max) {
+            return { error: `The default value of "${param.name}" is out of its range.` };
+        }
+        let step = Number.isFinite(param.step) && param.step > 0 ? param.step : null;
+        read = { ...read, min: param.min, max: param.max,
+                 step: param.type === "int" ? Math.max(1, Math.round(step ?? 1)) : step ?? (param.max - param.min) / 100 };
+    }
+    return { param: read };
+}
+
+// This function takes in a plugin, as held in a pattern file, and returns
+// { pattern } with the plugin under a new id, or { error } if it's invalid.
+// Compile errors of the GLSL only show up once it's used.
+const readPattern = (dat) => {
+    if (typeof dat?.name !== "string" || !dat.name.trim()) {
+        return { error: "The pattern has no name." };
+    }
+    if (typeof dat.glsl !== "string" || !dat.glsl.trim()) {
+        return { error: `The pattern "${dat.name}" has no GLSL function.` };
+    }
+    let params = [];
+    for (let param of Array.isArray(dat.params) ? dat.params : []) {
+        let result = readParam(param);
+        if (result.error) {
+            return { error: `In the pattern "${dat.name}": ${result.error}` };
+        }
+        if (params.some(other => other.name === result.param.name)) {
+            return { error: `The pattern "${dat.name}" declares "${result.param.name}" twice.` };
+        }
+        params.push(result.param);
+    }
+    return { pattern: { id: newPatternId(), name: dat.name.trim(), params, glsl: dat.glsl } };
+}
+
+// This function takes in the contents of a pattern file, holding one plugin
+// or a list of them, and returns { patterns } or { error }
+const readPatternFile = (dat) => {
+    if (dat?.format !== patternFormat || !Array.isArray(dat.patterns)) {
+        return { error: "The file doesn't contain any patterns." };
+    }
+    let patterns = [];
+    for (let pattern of dat.patterns) {
+        let result = readPattern(pattern);
+        if (result.error) return result;
+        patterns.push(result.pattern);
+    }
+    return { patterns };
+}
+
+// Writes plugins in the format of pattern files
+const writePatternFile = (patterns) => ({
+    format: patternFormat,
+    patterns: patterns.map(({ name, params, glsl }) => ({ name, params, glsl }))
+});
+
+// Checks whether the values of a pattern's parameters, as stored in links
+// and presets, are an object of numbers, booleans and colors
+const isPatternValues = (val) => typeof val === "object" && val !== null && !Array.isArray(val) &&
+    Object.values(val).every(x => Number.isFinite(x) || typeof x === "boolean" || isColor(x));
+
+// Values of the parameters of a pattern, taking the defaults for the ones
+// missing or invalid in the stored values
+const patternValues = (pattern, values = {}) => Object.fromEntries(pattern.params.map(param =>
+    [param.name, paramTypes[param.type].isValid(values[param.name]) ? values[param.name] : param.default]));
+
+/*
+Putting plugins into the shader.
+*/
+
+// This function takes in the source of the shader and a plugin, and returns
+// the source with the plugin put in place of the marker. The parameters are
+// declared as prefixed uniforms and given their names only within the plugin,
+// whose lines are numbered from 1 in compile errors (as source string 1).
+const injectPattern = (source, pattern) => {
+    let idx = source.indexOf(patternMarker);
+    if (!pattern || idx < 0) return source;
+
+    let nextLine = source.slice(0, idx).split("\n").length + 1;
+    let lines = ["#define PATTERN_PLUGIN"];
+    for (let param of pattern.params) {
+        lines.push(`uniform ${paramTypes[param.type].glsl} ${uniformPrefix}${param.name};`);
+        lines.push(`#define ${param.name} ${uniformPrefix}${param.name}`);
+    }
+    lines.push("#line 1 1", pattern.glsl);
+    for (let param of pattern.params) {
+        lines.push(`#undef ${param.name}`);
+    }
+    lines.push(`#line ${nextLine} 0`);
+    return source.replace(patternMarker, lines.join("\n"));
+}
+
+// This function takes in a plugin and the values of its parameters, and
+// returns the values of their uniforms by name, with colors from 0 to 1
+const patternUniforms = (pattern, values) => {
+    let uniforms = {};
+    for (let [name, val] of Object.entries(patternValues(pattern, values))) {
+        let param = pattern.params.find(other => other.name === name);
+        uniforms[uniformPrefix + name] = param.type === "color" ? hexToRgb(val).map(x => x / 255) : val;
+    }
+    return uniforms;
+}
+
+// This function takes in the log of the shader compiler and returns its
+// lines as { message } along with { line } for errors, and { inPattern } for
+// errors in the plugin, counting its lines from 1
+const errorPattern = /^ERROR:\s*(\d+):(\d+):\s*(.*)$/;
+const readShaderErrors = (log) => log.split("\n").map(text => text.trim()).filter(Boolean).map(text => {
+    let match = errorPattern.exec(text);
+    if (!match) return { message: text };
+    return { message: match[3], line: Number(match[2]), inPattern: match[1] === "1" };
+});
+
+/*
+Plugins of the user, kept in the browser.
+*/
+
+// Gives the plugins ids that stay the same when they are edited, and that
+// links and presets refer to
+const newPatternId = () => `pattern-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+let userPatterns = null;
+const listeners = new Set();
+
+const readStoredPatterns = () => {
+    try {
+        let dat = JSON.parse(window.localStorage.getItem(storageKey));
+        if (!Array.isArray(dat)) return [];
+        return dat.flatMap(stored => {
+            let { pattern } = readPattern(stored);
+            return pattern && typeof stored.id === "string" ? [{ ...pattern, id: stored.id }] : [];
+        });
+    } catch (e) {
+        console.error("Couldn't read the saved patterns");
+        return [];
+    }
+}
+
+const getUserPatterns = () => {
+    if (!userPatterns) {
+        userPatterns = readStoredPatterns();
+    }
+    return userPatterns;
+}
+
+// Changes the plugins with a function returning the new list, and saves
+// them in the browser
+const updateUserPatterns = (change) => {
+    userPatterns = change(getUserPatterns());
+    try {
+        window.localStorage.setItem(storageKey, JSON.stringify(userPatterns));
+    } catch (e) {
+        console.error("Couldn't save the patterns");
+    }
+    listeners.forEach(listener => listener());
+}
+
+// Calls the listener whenever the plugins change, until unsubscribed
+const subscribePatterns = (listener) => {
+    listeners.add(listener);
+    return () => { listeners.delete(listener); };
+}
+
+// Finds the plugin with the given id among the built-in and saved ones
+const findPattern = (id) => builtinPatterns.find(pattern => pattern.id === id) ??
+    getUserPatterns().find(pattern => pattern.id === id);
+
+export { builtinPatterns, readPattern, readPatternFile, writePatternFile, isPatternValues, patternValues,
+         injectPattern, patternUniforms, readShaderErrors, newPatternId,
+         getUserPatterns, updateUserPatterns, subscribePatterns, findPattern };
@@ -0,0 +1,108 @@
+/**
+ * This file contains the writing and reading of the PNG files of images
+ * rendered on the CPU, outside of the browser, by Node.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import zlib from 'zlib';
+
+// CRC of PNG chunks
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k ++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+const crc32 = (buf) => {
+    let c = 0xffffffff;
+    for (let byte of buf) {
+        c = crcTable[(c ^ byte) & 255] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+// This function takes in RGBA pixels, with rows from top to bottom, and the
+// image size, and returns the PNG file as a buffer
+const encodePng = (data, width, height) => {
+    let chunk = (type, body) => {
+        let len = Buffer.alloc(4);
+        len.writeUInt32BE(body.length);
+        let typed = Buffer.concat([Buffer.from(type), body]);
+        let crc = Buffer.alloc(4);
+        crc.writeUInt32BE(crc32(typed));
+        return Buffer.concat([len, typed, crc]);
+    }
+
+    // 8-bit RGBA, without interlacing
+    let header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.set([8, 6, 0, 0, 0], 8);
+
+    // Each row starts with its filter type (none)
+    let rowSize = width * 4;
+    let raw = Buffer.alloc((rowSize + 1) * height);
+    for (let row = 0; row < height; row ++) {
+        raw.set(data.subarray(row * rowSize, (row + 1) * rowSize), row * (rowSize + 1) + 1);
+    }
+
+    return Buffer.concat([
+        Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+        chunk("IHDR", header),
+        chunk("IDAT", zlib.deflateSync(raw)),
+        chunk("IEND", Buffer.alloc(0))]);
+}
+
+// Predictors of the filters of PNG rows, from the bytes to the left, above,
+// and above to the left
+const predictors = [
+    () => 0,
+    (a) => a,
+    (a, b) => b,
+    (a, b) => (a + b) >> 1,
+    (a, b, c) => {
+        let p = a + b - c;
+        let pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+        return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+    }
+];
+
+// This function takes in a PNG file holding 8-bit RGBA pixels without
+// interlacing, as written above or saved by the app, and returns its size
+// and its pixels from the top row down
+const decodePng = (buf) => {
+    let width, height;
+    let chunks = [];
+    for (let pos = 8; pos < buf.length;) {
+        let len = buf.readUInt32BE(pos);
+        let type = buf.toString("ascii", pos + 4, pos + 8);
+        let body = buf.subarray(pos + 8, pos + 8 + len);
+        if (type === "IHDR") {
+            width = body.readUInt32BE(0);
+            height = body.readUInt32BE(4);
+        } else if (type === "IDAT") {
+            chunks.push(body);
+        }
+        pos += len + 12;
+    }
+
+    let raw = zlib.inflateSync(Buffer.concat(chunks));
+    let rowSize = width * 4;
+    let data = new Uint8ClampedArray(rowSize * height);
+    for (let row = 0; row < height; row ++) {
+        let start = row * (rowSize + 1);
+        let predict = predictors[raw[start]];
+        for (let i = 0; i < rowSize; i ++) {
+            let idx = row * rowSize + i;
+            let left = i >= 4 ? data[idx - 4] : 0;
+            let up = row > 0 ? data[idx - rowSize] : 0;
+            let upLeft = row > 0 && i >= 4 ? data[idx - rowSize - 4] : 0;
+            data[idx] = (raw[start + 1 + i] + predict(left, up, upLeft)) & 255;
+        }
+    }
+    return { width, height, data };
+}
+
+export { encodePng, decodePng };
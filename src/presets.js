@@ -0,0 +1,187 @@
+/**
+ * This file contains the illusion presets built into the app, and the lists
+ * of presets saved by users, which are kept in the browser and exchanged as
+ * JSON files. Presets hold the same values as shareable links.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import { readValues } from './shareLinks.js';
+import { migrateColorIndices } from './colors.js';
+
+// Format of preset files, which is also how presets are kept in the browser.
+// Version 1 stores colors as indices into the default palette.
+const presetFormat = "hyperbolic-illusion-presets";
+const presetVersion = 2;
+const storageKey = "hyperbolic-illusion-presets";
+
+// Values shared by the built-in presets
+const plainTiling = {
+    modelIdx: 0,
+    doParity: false,
+    doSolidColor: true,
+    doSnake: false,
+    doCafeWall: false,
+    doOuchi: false,
+    doTexture: false,
+    patternId: "",
+    coloringMode: 0,
+    wythoffOp: ""
+};
+
+// Colors and shape of Kitaoka's snakes: black, blue, white and yellow steps
+const classicSnakes = {
+    snakeCol0: "#000000", snakeCol1: "#1379ff", snakeCol2: "#ffffff", snakeCol3: "#e5e500",
+    snakeOrder: "0123", snakeAspect: 1.25, snakeProfile: 0.667, snakeRingPhase: 0.125, snakeBgPhase: 0.535
+};
+
+// Illusion presets, which only change the values they list
+const builtinPresets = [
+    {
+        id: "rotatingSnakes",
+        name: "Kitaoka's Rotating Snakes illusion",
+        values: {
+            ...plainTiling,
+            pValue: 4, qValue: 6, rValue: 2,
+            doVerts: false, doOrns: false, doEdges: false, doInvPol: false,
+            doSnake: true,
+            doForeRev: false, doBackRev: false,
+            expRatioRings: 0.115, ringLayerNum: 30, centerCutoff: 0.05,
+            nRepeatPerSectV0: 2, nRepeatPerSectV2: 2,
+            ...classicSnakes
+        }
+    },
+    {
+        // Swapping the two body colors reverses the order of the luminance 
+        // steps, and so the apparent rotation
+        id: "rotatingSnakesReversed",
+        name: "Rotating Snakes with reversed motion",
+        values: {
+            ...plainTiling,
+            pValue: 4, qValue: 6, rValue: 2,
+            doVerts: false, doOrns: false, doEdges: false, doInvPol: false,
+            doSnake: true,
+            doForeRev: false, doBackRev: false,
+            expRatioRings: 0.115, ringLayerNum: 30, centerCutoff: 0.05,
+            nRepeatPerSectV0: 2, nRepeatPerSectV2: 2,
+            ...classicSnakes,
+            snakeOrder: "0321"
+        }
+    },
+    {
+        id: "cafeWall",
+        name: "Caf\u00E9 Wall illusion",
+        values: {
+            ...plainTiling,
+            pValue: 4, qValue: 5, rValue: 2, eThickness: 0.015,
+            doVerts: false, doInvVerts: false, doOrns: false, doEdges: true, doInvPol: false,
+            doV0V1: false, doV1V2: true, doV2V0: false,
+            doCafeWall: true,
+            cafeRings: false, cafeAngle: 0, cafeRowHeight: 1.06, cafeBrickLength: 2.12, cafeShift: 0.5,
+            edgeCol: "#7f7f7f", polygonCol: "#000000", invPolygonCol: "#ffffff"
+        }
+    },
+    {
+        id: "ouchi",
+        name: "Ouchi illusion",
+        values: {
+            ...plainTiling,
+            pValue: 4, qValue: 5, rValue: 2,
+            doVerts: false, doOrns: false, doEdges: false, doInvPol: false,
+            doOuchi: true,
+            ouchiChecker: true, ouchiFrequency: 6, ouchiDuty: 0.5, ouchiRadius: 0.6,
+            polygonCol: "#000000", invPolygonCol: "#ffffff"
+        }
+    },
+    {
+        id: "primroseField",
+        name: "Kitaoka's Primrose Field illusion",
+        values: {
+            ...plainTiling,
+            pValue: 4, qValue: 6, rValue: 2, eThickness: 0.02,
+            doVerts: false, doInvVerts: true, doOrns: true, doEdges: false, doInvPol: true,
+            polygonCol: "#a0d733", invPolygonCol: "#4ebb82", vertCol: "#ffffff", invVertCol: "#cc0099"
+        }
+    },
+    {
+        id: "scintillatingGrid",
+        name: "Scintillating Grid illusion",
+        values: {
+            ...plainTiling,
+            pValue: 3, qValue: 7, rValue: 2, eThickness: 0.015,
+            doVerts: true, doInvVerts: false, doOrns: false, doEdges: true, doInvPol: false,
+            doV0V1: true, doV1V2: false, doV2V0: true,
+            edgeCol: "#7f7f7f", polygonCol: "#000000", vertCol: "#ffffff"
+        }
+    },
+    {
+        id: "hermannGrid",
+        name: "Hermann Grid illusion",
+        values: {
+            ...plainTiling,
+            pValue: 4, qValue: 5, rValue: 2, eThickness: 0.02,
+            doVerts: false, doInvVerts: false, doOrns: false, doEdges: true, doInvPol: false,
+            doV0V1: true, doV1V2: true, doV2V0: false,
+            edgeCol: "#ffffff", polygonCol: "#000000"
+        }
+    }
+];
+
+// Gives the saved presets keys that stay the same when they are reordered
+let lastId = 0;
+const newPresetId = () => `preset-${++ lastId}`;
+
+// This function takes in a list of saved presets and returns it in the format
+// of preset files
+const writePresetList = (presets) => ({
+    format: presetFormat,
+    version: presetVersion,
+    presets: presets.map(({ name, values }) => ({ name, values }))
+});
+
+// This function takes in the contents of a preset file, either in the format
+// above or a bare list of presets, and returns { presets } with the presets
+// it holds and { skipped } with the number of invalid ones that were left
+// out, or { error } if it isn't a list of presets. Invalid values of presets
+// are dropped, and colors stored as indices are replaced by the colors.
+const readPresetList = (dat) => {
+    let list = Array.isArray(dat) ? dat : dat?.presets;
+    if (!Array.isArray(list) || (!Array.isArray(dat) && dat.format !== presetFormat)) {
+        return { error: "The file doesn't contain any presets." };
+    }
+    if (!Array.isArray(dat) && dat.version > presetVersion) {
+        return { error: `The presets have an unknown version (${dat.version}).` };
+    }
+
+    let presets = [];
+    for (let preset of list) {
+        if (typeof preset?.name !== "string" || typeof preset.values !== "object" || preset.values === null) {
+            continue;
+        }
+        let { values } = readValues(migrateColorIndices(preset.values));
+        presets.push({ id: newPresetId(), name: preset.name.trim() || "Untitled", values });
+    }
+    return { presets, skipped: list.length - presets.length };
+}
+
+// Reads the presets saved in the browser, if any
+const loadStoredPresets = () => {
+    try {
+        let text = window.localStorage.getItem(storageKey);
+        return text ? readPresetList(JSON.parse(text)).presets ?? [] : [];
+    } catch (e) {
+        console.error("Couldn't read the saved presets");
+        return [];
+    }
+}
+
+// Saves the presets in the browser
+const storePresets = (presets) => {
+    try {
+        window.localStorage.setItem(storageKey, JSON.stringify(writePresetList(presets)));
+    } catch (e) {
+        console.error("Couldn't save the presets");
+    }
+}
+
+export { builtinPresets, newPresetId, writePresetList, readPresetList, loadStoredPresets, storePresets };
@@ -0,0 +1,42 @@
+/**
+ * This file contains the layout of the app on small screens and touch
+ * devices, such as phones and tablets. Narrow windows open the menus as
+ * sheets from the bottom, and touch devices start with cheaper rendering.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import { useSyncExternalStore } from 'react';
+
+// Windows narrower than this (in pixels) open the menus from the bottom, and
+// have a smaller topbar (see TopbarMenu.css)
+const narrowWidth = 768;
+const narrowQuery = `(max-width: ${narrowWidth - 1}px)`;
+
+// Devices used with a finger rather than a mouse
+const touchQuery = "(pointer: coarse)";
+
+const matches = (query) => window.matchMedia(query).matches;
+
+// Checks whether the device is likely a phone or tablet, whose slower GPU
+// is better served by the mobile defaults of the parameters
+const isMobileDevice = () => matches(narrowQuery) || matches(touchQuery);
+
+// Calls the listener whenever the window becomes narrow or wide
+const subscribeNarrow = (listener) => {
+    let media = window.matchMedia(narrowQuery);
+    media.addEventListener("change", listener);
+    return () => { media.removeEventListener("change", listener); };
+}
+
+// Hook giving whether the window is narrow, updated as it is resized
+const useNarrowScreen = () => useSyncExternalStore(subscribeNarrow, () => matches(narrowQuery));
+
+// Hook giving the placement and size of the menu drawers: from the left on
+// wide windows, and as a sheet from the bottom, leaving the top of the
+// tiling in sight, on narrow ones
+const useDrawerLayout = () => useNarrowScreen() ?
+    { placement: "bottom", height: "70vh", rootClassName: "bottom-sheet" } :
+    { placement: "left", width: "35vw" };
+
+export { narrowWidth, isMobileDevice, useNarrowScreen, useDrawerLayout };
@@ -0,0 +1,328 @@
+/**
+ * This file contains the format of shareable links, which presets also use.
+ * Links only store the primary parameters of a tiling, under short keys, and
+ * the geometry is computed again when they are opened. Links made by older 
+ * versions of the app are migrated to the current format.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import { Complex, normalizeIsometry, motionTypes, MOBIUS_ID } from './math.js';
+import { isColor, defaultPalette } from './colors.js';
+import { defaultParams, maxSides, minZoom, maxZoom, applyTiling, isSnakeOrder } from './params.js';
+import { models } from './models.js';
+import { isPatternValues } from './patterns.js';
+import { maxColors, maxColorings, maxSeed, coloringModes } from './colorings.js';
+import { wythoffOps, isWythoffWeights } from './wythoff.js';
+
+// Version of the link format. Version 1 is the full state of the app, as
+// JSON in base 64 without any prefix. Version 2 only stores the fields that
+// differ from the defaults, with colors written as hex codes.
+const linkVersion = 2;
+const linkPrefix = /^v(\d+)\.(.*)$/;
+
+// Fields of a link: the parameter, its key in the link, its type, and its
+// range for numbers. Older links may lack some of them, which then keep
+// their current values.
+const int = (min, max) => ({ type: "int", min, max });
+const num = (min, max) => ({ type: "number", min, max });
+const bool = { type: "bool" };
+const color = { type: "color" };
+
+const linkFields = [
+    { name: "pValue", key: "p", ...int(2, maxSides) },
+    { name: "qValue", key: "q", ...int(2, maxSides) },
+    { name: "rValue", key: "r", ...int(2, maxSides) },
+    { name: "eThickness", key: "t", ...num(0, 1) },
+    { name: "modelIdx", key: "m", ...int(0, models.length - 1) },
+    { name: "modelAngle", key: "mra", ...num(-180, 180) },
+    { name: "modelScale", key: "msc", ...num(0.1, 10) },
+
+    { name: "doEdges", key: "e", ...bool },
+    { name: "doVerts", key: "vt", ...bool },
+    { name: "doInvVerts", key: "iv", ...bool },
+    { name: "doOrns", key: "o", ...bool },
+    { name: "doParity", key: "pa", ...bool },
+    { name: "doSolidColor", key: "sc", ...bool },
+    { name: "doInvPol", key: "ip", ...bool },
+    { name: "preciseEdges", key: "pe", ...bool },
+    { name: "doV0V1", key: "e01", ...bool },
+    { name: "doV1V2", key: "e12", ...bool },
+    { name: "doV2V0", key: "e20", ...bool },
+
+    { name: "doSnake", key: "s", ...bool },
+    { name: "doForeRev", key: "sf", ...bool },
+    { name: "doBackRev", key: "sb", ...bool },
+    { name: "expRatioRings", key: "se", ...num(0.005, 2) },
+    { name: "ringLayerNum", key: "sl", ...int(1, 50) },
+    { name: "centerCutoff", key: "sc0", ...num(0, 1) },
+    { name: "nRepeatPerSectV0", key: "s0", ...int(1, 10) },
+    { name: "nRepeatPerSectV2", key: "s2", ...int(1, 10) },
+    { name: "snakeOrder", key: "so", type: "snakeOrder" },
+    { name: "snakeAspect", key: "sa", ...num(0.5, 2) },
+    { name: "snakeProfile", key: "sp", ...num(0.2, 2) },
+    { name: "snakeRingPhase", key: "srp", ...num(0, 1) },
+    { name: "snakeBgPhase", key: "sbp", ...num(0, 2) },
+
+    { name: "doCafeWall", key: "cw", ...bool },
+    { name: "cafeRings", key: "cr", ...bool },
+    { name: "cafeAngle", key: "ca", ...num(0, 360) },
+    { name: "cafeRowHeight", key: "ch", ...num(0.1, 3) },
+    { name: "cafeBrickLength", key: "cl", ...num(0.1, 3) },
+    { name: "cafeShift", key: "cs", ...num(0, 1) },
+
+    { name: "doOuchi", key: "ou", ...bool },
+    { name: "ouchiChecker", key: "oc", ...bool },
+    { name: "ouchiFrequency", key: "of", ...num(1, 20) },
+    { name: "ouchiDuty", key: "od", ...num(0.1, 0.9) },
+    { name: "ouchiRadius", key: "or", ...num(0.1, 1) },
+
+    { name: "doTexture", key: "tx", ...bool },
+    { name: "textureMode", key: "tm", ...int(0, 2) },
+    { name: "textureMirror", key: "tmr", ...bool },
+
+    { name: "patternId", key: "pi", type: "patternId" },
+    { name: "patternValues", key: "pv", type: "patternValues" },
+
+    { name: "coloringMode", key: "km", ...int(0, Object.keys(coloringModes).length - 1) },
+    { name: "coloringColors", key: "kn", ...int(2, maxColors) },
+    { name: "coloringRotations", key: "kr", ...bool },
+    { name: "coloringIdx", key: "ki", ...int(0, maxColorings - 1) },
+    { name: "coloringSeed", key: "ks", ...int(0, maxSeed) },
+    { name: "tileColors", key: "kc", type: "colorList" },
+
+    { name: "wythoffOp", key: "w", type: "wythoffOp" },
+    { name: "wythoffWeights", key: "ww", type: "wythoffWeights" },
+    { name: "wythoffSnub", key: "wsn", ...bool },
+
+    { name: "polygonCol", key: "cp", ...color },
+    { name: "invPolygonCol", key: "cip", ...color },
+    { name: "edgeCol", key: "ce", ...color },
+    { name: "vertCol", key: "cv", ...color },
+    { name: "invVertCol", key: "civ", ...color },
+    { name: "bgCol", key: "cb", ...color },
+    { name: "snakeCol0", key: "cs0", ...color },
+    { name: "snakeCol1", key: "cs1", ...color },
+    { name: "snakeCol2", key: "cs2", ...color },
+    { name: "snakeCol3", key: "cs3", ...color },
+    { name: "wythoffCol0", key: "cu0", ...color },
+    { name: "wythoffCol1", key: "cu1", ...color },
+    { name: "wythoffCol2", key: "cu2", ...color },
+    { name: "wythoffCol3", key: "cu3", ...color },
+
+    { name: "view", key: "v", type: "view" },
+    { name: "zoom", key: "z", ...num(minZoom, maxZoom) },
+
+    { name: "motionType", key: "mt", ...int(0, Object.keys(motionTypes).length - 1) },
+    { name: "motionSpeed", key: "ms", ...num(-2, 2) },
+    { name: "motionCenterX", key: "mx", ...num(-0.95, 0.95) },
+    { name: "motionCenterY", key: "my", ...num(-0.95, 0.95) },
+    { name: "motionAngle", key: "ma", ...num(0, 360) }
+];
+
+// Rounds away the noise of floating point numbers, which only makes links longer
+const round = (val, digits = 6) => Number(val.toPrecision(digits));
+
+// Converts values to what is stored in links, and back, returning undefined
+// for values of the wrong type or out of range
+const fieldTypes = {
+    int: {
+        encode: (val) => val,
+        decode: (val, field) => Number.isInteger(val) && val >= field.min && val <= field.max ? val : undefined
+    },
+    number: {
+        encode: (val) => round(val),
+        decode: (val, field) => Number.isFinite(val) && val >= field.min && val <= field.max ? val : undefined
+    },
+    bool: {
+        encode: (val) => Boolean(val),
+        decode: (val) => val === 0 || val === 1 || typeof val === "boolean" ? Boolean(val) : undefined
+    },
+    color: {
+        encode: (val) => val.toLowerCase(),
+        decode: (val) => isColor(val) ? val.toLowerCase() : undefined
+    },
+    // Colors of the polygons of colorings, as many as the largest number of colors
+    colorList: {
+        encode: (val) => val.map(col => col.toLowerCase()),
+        decode: (val) => Array.isArray(val) && val.length === maxColors && val.every(isColor) ?
+            val.map(col => col.toLowerCase()) : undefined
+    },
+    snakeOrder: {
+        encode: (val) => val,
+        decode: (val) => isSnakeOrder(val) ? val : undefined
+    },
+    // Pattern plugins are stored by their ids, which only open the plugin in
+    // browsers that have it, along with the values of their parameters
+    patternId: {
+        encode: (val) => val,
+        decode: (val) => typeof val === "string" && val.length <= 100 ? val : undefined
+    },
+    patternValues: {
+        encode: (val) => val,
+        decode: (val) => isPatternValues(val) ? val : undefined
+    },
+    // Uniform tilings are stored by the id of their operator, which is empty
+    // for none, and the weights of the custom point
+    wythoffOp: {
+        encode: (val) => val,
+        decode: (val) => val === "" || wythoffOps.some(op => op.id === val) ? val : undefined
+    },
+    wythoffWeights: {
+        encode: (val) => val.map(w => round(w)),
+        decode: (val) => isWythoffWeights(val) ? val : undefined
+    },
+    // Only a and b are stored, as c and d follow from them and the curvature
+    view: {
+        encode: (val) => [val.a.x, val.a.y, val.b.x, val.b.y].map(x => round(x, 8)),
+        decode: (val) => Array.isArray(val) && val.length === 4 && val.every(Number.isFinite) &&
+            (val[0] !== 0 || val[1] !== 0) ? val : undefined
+    }
+};
+
+// Functions upgrading the data of a link from each version to the next
+const migrations = {
+    // Version 1 holds the full parameters under their own names, including
+    // the geometry of the tiling, which is dropped, and colors as indices
+    // into the default palette
+    1: (dat) => {
+        let upgraded = {};
+        for (let field of linkFields) {
+            let name = field.type === "color" ? field.name + "Idx" : field.name;
+            let val = dat[name];
+            if (field.type === "color" && Number.isInteger(val) && defaultPalette[val]) {
+                val = defaultPalette[val];
+            }
+            if (val !== undefined) {
+                upgraded[field.key] = val;
+            }
+        }
+        let view = dat.view;
+        if (view?.a && view?.b) {
+            upgraded.v = [view.a.x, view.a.y, view.b.x, view.b.y];
+        }
+        return upgraded;
+    }
+};
+
+// Base 64 that can be written in URLs without escaping
+const toBase64Url = (text) => btoa(text).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+const fromBase64Url = (text) => atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+
+// This function takes in the parameters of the app and returns the values
+// stored in links and presets, under the names of the parameters
+const storedValues = (params) => {
+    let values = {};
+    for (let field of linkFields) {
+        values[field.name] = fieldTypes[field.type].encode(params[field.name]);
+    }
+    return values;
+}
+
+// This function takes in stored values, under the names of the parameters 
+// or under other keys, and returns { values } with the valid ones and 
+// { ignored } with the names of the invalid ones
+const readValues = (dat, keyOf = (field) => field.name) => {
+    let values = {};
+    let ignored = [];
+    for (let field of linkFields) {
+        let val = dat[keyOf(field)];
+        if (val === undefined) continue;
+        val = fieldTypes[field.type].decode(val, field);
+        if (val === undefined) {
+            ignored.push(field.name);
+        } else {
+            values[field.name] = val;
+        }
+    }
+    return { values, ignored };
+}
+
+// This function takes in the parameters of the app and returns the values
+// stored in links, under their keys. Booleans are written as 0 and 1.
+const linkData = (params) => {
+    let values = storedValues(params);
+    let dat = {};
+    for (let field of linkFields) {
+        let val = values[field.name];
+        dat[field.key] = typeof val === "boolean" ? Number(val) : val;
+    }
+    return dat;
+}
+
+// Values of the default tiling in links, which links leave out
+const defaultLinkData = linkData(applyTiling(defaultParams, defaultParams.pValue, defaultParams.qValue,
+    defaultParams.rValue, defaultParams.eThickness).params);
+
+// This function takes in the parameters of the app and returns the hash of
+// a link to them, without the "#"
+const encodeLink = (params) => {
+    let dat = {};
+    for (let [key, val] of Object.entries(linkData(params))) {
+        if (JSON.stringify(val) !== JSON.stringify(defaultLinkData[key])) {
+            dat[key] = val;
+        }
+    }
+    return `v${linkVersion}.` + toBase64Url(JSON.stringify(dat));
+}
+
+// This function takes in the hash of a link, without the "#", and returns
+// { values } with the parameters it stores and { ignored } with the names
+// of those that were invalid, or { error } if it can't be read at all
+const decodeLink = (hash) => {
+    let version = 1;
+    let match = hash.match(linkPrefix);
+    if (match) {
+        version = Number(match[1]);
+        hash = match[2];
+    }
+    if (version > linkVersion || (version < linkVersion && !migrations[version])) {
+        return { error: `The link has an unknown version (${version}).` };
+    }
+
+    let dat;
+    try {
+        dat = JSON.parse(fromBase64Url(decodeURIComponent(hash)));
+    } catch (e) {
+        dat = null;
+    }
+    if (typeof dat !== "object" || dat === null || Array.isArray(dat)) {
+        return { error: "The link is incorrectly formatted." };
+    }
+    // Links leaving out the default values have them filled in, while older
+    // ones keep the current values of the fields they lack
+    if (version >= 2) {
+        dat = { ...defaultLinkData, ...dat };
+    }
+    for (; version < linkVersion; version ++) {
+        dat = migrations[version](dat);
+    }
+    return readValues(dat, (field) => field.key);
+}
+
+// This function takes in the current parameters and values read from a link
+// or preset, and returns { params } with the tiling they describe, whose 
+// geometry is computed again, along with any { warning }, or { error } if the
+// tiling can't be drawn
+const applyValues = (params, values) => {
+    let { view, ...rest } = values;
+    let merged = { ...params, ...rest };
+    let result = applyTiling(merged, merged.pValue, merged.qValue, merged.rValue, merged.eThickness);
+    if (result.error) {
+        return result;
+    }
+
+    // Complete the view for the curvature of the tiling, falling back to the
+    // identity if it isn't an isometry of it
+    if (view) {
+        let curvature = result.params.curvature;
+        let a = new Complex(view[0], view[1]);
+        let b = new Complex(view[2], view[3]);
+        let isometry = normalizeIsometry({ a, b, c: b.conj().mulRe(-curvature), d: a.conj() }, curvature);
+        let isFinite = Object.values(isometry).every(z => Number.isFinite(z.x) && Number.isFinite(z.y));
+        result.params.view = isFinite ? isometry : MOBIUS_ID;
+    }
+    return result;
+}
+
+export { linkVersion, linkFields, storedValues, readValues, encodeLink, decodeLink, applyValues };
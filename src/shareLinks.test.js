@@ -0,0 +1,113 @@
+/**
+ * These are the tests of the format of shareable links and of the migration
+ * of links made by older versions of the app.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import { linkVersion, encodeLink, decodeLink, applyValues } from './shareLinks.js';
+import { defaultParams, applyTiling } from './params.js';
+import { defaultPalette } from './colors.js';
+import { maxColors } from './colorings.js';
+
+const toBase64Url = (text) => btoa(text).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+const link = (version, dat) => `v${version}.` + toBase64Url(JSON.stringify(dat));
+
+const startParams = () => applyTiling(defaultParams, defaultParams.pValue, defaultParams.qValue,
+    defaultParams.rValue, defaultParams.eThickness).params;
+
+describe("encodeLink", () => {
+    test("leaves out the values of the default parameters", () => {
+        expect(encodeLink(startParams())).toBe(link(linkVersion, {}));
+    });
+
+    test("only stores the values that differ from the defaults, with colors as hex codes", () => {
+        let params = { ...startParams(), doSnake: true, bgCol: "#123456", zoom: 1.5 };
+        expect(encodeLink(params)).toBe(link(linkVersion, { s: 1, cb: "#123456", z: 1.5 }));
+    });
+
+    test("opens the same tiling from any current parameters", () => {
+        let { params } = applyTiling({ ...startParams(), doSnake: true, ringLayerNum: 12 }, 7, 3, 2, 0.02);
+        let hash = encodeLink(params);
+        let current = { ...startParams(), doParity: true, ringLayerNum: 3 };
+        let opened = applyValues(current, decodeLink(hash).values).params;
+        expect(opened.doParity).toBe(false);
+        expect(opened.ringLayerNum).toBe(12);
+        expect(encodeLink(opened)).toBe(hash);
+    });
+});
+
+describe("decodeLink", () => {
+    test("fills in the defaults for the values left out", () => {
+        let { values, ignored } = decodeLink(link(linkVersion, { p: 7, q: 3 }));
+        expect(ignored).toEqual([]);
+        expect(values.pValue).toBe(7);
+        expect(values.doSnake).toBe(defaultParams.doSnake);
+        expect(values.bgCol).toBe(defaultParams.bgCol);
+    });
+
+    test("reads version 1 links, holding the full state under the parameters' names", () => {
+        let state = {
+            pValue: 7, qValue: 3, rValue: 2, eThickness: 0.02, doSnake: true, polygonColIdx: 3,
+            view: { a: { x: 1, y: 0 }, b: { x: 0.25, y: 0 }, c: { x: 0.25, y: 0 }, d: { x: 1, y: 0 } },
+            curvature: -1, invRad: 0.5
+        };
+        let { values, ignored } = decodeLink(btoa(JSON.stringify(state)));
+        expect(ignored).toEqual([]);
+        expect(values).toEqual({
+            pValue: 7, qValue: 3, rValue: 2, eThickness: 0.02, doSnake: true,
+            polygonCol: defaultPalette[3], view: [1, 0, 0.25, 0]
+        });
+    });
+
+    test("ignores invalid values", () => {
+        let { values, ignored } = decodeLink(btoa(JSON.stringify({ pValue: 99, qValue: 4, bgColIdx: 99 })));
+        expect(values).toEqual({ qValue: 4 });
+        expect(ignored).toEqual(["pValue", "bgCol"]);
+    });
+
+    test("reads any color written as a hex code", () => {
+        let { values, ignored } = decodeLink(link(linkVersion, { cb: "#ABCDEF", ce: "blue" }));
+        expect(values.bgCol).toBe("#abcdef");
+        expect(ignored).toEqual(["edgeCol"]);
+    });
+
+    test("reads the order of the snakes' colors as four digits from 0 to 3", () => {
+        let { values, ignored } = decodeLink(link(linkVersion, { so: "3210" }));
+        expect(values.snakeOrder).toBe("3210");
+        expect(ignored).toEqual([]);
+        expect(decodeLink(link(linkVersion, { so: 3210 })).ignored).toEqual(["snakeOrder"]);
+        expect(decodeLink(link(linkVersion, { so: "0124" })).ignored).toEqual(["snakeOrder"]);
+    });
+
+    test("reads pattern plugins by their ids, with the values of their parameters", () => {
+        let dat = { pi: "user-stripes", pv: { width: 0.5, filled: true, tint: "#ff0000" } };
+        let { values, ignored } = decodeLink(link(linkVersion, dat));
+        expect(ignored).toEqual([]);
+        expect(values.patternId).toBe("user-stripes");
+        expect(values.patternValues).toEqual(dat.pv);
+        expect(decodeLink(link(linkVersion, { pi: 3, pv: [1] })).ignored).toEqual(["patternId", "patternValues"]);
+    });
+
+    test("reads the colors of colorings as a full list of colors", () => {
+        let tileColors = Array.from({ length: maxColors }, (_, i) => i % 2 ? "#FF0000" : "#00ff00");
+        let { values, ignored } = decodeLink(link(linkVersion, { kc: tileColors }));
+        expect(ignored).toEqual([]);
+        expect(values.tileColors).toEqual(tileColors.map(col => col.toLowerCase()));
+        expect(decodeLink(link(linkVersion, { kc: tileColors.slice(1) })).ignored).toEqual(["tileColors"]);
+    });
+
+    test("reads uniform tilings by their operators, with the weights of the custom point", () => {
+        let { values, ignored } = decodeLink(link(linkVersion, { w: "custom", ww: [0.2, 0, 1] }));
+        expect(ignored).toEqual([]);
+        expect(values.wythoffOp).toBe("custom");
+        expect(values.wythoffWeights).toEqual([0.2, 0, 1]);
+        expect(decodeLink(link(linkVersion, { w: "bevel", ww: [0, 0, 0] })).ignored).toEqual(["wythoffOp", "wythoffWeights"]);
+    });
+
+    test("rejects unknown versions and malformed links", () => {
+        expect(decodeLink(link(linkVersion + 1, {})).error).toMatch(/unknown version/);
+        expect(decodeLink(`v${linkVersion}.???`).error).toMatch(/incorrectly formatted/);
+        expect(decodeLink(link(linkVersion, [1, 2])).error).toMatch(/incorrectly formatted/);
+    });
+});
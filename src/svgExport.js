@@ -0,0 +1,607 @@
+/**
+ * This file contains the export of tilings as SVG vector images. The tiles
+ * are the images of the fundamental triangle under the triangle group, and
+ * each of them is drawn from the same regions as in the shader.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import { hexToRgb } from './colors.js';
+import { Complex, applyMobiusTrans, composeMobius, normalizeIsometry,
+         foldToFundamental, mirrorReflections, circleFrom3Points, translationMobius, geodesicFrame,
+         equidistantCurve, MOBIUS_ID } from './math.js';
+import { cafeWallColor } from './cpuRenderer.js';
+import { coloringModes, selectedColoring, symmetricColorIndex, randomColorIndex } from './colorings.js';
+import { wythoffModes, selectedWythoff, wythoffCells, fallbackPart } from './wythoff.js';
+import { models, modelToDisk, diskToModel } from './models.js';
+
+// Sampling used for arcs in models whose maps from the disk aren't Mobius
+// transformations, and for finding intersections
+const samplesPerArc = 24;
+const bisectionSteps = 50;
+
+// Largest number of tiles, and whether tiles are identical (in disk units)
+const maxTiles = 50000;
+const keyPrecision = 1e8;
+
+// Default export settings
+const defaultSvgSettings = { maxDepth: 30, minSize: 1, transparentBg: false };
+
+// Constants from the shader
+const PARITY_COEFF = .6;
+const COLOR_COEFF = 3;
+
+/*
+Closed paths made of arcs of generalized circles. Each arc is given by its
+start and end points and a point in between.
+*/
+
+const arc = (start, mid, end) => ({ start, mid, end });
+
+// Returns the point of the arc at the parameter t in [0, 1]
+const arcParametrization = (seg) => {
+    let { start, mid, end } = seg;
+    let chord = end.sub(start);
+    let side = mid.sub(start);
+    let cross = side.x * chord.y - side.y * chord.x;
+    if (Math.abs(cross) <= 1e-12 * (chord.normSq() + side.normSq())) {
+        return (t) => start.add(chord.mulRe(t));
+    }
+
+    // Go around the circle from start to end, passing through mid
+    let { center, radius } = circleFrom3Points(start, mid, end);
+    let angle = (z) => Math.atan2(z.y - center.y, z.x - center.x);
+    let mod2PI = (t) => ((t % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    let a0 = angle(start);
+    let delta = mod2PI(angle(end) - a0);
+    if (mod2PI(angle(mid) - a0) > delta) {
+        delta -= 2 * Math.PI;
+    }
+    return (t) => {
+        let theta = a0 + t * delta;
+        return new Complex(center.x + radius * Math.cos(theta), center.y + radius * Math.sin(theta));
+    };
+}
+
+// Samples the closed path into a polygon
+const samplePath = (path, nSamples = samplesPerArc) => path.flatMap(seg => {
+    let point = arcParametrization(seg);
+    let pts = [];
+    for (let i = 0; i < nSamples; i ++) {
+        pts.push(point(i / nSamples));
+    }
+    return pts;
+});
+
+// Checks whether the point lies inside the polygon, by ray casting
+const isInsidePolygon = (z, poly) => {
+    let inside = false;
+    for (let i = 0, j = poly.length - 1; i < poly.length; j = i ++) {
+        let a = poly[i], b = poly[j];
+        if ((a.y > z.y) !== (b.y > z.y) &&
+            z.x < (b.x - a.x) * (z.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// This function takes in the center and radius of a circle (or the unit
+// normal and offset of a line) and returns the region on the negative side of
+// its signed distance, with a negative radius selecting the outside of the circle
+const circleRegion = (center, radius, isLine = false) => ({
+    center, radius, isLine,
+    dist: isLine ?
+        (z) => z.x * center.x + z.y * center.y - radius :
+        (z) => (z.sub(center).getNorm() - Math.abs(radius)) * Math.sign(radius)
+});
+
+// Arc of the region's boundary from X to Y that passes inside the polygon
+const boundaryArc = (region, X, Y, poly) => {
+    if (region.isLine) {
+        return arc(X, X.add(Y).mulRe(.5), Y);
+    }
+    let { center } = region;
+    let radius = Math.abs(region.radius);
+    let bisector = X.sub(center).add(Y.sub(center));
+    if (bisector.normSq() < 1e-24) {
+        bisector = X.sub(center).mul(new Complex(0, 1));
+    }
+    let mid = center.add(bisector.getNormalized().mulRe(radius));
+    if (!isInsidePolygon(mid, poly)) {
+        mid = center.sub(bisector.getNormalized().mulRe(radius));
+    }
+    return arc(X, mid, Y);
+}
+
+// This function takes in a closed path and a region, and returns the closed
+// path bounding their intersection, which is assumed to be connected
+const clipPath = (path, region) => {
+    // Split each arc where it crosses the boundary of the region
+    let pieces = [];
+    for (let seg of path) {
+        let point = arcParametrization(seg);
+        let f = (t) => region.dist(point(t));
+        let cuts = [0];
+        for (let i = 0; i < samplesPerArc; i ++) {
+            let lo = i / samplesPerArc, hi = (i + 1) / samplesPerArc;
+            if ((f(lo) < 0) === (f(hi) < 0)) {
+                continue;
+            }
+            for (let k = 0; k < bisectionSteps; k ++) {
+                let t = (lo + hi) / 2;
+                if ((f(t) < 0) === (f(lo) < 0)) { lo = t; } else { hi = t; }
+            }
+            cuts.push((lo + hi) / 2);
+        }
+        cuts.push(1);
+
+        for (let i = 0; i + 1 < cuts.length; i ++) {
+            let tMid = (cuts[i] + cuts[i + 1]) / 2;
+            pieces.push({
+                seg: arc(point(cuts[i]), point(tMid), point(cuts[i + 1])),
+                inside: f(tMid) < 0
+            });
+        }
+    }
+
+    // Keep the path as it is, or drop it, if it doesn't cross the boundary
+    if (pieces.every(piece => piece.inside)) {
+        return path;
+    }
+    let poly = samplePath(path);
+    if (!pieces.some(piece => piece.inside)) {
+        // The region may still be a disc lying inside of the path
+        if (region.isLine || region.radius < 0 || !isInsidePolygon(region.center, poly)) {
+            return [];
+        }
+        // Go around it the same way as around the path
+        let area = poly.reduce((sum, z, i) => sum + z.x * poly[(i + 1) % poly.length].y - z.y * poly[(i + 1) % poly.length].x, 0);
+        let { center, radius } = region;
+        let [east, north, west, south] = [[1, 0], [0, 1], [-1, 0], [0, -1]].map(([x, y]) => 
+            center.add(new Complex(x * radius, Math.sign(area) * y * radius)));
+        return [arc(east, north, west), arc(west, south, east)];
+    }
+
+    // Start right after leaving the region, then join the pieces inside of it
+    // along its boundary
+    let start = pieces.findIndex((piece, i) =>
+        piece.inside && !pieces[(i + pieces.length - 1) % pieces.length].inside);
+    let clipped = [];
+    let exitPoint = null;
+    for (let i = 0; i < pieces.length; i ++) {
+        let piece = pieces[(start + i) % pieces.length];
+        if (!piece.inside) {
+            if (exitPoint === null) {
+                exitPoint = piece.seg.start;
+            }
+            continue;
+        }
+        if (exitPoint !== null) {
+            clipped.push(boundaryArc(region, exitPoint, piece.seg.start, poly));
+            exitPoint = null;
+        }
+        clipped.push(piece.seg);
+    }
+    if (exitPoint !== null) {
+        clipped.push(boundaryArc(region, exitPoint, clipped[0].start, poly));
+    }
+    return clipped;
+}
+
+// Returns the region on the side of the generalized circle where the point lies
+const regionContaining = ({ center, radius, isLine }, inside) => {
+    let region = circleRegion(center, radius, isLine);
+    if (region.dist(inside) < 0) {
+        return region;
+    }
+    return isLine ? circleRegion(center.mulRe(-1), -radius, true) : circleRegion(center, -radius);
+}
+
+// This function takes in three points and a point inside, and returns the
+// region bounded by the generalized circle through the three points that
+// contains the point inside
+const regionThrough = (P, Q, R, inside) => {
+    let chord = R.sub(P);
+    let side = Q.sub(P);
+    if (Math.abs(side.x * chord.y - side.y * chord.x) <= 1e-12 * (chord.normSq() + side.normSq())) {
+        let normal = chord.mul(new Complex(0, 1)).getNormalized();
+        return regionContaining({ center: normal, radius: normal.x * P.x + normal.y * P.y, isLine: true }, inside);
+    }
+    return regionContaining({ ...circleFrom3Points(P, Q, R), isLine: false }, inside);
+}
+
+// This function takes in the frame of a geodesic (see geodesicFrame), the
+// points of the frame through which the region's boundary passes, and the 
+// point inside, and returns the region
+const frameRegion = (MMap, framePoints, inside) => regionThrough(
+    ...framePoints.map(z => applyMobiusTrans(MMap, z, true)), inside);
+
+/*
+Transformations of the tiles, which are isometries possibly composed with a
+reflection, stored as a "2x2 matrix" M and whether to conjugate first.
+*/
+
+const applyTransform = (g, z) => applyMobiusTrans(g.MMap, g.flip ? z.conj() : z);
+
+const conjMobius = (MMap) => ({ a: MMap.a.conj(), b: MMap.b.conj(), c: MMap.c.conj(), d: MMap.d.conj() });
+
+// Returns the transformation g after h
+const composeTransforms = (g, h, curvature) => ({
+    MMap: normalizeIsometry(composeMobius(g.MMap, g.flip ? conjMobius(h.MMap) : h.MMap), curvature),
+    flip: g.flip !== h.flip
+});
+
+// Returns the point mapped to P by the transformation g, where null stands 
+// for the point at infinity
+const invertTransform = (g, P) => {
+    let { a, b, c, d } = g.MMap;
+    let num = P ? d.mul(P).sub(b) : d;
+    let den = P ? a.sub(c.mul(P)) : c.mulRe(-1);
+    if (den.normSq() < 1e-30) {
+        return null;
+    }
+    let z = num.div(den);
+    return g.flip ? z.conj() : z;
+}
+
+// Returns the region mapped by the transformation g into the region given 
+// by its center and radius, negative for the outside of the circle
+const regionPreimage = (g, disc) => {
+    let size = Math.abs(disc.radius);
+    let rim = [[1, 0], [0, 1], [-1, 0], [0, -1]]
+        .map(([x, y]) => invertTransform(g, disc.center.add(new Complex(x * size, y * size)))).filter(z => z !== null);
+    let [inside, outside] = [disc.center, disc.center.add(new Complex(2 * size, 0))];
+    if (disc.radius < 0) {
+        [inside, outside] = [outside, inside];
+    }
+    let inner = invertTransform(g, inside);
+    let outer = invertTransform(g, outside);
+    let isInside = (dist) => inner ? dist(inner) < 0 : dist(outer) > 0;
+
+    let { center, radius } = circleFrom3Points(rim[0], rim[1], rim[2]);
+    if (isFinite(radius) && radius < 1e9) {
+        let region = circleRegion(center, radius);
+        return isInside(region.dist) ? region : circleRegion(center, -radius);
+    }
+    let normal = rim[2].sub(rim[0]).mul(new Complex(0, 1)).getNormalized();
+    let region = circleRegion(normal, normal.x * rim[0].x + normal.y * rim[0].y, true);
+    return isInside(region.dist) ? region : circleRegion(normal.mulRe(-1), -region.radius, true);
+}
+
+const transformPath = (path, g) => path.map(seg => arc(
+    applyTransform(g, seg.start), applyTransform(g, seg.mid), applyTransform(g, seg.end)));
+
+/*
+Writing paths in SVG.
+*/
+
+const fmt = (x) => x.toFixed(2);
+
+// Writes the arc from start through mid to end as an SVG command, where
+// the points are already in pixels
+const arcCommand = (start, mid, end) => {
+    let chord = end.sub(start);
+    let side = mid.sub(start);
+    let cross = side.x * chord.y - side.y * chord.x;
+    let { center, radius } = circleFrom3Points(start, mid, end);
+    if (Math.abs(cross) <= 1e-9 * (chord.normSq() + side.normSq()) || !isFinite(radius) || radius > 1e7) {
+        return `L${fmt(end.x)} ${fmt(end.y)}`;
+    }
+
+    // The arc is large if mid and the center are on the same side of the chord
+    let toCenter = center.sub(start);
+    let large = Math.sign(toCenter.x * chord.y - toCenter.y * chord.x) === Math.sign(cross) ? 1 : 0;
+    let sweep = (mid.x - start.x) * (end.y - mid.y) - (mid.y - start.y) * (end.x - mid.x) > 0 ? 1 : 0;
+    return `A${fmt(radius)} ${fmt(radius)} 0 ${large} ${sweep} ${fmt(end.x)} ${fmt(end.y)}`;
+}
+
+// Formats an RGB color
+const formatColor = (col, brt = 1) =>
+    `rgb(${col.map(c => Math.round(c * brt)).join(",")})`;
+
+// This function takes in the parameters of the tiling (as stored in the app's
+// state), the image size in pixels, and the export settings
+// (the maximum depth of the group elements, the minimum size of the tiles in
+// pixels and whether to leave the background transparent), and returns the
+// SVG image of the tiling in the current model and view.
+const buildTilingSvg = (params, width, height, settings = defaultSvgSettings) => {
+    let { curvature, modelIdx } = params;
+    let scale = Math.min(width, height) * (params.zoom ?? 1);
+    let view = params.view ?? MOBIUS_ID;
+    let reflections = mirrorReflections(params).map(MMap => ({ MMap, flip: true }));
+    let nIterations = Math.max(params.nIterations, 200);
+
+    // Tiles are placed on the screen by the inverse of the view, after which
+    // the points are mapped to the model and to pixels
+    let { a, b, c, d } = view;
+    let inverseView = { MMap: { a: d, b: b.mulRe(-1), c: c.mulRe(-1), d: a }, flip: false };
+    let model = models[modelIdx];
+    let toPixels = (w) => {
+        let z = diskToModel(params, w);
+        if (!isFinite(z.x) || !isFinite(z.y)) {
+            return null;
+        }
+        return new Complex((width + z.x * scale) / 2, (height - z.y * scale) / 2);
+    }
+
+    // Point of the disk shown at infinity, in the models where it is part 
+    // of the tiling (as null if it is the point at infinity itself)
+    let hasInfinity = model.infinity !== undefined;
+    let infinity = model.infinity ?? null;
+
+    // This function takes in a closed path of the fundamental triangle and
+    // the transformation h placing its tile on the screen's disk, and writes 
+    // it in pixels
+    let conformal = model.mobius;
+    let writePath = (path, h) => {
+        // Some models only show a part of the disk, such as the front 
+        // hemisphere of the sphere in the orthographic view
+        for (let region of model.visible ?? []) {
+            path = clipPath(path, regionPreimage(h, region));
+        }
+        if (!path.length) {
+            return "";
+        }
+
+        let cmds = [];
+        let poly = [];
+        for (let seg of transformPath(path, h)) {
+            let pts = conformal ? [seg.start, seg.mid, seg.end] :
+                samplePath([seg]).concat([seg.end]);
+            pts = pts.map(toPixels);
+            if (pts.some(pt => pt === null)) {
+                return "";
+            }
+            if (!cmds.length) {
+                cmds.push(`M${fmt(pts[0].x)} ${fmt(pts[0].y)}`);
+            }
+            if (conformal) {
+                cmds.push(arcCommand(...pts));
+            } else {
+                cmds.push(...pts.slice(1).map(pt => `L${fmt(pt.x)} ${fmt(pt.y)}`));
+            }
+            poly.push(...pts);
+        }
+        cmds.push("Z");
+
+        // Paths around the point at infinity bound its outside, which is
+        // drawn as a frame around the screen going the other way around
+        let atInfinity = hasInfinity ? invertTransform(h, infinity) : null;
+        if (atInfinity && isInsidePolygon(atInfinity, samplePath(path))) {
+            let area = poly.reduce((sum, z, i) => sum + z.x * poly[(i + 1) % poly.length].y - z.y * poly[(i + 1) % poly.length].x, 0);
+            let frame = [[-width, -height], [2 * width, -height], [2 * width, 2 * height], [-width, 2 * height]];
+            if (area > 0) {
+                frame.reverse();
+            }
+            cmds.unshift("M" + frame.map(([x, y]) => `${x} ${y}`).join("L") + "Z");
+        }
+        return cmds.join("");
+    }
+
+    // Fundamental triangle, with its V1V2 side on the mirror opposite V0
+    let { V0, V1, V2, invCen, invRad } = params;
+    let sideMid = V1.add(V2).mulRe(.5);
+    if (curvature !== 0) {
+        let dir = sideMid.sub(invCen).getNormalized().mulRe(invRad);
+        sideMid = invCen.add(dir).sub(sideMid).normSq() < invCen.sub(dir).sub(sideMid).normSq() ?
+            invCen.add(dir) : invCen.sub(dir);
+    }
+    let triangle = [arc(V0, V0.add(V1).mulRe(.5), V1), arc(V1, sideMid, V2), arc(V2, V2.add(V0).mulRe(.5), V0)];
+    let trianglePoly = samplePath(triangle);
+    let straightTriangle = (A, B, C) => [
+        arc(A, A.add(B).mulRe(.5), B), arc(B, B.add(C).mulRe(.5), C), arc(C, C.add(A).mulRe(.5), A)];
+
+    // Regions of the fundamental triangle as in the shader, each with the
+    // function giving its color from the reflection counts of the tile, its
+    // transformation and the mirrors folding it into the fundamental triangle.
+    // Later regions are drawn on top of earlier ones.
+    let col = (name) => hexToRgb(params[name]);
+    let vertCol = col("vertCol");
+    let altVertCol = (isVertCol) => () => formatColor(!params.doInvVerts || isVertCol ? vertCol : col("invVertCol"));
+    let constCol = (c) => () => formatColor(c);
+    let regions = [];
+
+    // Fill of the polygon. The Rotating Snakes and Ouchi patterns, images and
+    // pattern plugins aren't drawn, and the animated palette is taken at the
+    // center of the triangle.
+    let interior = foldToFundamental(V0.add(V1).add(V2).divRe(3), params, nIterations).z;
+    let texCol = col("polygonCol");
+    if (!params.doSolidColor) {
+        texCol = [0, .1, .2].map(off => 255 * (.5 + .5 * Math.cos(6.283 * (COLOR_COEFF * interior.x + off))));
+    }
+    let brtOf = (counts) => params.doParity ? 1 + (counts.n % 2 - 1) * PARITY_COEFF : 1;
+    let polygonCols = { polygonCol: col("polygonCol"), invPolygonCol: col("invPolygonCol") };
+    let coloring = selectedColoring(params);
+    regions.push([[triangle], (counts, g, mirrors) => {
+        if (params.doCafeWall) {
+            // The center of the polygon is the image of V0
+            return formatColor(cafeWallColor(applyTransform(g, V0), params, polygonCols), brtOf(counts));
+        }
+        if (coloring.mode !== coloringModes.NONE) {
+            let idx = coloring.mode === coloringModes.SYMMETRIC ? symmetricColorIndex(mirrors, coloring.symmetric) :
+                randomColorIndex(applyTransform(g, V0), curvature, coloring.nColors, coloring.seed);
+            return formatColor(hexToRgb(params.tileColors[idx]), brtOf(counts));
+        }
+        return params.doInvPol ?
+            formatColor(col(counts.polCol % 2 === 1 ? "polygonCol" : "invPolygonCol")) :
+            formatColor(texCol, brtOf(counts));
+    }]);
+
+    // Edges
+    let isEuclidean = curvature === 0;
+    if (params.doEdges) {
+        let edges = [
+            [params.doV0V1, "newThickEdge01Circle"], 
+            [params.doV1V2, "newThickEdge12Circle"], 
+            [params.doV2V0, "newThickEdge20Circle"]];
+        let paths = edges.filter(([show]) => show).map(([, name]) => 
+            clipPath(triangle, circleRegion(params[name + "Center"], params[name + "Radius"], isEuclidean)));
+        regions.push([paths, constCol(col("edgeCol"))]);
+    }
+
+    // Vertices, from the last case of the shader to the first one so that
+    // the first matching case is drawn on top
+    if (params.doVerts) {
+        let { doV0V1, doV1V2, doV2V0 } = params;
+        let disc = (name) => clipPath(triangle, 
+            circleRegion(params[name + "EnlargedCircleCenter"], params[name + "EnlargedCircleRadius"]));
+        let [triV0, triV1, triV2, discV0, discV2] = ["triV0", "triV1", "triV2", "V0", "V2"].map(disc);
+        let a4 = (counts) => counts.a % 4 < 2;
+        let cases = [
+            [doV0V1 && doV1V2 && doV2V0, [triV0, triV1, triV2], (counts) => altVertCol(counts.a % 2 === 0)()],
+            [doV0V1 && doV1V2, [discV0, triV1, discV2], (counts) => altVertCol(a4(counts))()],
+            [doV1V2 && doV2V0, [discV0, triV2], constCol(vertCol)],
+            [doV2V0 && doV0V1, [triV0, discV2], constCol(vertCol)],
+            [doV0V1, [discV0], (counts) => altVertCol(a4(counts))()],
+            [doV1V2, [discV2], (counts) => altVertCol(a4(counts))()],
+            [doV2V0, [discV0, discV2], constCol(vertCol)]];
+        for (let [show, paths, colorOf] of cases.reverse()) {
+            if (show) regions.push([paths, colorOf]);
+        }
+    }
+
+    // Ornaments, again with the first case on top
+    if (params.doOrns) {
+        let { D, E, D1, E1, D1p, E1p, D2, E2 } = params;
+        regions.push(
+            [[straightTriangle(V2, D2, E2)], altVertCol(false)],
+            [[straightTriangle(V1, D1, E1), straightTriangle(V1, D1p, E1p)], (counts) => altVertCol(counts.col1 % 4 < 3)()],
+            [[straightTriangle(V0, D, E)], (counts) => altVertCol(counts.col0 % 4 === 0)()]);
+    }
+
+    // Uniform tilings take the place of the polygons, edges, vertices and
+    // ornaments, with the cells of snub tilings only drawn in the triangles of
+    // their parity
+    let wythoff = selectedWythoff(params);
+    if (wythoff.mode !== wythoffModes.NONE) {
+        regions = [];
+        let corners = [V0, V1, V2];
+        let parities = wythoff.mode === wythoffModes.SNUB ? [false, true] : [null];
+        for (let odd of parities) {
+            let cells = wythoffCells(wythoff, odd === true, params);
+            let ofParity = (colorOf) => (counts) =>
+                odd === null || (counts.n % 2 === 1) === odd ? colorOf(counts) : null;
+            let faceCol = (part) => ofParity((counts) => formatColor(col("wythoffCol" + part), brtOf(counts)));
+
+            // Faces lie on the side of their corner of each line bounding them,
+            // over the fill of the rest of the triangle
+            regions.push([[triangle], faceCol(fallbackPart(wythoff, cells.faces))]);
+            cells.faces.forEach((lines, j) => {
+                if (!lines.length) return;
+                let face = lines.reduce((path, [A, B]) => clipPath(path, frameRegion(geodesicFrame(A, B, curvature),
+                    [new Complex(-.5, 0), new Complex(0, 0), new Complex(.5, 0)], corners[j])), triangle);
+                regions.push([[face], faceCol(j)]);
+            });
+
+            // Edges are bands between the curves at the thickness on both sides,
+            // cut off across their ends
+            if (params.doEdges) {
+                let across = [new Complex(0, -.5), new Complex(0, 0), new Complex(0, .5)];
+                let paths = cells.edges.map(([A, B]) => {
+                    let frame = geodesicFrame(A, B, curvature);
+                    let mid = applyMobiusTrans(frame, new Complex(applyMobiusTrans(frame, B).getNorm() / 2, 0), true);
+                    let sides = [frame, geodesicFrame(A, B, curvature, true)].map(MMap =>
+                        regionContaining(equidistantCurve(MMap, mid, params.eThickness, curvature), mid));
+                    let ends = [frame, geodesicFrame(B, A, curvature)].map(MMap => frameRegion(MMap, across, mid));
+                    return [...sides, ...ends].reduce(clipPath, triangle);
+                });
+                regions.push([paths, ofParity(constCol(col("edgeCol")))]);
+            }
+
+            // Vertices are discs around them
+            if (params.doVerts) {
+                let radius = 2 * params.eThickness;
+                let paths = cells.vertices.map(P => {
+                    let move = translationMobius(P, curvature);
+                    let rim = [[radius, 0], [0, radius], [-radius, 0]].map(([x, y]) => applyMobiusTrans(move, new Complex(x, y)));
+                    return clipPath(triangle, regionThrough(...rim, P));
+                });
+                regions.push([paths, ofParity(constCol(vertCol))]);
+            }
+        }
+    }
+
+    // Start from the tile at the center of the screen, or at the origin if the
+    // center lies outside of the model
+    let center = modelToDisk(params, new Complex(0, 0));
+    if (!isFinite(center.x) || !isFinite(center.y) || (curvature < 0 && center.normSq() >= 1)) {
+        center = new Complex(0, 0);
+    }
+    let { mirrors } = foldToFundamental(applyMobiusTrans(view, center), params, nIterations);
+    let start = { MMap: MOBIUS_ID, flip: false };
+    for (let idx of mirrors) {
+        start = composeTransforms(start, reflections[idx], curvature);
+    }
+
+    // Tiles are told apart by the images of the interior point
+    let keyOf = (g) => {
+        let z = applyTransform(g, interior);
+        return `${Math.round(z.x * keyPrecision)},${Math.round(z.y * keyPrecision)}`;
+    }
+
+    // Walk through the visible tiles, breadth first
+    let layers = regions.map(() => new Map());
+    let queue = [{ g: start, depth: 0 }];
+    let seen = new Set([keyOf(start)]);
+    let nTiles = 0;
+    for (let i = 0; i < queue.length && nTiles < maxTiles; i ++) {
+        let { g, depth } = queue[i];
+        let h = composeTransforms(inverseView, g, curvature);
+
+        // Skip tiles that are off screen or too small, unless they contain the
+        // point at infinity
+        let atInfinity = hasInfinity ? invertTransform(h, infinity) : null;
+        if (!atInfinity || !isInsidePolygon(atInfinity, trianglePoly)) {
+            let pts = samplePath(transformPath(triangle, h), 4).map(toPixels);
+            if (pts.some(pt => pt === null)) {
+                continue;
+            }
+            let xs = pts.map(pt => pt.x), ys = pts.map(pt => pt.y);
+            let [xMin, xMax, yMin, yMax] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+            if (xMax < 0 || yMax < 0 || xMin > width || yMin > height ||
+                Math.max(xMax - xMin, yMax - yMin) < settings.minSize) {
+                continue;
+            }
+        }
+
+        // Draw the regions of the tile, using the reflection counts of the shader
+        let { counts, mirrors } = foldToFundamental(applyTransform(g, interior), params, nIterations);
+        regions.forEach(([paths, colorOf], layerIdx) => {
+            let color = colorOf(counts, g, mirrors);
+            if (color === null) return;
+            let d = paths.map(path => writePath(path, h)).join("");
+            layers[layerIdx].set(color, (layers[layerIdx].get(color) ?? "") + d);
+        });
+        nTiles ++;
+
+        // Move on to its neighbors
+        if (depth < settings.maxDepth) {
+            for (let refl of reflections) {
+                let next = composeTransforms(g, refl, curvature);
+                let key = keyOf(next);
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    queue.push({ g: next, depth: depth + 1 });
+                }
+            }
+        }
+    }
+
+    // Assemble the image, merging the paths of each color within each layer
+    let svg = [`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`];
+    if (!settings.transparentBg) {
+        svg.push(`<rect width="${width}" height="${height}" fill="${formatColor(col("bgCol"))}"/>`);
+    }
+    for (let layer of layers) {
+        for (let [color, d] of layer) {
+            if (d) {
+                svg.push(`<path fill="${color}" stroke="${color}" stroke-width="0.35" stroke-linejoin="round" d="${d}"/>`);
+            }
+        }
+    }
+    svg.push("</svg>");
+    return svg.join("\n");
+}
+
+export { buildTilingSvg, defaultSvgSettings };
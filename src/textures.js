@@ -0,0 +1,82 @@
+/**
+ * This file contains the image that can be tiled into the fundamental
+ * triangles in place of the polygon colors. Images are too large for links
+ * and presets, so the current one is scaled down and kept in the browser.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+const storageKey = "hyperbolic-illusion-texture";
+
+// Largest width and height of images (in pixels), which is plenty for the
+// size of a polygon on screen
+const maxTextureSize = 1024;
+
+// Mapping modes of the image, as numbered in the shader
+const textureModes = [
+    { label: "Triangle", value: 0 },
+    { label: "Polygon with p-fold symmetry", value: 1 },
+    { label: "Square stretched into the polygon (a {4, q} polygon when p = 4)", value: 2 }
+];
+
+// This function takes in an image file and returns a promise of the image
+// as { name, url }, scaled down to fit the largest size, with its url as
+// a PNG data URL
+const readTextureFile = (file) => new Promise((resolve, reject) => {
+    let fileUrl = URL.createObjectURL(file);
+    let img = new Image();
+    img.onload = () => {
+        URL.revokeObjectURL(fileUrl);
+        let scale = Math.min(1, maxTextureSize / Math.max(img.width, img.height));
+        let canvas = document.createElement("canvas");
+        canvas.width = Math.max(1, Math.round(img.width * scale));
+        canvas.height = Math.max(1, Math.round(img.height * scale));
+        canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+        resolve({ name: file.name, url: canvas.toDataURL("image/png") });
+    };
+    img.onerror = () => {
+        URL.revokeObjectURL(fileUrl);
+        reject(new Error(`${file.name} isn't an image that the browser can read.`));
+    };
+    img.src = fileUrl;
+});
+
+let texture;
+const listeners = new Set();
+
+// Gives the current image as { name, url }, or null if there is none
+const getTexture = () => {
+    if (texture === undefined) {
+        try {
+            let dat = JSON.parse(window.localStorage.getItem(storageKey));
+            texture = typeof dat?.name === "string" && typeof dat.url === "string" ? dat : null;
+        } catch (e) {
+            console.error("Couldn't read the saved image");
+            texture = null;
+        }
+    }
+    return texture;
+}
+
+// Replaces the image, or removes it if null, and saves it in the browser
+const setTexture = (newTexture) => {
+    texture = newTexture;
+    try {
+        if (texture) {
+            window.localStorage.setItem(storageKey, JSON.stringify(texture));
+        } else {
+            window.localStorage.removeItem(storageKey);
+        }
+    } catch (e) {
+        console.error("Couldn't save the image, which is only kept until the page is closed");
+    }
+    listeners.forEach(listener => listener());
+}
+
+// Calls the listener whenever the image changes, until unsubscribed
+const subscribeTexture = (listener) => {
+    listeners.add(listener);
+    return () => { listeners.delete(listener); };
+}
+
+export { textureModes, readTextureFile, getTexture, setTexture, subscribeTexture };
@@ -0,0 +1,315 @@
+/**
+ * This file contains the uniform tilings of Wythoff's construction. A point W
+ * of the fundamental triangle is joined to its images in the mirrors it lies
+ * off, giving the edges, and the faces lie around the corners of the triangle.
+ * Snub tilings only keep the images of W by the rotations of the tiling. The
+ * operators of Conway's notation either place W, or draw the tilings dual to
+ * the uniform ones, whose edges are sides of the triangles.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import { Complex, applyMobiusTrans, translationMobius, mirrorReflections, lineThroughOrigin, closestToOrigin,
+         intersectGeneralizedCircles, fermiCoords, versor } from './math.js';
+
+// Kinds of Wythoff tilings, as numbered in the shader
+const wythoffModes = { NONE: 0, UNIFORM: 1, SNUB: 2 };
+
+// Parts of the tilings, as numbered in the shader: the faces around V0, V1
+// and V2, which are also the numbers of their colors along with the snub
+// triangles, and the edges and vertices
+const wythoffParts = { FACE0: 0, FACE1: 1, FACE2: 2, SNUB_FACE: 3, EDGE: 4, VERTEX: 5 };
+
+// Vertices are drawn as discs twice as wide as the edges
+const vertexRatio = 2;
+
+// Corners closer than this to the lines bounding their faces lie on them, as
+// the sine of the angle, which leaves out the faces that shrink to nothing
+// around corners where two mirrors meet at right angles
+const sideTolerance = 1e-4;
+
+// Steps of the searches for the points of the triangle
+const bisectionSteps = 60;
+const newtonSteps = 30;
+const newtonDelta = 1e-7;
+
+// Operators placing W, named as in Conway's notation for the {p, q} tiling
+// (when r = 2). Each gives the trilinear weights of W: its distances to the
+// mirrors opposite V0, V1 and V2, up to a common factor, as sinh of the
+// distance for hyperbolic tilings and sin for spherical ones. The edges
+// leaving W cross the mirrors with positive weights. The point of the snub
+// is found for each tiling, and the custom one is set in the settings.
+const wythoffOps = [
+    { id: "regular", name: "Regular (seed)", conway: "", weights: [0, 0, 1] },
+    { id: "truncate", name: "Truncate", conway: "t", weights: [0, 1, 1] },
+    { id: "rectify", name: "Rectify", conway: "a", weights: [0, 1, 0] },
+    { id: "truncateDual", name: "Truncate the dual", conway: "td", weights: [1, 1, 0] },
+    { id: "dual", name: "Dual", conway: "d", weights: [1, 0, 0] },
+    { id: "cantellate", name: "Cantellate", conway: "e", weights: [1, 0, 1] },
+    { id: "omnitruncate", name: "Omnitruncate", conway: "b", weights: [1, 1, 1] },
+    { id: "snub", name: "Snub", conway: "s", snub: true },
+    { id: "custom", name: "Custom point", conway: "" }
+];
+
+// Operators giving the duals of uniform tilings, whose faces are made of
+// fundamental triangles. Their edges are the sides of the triangles on the
+// mirrors crossed by the edges of the uniform tiling, as the edge toggles
+// draw them: a (V1V2) on the mirror opposite V0, b (V0V1) on the one opposite
+// V2 and c (V2V0) on the one opposite V1.
+const lavesOps = [
+    { id: "kis", name: "Kis", conway: "k", edges: { doV1V2: true, doV0V1: false, doV2V0: true } },
+    { id: "join", name: "Join", conway: "j", edges: { doV1V2: false, doV0V1: false, doV2V0: true } },
+    { id: "ortho", name: "Ortho", conway: "o", edges: { doV1V2: true, doV0V1: true, doV2V0: false } },
+    { id: "meta", name: "Meta", conway: "m", edges: { doV1V2: true, doV0V1: true, doV2V0: true } }
+];
+
+// Finds the operator of the dual tilings drawn by the edge toggles, if any
+const findLavesOp = (params) => params.doEdges ?
+    lavesOps.find(op => Object.entries(op.edges).every(([name, shown]) => params[name] === shown)) : undefined;
+
+// Checks whether the value is a list of trilinear weights
+const isWythoffWeights = (val) => Array.isArray(val) && val.length === 3 &&
+    val.every(w => Number.isFinite(w) && w >= 0 && w <= 1) && val.some(w => w > 0);
+
+/*
+Distances.
+*/
+
+// Distance of the point from the origin
+const distanceToOrigin = (z, curvature) => {
+    let r = z.getNorm();
+    return curvature < 0 ? 2 * Math.atanh(r) : curvature > 0 ? 2 * Math.atan(r) : 2 * r;
+}
+
+// Ratio of the length of an arc of a circle of radius d and of its angle
+const sinhK = (d, curvature) => curvature < 0 ? Math.sinh(d) : curvature > 0 ? Math.sin(d) : d;
+
+// Moves the point a to the origin, as the shift function of the shader
+const shift = (z, a, curvature) => applyMobiusTrans(translationMobius(a.mulRe(-1), curvature), z);
+
+const pointDistance = (z, w, curvature) => distanceToOrigin(shift(w, z, curvature), curvature);
+
+// Midpoint of the geodesic segment from A to B
+const midpoint = (A, B, curvature) => {
+    let b = shift(B, A, curvature);
+    let mid = b.divRe(1 + Math.sqrt(1 + curvature * b.normSq()));
+    return applyMobiusTrans(translationMobius(A, curvature), mid);
+}
+
+// This function takes in a point, the reflections in the mirrors (see
+// mirrorReflections) and the curvature, and returns the point's distances to
+// the three mirrors, as sinh of the distance for hyperbolic tilings and sin
+// for spherical ones. Each is half the distance to the point's mirror image.
+const mirrorDistances = (z, reflections, curvature) => reflections.map(MMap =>
+    sinhK(pointDistance(z, applyMobiusTrans(MMap, z.conj()), curvature) / 2, curvature));
+
+/*
+Wythoff points.
+*/
+
+// This function takes in the tiling parameters and the trilinear weights of a
+// point, and returns the point of the fundamental triangle with these weights
+const wythoffPoint = (tiling, weights) => {
+    let { curvature, V0, V2, invCen, invRad } = tiling;
+    let [t0, t1, t2] = weights;
+    if (t1 + t2 <= 0) {
+        return V0;
+    }
+
+    // The distances to the mirrors through V0 have the ratio of t1 and t2
+    // along a ray leaving V0
+    let alpha = Math.atan2(V2.y, V2.x);
+    let dir = versor(Math.atan2(t2 * Math.sin(alpha), t1 + t2 * Math.cos(alpha)));
+    let mirror = { center: invCen, radius: invRad, isLine: curvature === 0 };
+    let end = closestToOrigin(intersectGeneralizedCircles(mirror, lineThroughOrigin(dir)));
+    if (t0 <= 0) {
+        return end;
+    }
+
+    // Going along the ray, the distance to the mirror opposite V0 falls and
+    // the others grow, so the point is found by bisection
+    let reflections = mirrorReflections(tiling);
+    let excess = (s) => {
+        let [s0, s1, s2] = mirrorDistances(end.mulRe(s), reflections, curvature);
+        return t0 * (s1 + s2) - s0 * (t1 + t2);
+    }
+    let lo = 0, hi = 1;
+    for (let i = 0; i < bisectionSteps; i ++) {
+        let mid = (lo + hi) / 2;
+        if (excess(mid) < 0) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+    return end.mulRe((lo + hi) / 2);
+}
+
+// This function takes in the tiling parameters and the (p, q, r) triangle
+// group, and returns the point of the uniform snub tiling. Its images by the
+// rotations about V0, V1 and V2 (by 2 PI / p, 2 PI / r and 2 PI / q) are all
+// as far from it, which is the case when the sines of half these distances,
+// sinh(d) sin(PI / n) for a point at the distance d from a corner where n
+// mirrors meet, are equal. They are solved for by Newton's method, starting
+// from the incenter.
+const snubPoint = (tiling, p, q, r) => {
+    let { curvature, V0, V1, V2 } = tiling;
+    let corners = [[V0, p], [V1, r], [V2, q]];
+    let residual = (z) => {
+        let [g0, g1, g2] = corners.map(([V, n]) => sinhK(pointDistance(z, V, curvature), curvature) * Math.sin(Math.PI / n));
+        return [g0 - g1, g0 - g2];
+    }
+
+    let incenter = wythoffPoint(tiling, [1, 1, 1]);
+    let z = incenter;
+    for (let i = 0; i < newtonSteps; i ++) {
+        let f = residual(z);
+        let fx = residual(z.add(new Complex(newtonDelta, 0)));
+        let fy = residual(z.add(new Complex(0, newtonDelta)));
+        let [a, b, c, d] = [fx[0] - f[0], fy[0] - f[0], fx[1] - f[1], fy[1] - f[1]].map(val => val / newtonDelta);
+        let det = a * d - b * c;
+        if (!(Math.abs(det) > 0)) break;
+        z = z.sub(new Complex((d * f[0] - b * f[1]) / det, (a * f[1] - c * f[0]) / det));
+    }
+    return Number.isFinite(z.x) && Number.isFinite(z.y) ? z : incenter;
+}
+
+// This function takes in the tiling parameters and a point, and returns the
+// point's trilinear weights, adding up to 1
+const trilinearWeights = (tiling, z) => {
+    let dists = mirrorDistances(z, mirrorReflections(tiling), tiling.curvature).map(Math.abs);
+    let sum = dists.reduce((total, val) => total + val, 0);
+    return dists.map(val => val / sum);
+}
+
+/*
+Geometry of the tilings.
+*/
+
+// This function takes in the parameters and returns the Wythoff tiling they
+// select as { mode, weights, point, mirrored, feet, turned, edgeWidth,
+// vertexRadius }, or { mode } if there is none. The point W has the images
+// mirrored in each mirror, and the feet of the perpendiculars dropped from it
+// onto them, which are W itself for mirrors with zero weight. The images
+// turned about V0, V1 and V2 both ways are those by s1 s2, s2 s1, s2 s0,
+// s0 s2, s0 s1 and s1 s0, where s0, s1 and s2 are the reflections in the
+// mirrors opposite V0, V1 and V2. The half-width of the edges and the radius
+// of the vertices are distances.
+const selectedWythoff = (params) => {
+    let op = wythoffOps.find(other => other.id === params.wythoffOp);
+    if (!op || (!op.weights && !op.snub && !isWythoffWeights(params.wythoffWeights))) {
+        return { mode: wythoffModes.NONE };
+    }
+    let { curvature } = params;
+    let mode = op.snub || (op.id === "custom" && params.wythoffSnub) ? wythoffModes.SNUB : wythoffModes.UNIFORM;
+    let point = op.snub ? snubPoint(params, params.pValue, params.qValue, params.rValue) :
+        wythoffPoint(params, op.weights ?? params.wythoffWeights);
+    let weights = op.snub ? trilinearWeights(params, point) : op.weights ?? params.wythoffWeights;
+
+    let reflections = mirrorReflections(params);
+    let reflect = (k, z) => applyMobiusTrans(reflections[k], z.conj());
+    let mirrored = [0, 1, 2].map(k => reflect(k, point));
+    let feet = mirrored.map((img, k) => weights[k] > 0 ? midpoint(point, img, curvature) : point);
+    let turned = [[1, 2], [2, 1], [2, 0], [0, 2], [0, 1], [1, 0]].map(([a, b]) => reflect(a, mirrored[b]));
+
+    let thickness = new Complex(params.eThickness, 0);
+    return {
+        mode, weights, point, mirrored, feet, turned,
+        edgeWidth: distanceToOrigin(thickness, curvature),
+        vertexRadius: distanceToOrigin(thickness.mulRe(vertexRatio), curvature)
+    };
+}
+
+// Side of the geodesic through A and B where the point lies, as the sine of
+// the angle at A from the geodesic to the point
+const geodesicSide = (z, A, B, curvature) => {
+    let u = shift(z, A, curvature);
+    let v = shift(B, A, curvature);
+    return (u.x * v.y - u.y * v.x) / Math.sqrt(u.normSq() * v.normSq());
+}
+
+// This function takes in a Wythoff tiling, whether the point lies in a
+// triangle folded by an odd number of reflections and the parameters, and
+// returns the vertices, the edges as pairs of points, and the lines bounding
+// the faces around V0, V1 and V2 within the triangle, as pairs of points on
+// each line. Faces with no lines, or whose corner lies on one of them, are
+// left out. Near the odd triangles of snub tilings, the vertices are the
+// mirror images of W, which lie around a snub triangle.
+const wythoffCells = (wythoff, odd, params) => {
+    let { point, mirrored, feet, turned, weights } = wythoff;
+    let vertices = [point], edges, faces;
+    if (wythoff.mode === wythoffModes.UNIFORM) {
+        edges = [0, 1, 2].filter(k => weights[k] > 0).map(k => [point, feet[k]]);
+        faces = [0, 1, 2].map(j => [1, 2].map(i => (j + i) % 3).filter(k => weights[k] > 0).map(k => [point, feet[k]]));
+    } else if (!odd) {
+        edges = turned.map(img => [point, img]);
+        faces = [0, 1, 2].map(j => [edges[2 * j], edges[2 * j + 1]]);
+    } else {
+        vertices = mirrored;
+        edges = [0, 1, 2].map(j => [mirrored[(j + 1) % 3], mirrored[(j + 2) % 3]]);
+        faces = edges.map(edge => [edge]);
+    }
+
+    let corners = [params.V0, params.V1, params.V2];
+    faces = faces.map((lines, j) => lines.every(([A, B]) =>
+        Math.abs(geodesicSide(corners[j], A, B, params.curvature)) > sideTolerance) ? lines : []);
+    return { vertices, edges, faces };
+}
+
+// This function takes in a point of the fundamental triangle, the parameters,
+// the Wythoff tiling and whether the point lies in an odd triangle, and
+// returns the part of the tiling it lies on (see wythoffParts), as the shader
+// does. Vertices and edges are only drawn if shown.
+const wythoffPart = (z, params, wythoff, odd) => {
+    let { curvature } = params;
+    let { vertices, edges, faces } = wythoffCells(wythoff, odd, params);
+    if (params.doVerts && vertices.some(V => pointDistance(z, V, curvature) < wythoff.vertexRadius)) {
+        return wythoffParts.VERTEX;
+    }
+    let isOnEdge = ([A, B]) => {
+        let v = shift(B, A, curvature);
+        let { across, along } = fermiCoords(shift(z, A, curvature), Math.atan2(v.y, v.x), curvature);
+        return Math.abs(across) < wythoff.edgeWidth && along > 0 && along < distanceToOrigin(v, curvature);
+    }
+    if (params.doEdges && edges.some(isOnEdge)) {
+        return wythoffParts.EDGE;
+    }
+
+    // The face around each corner lies on its side of the lines bounding it,
+    // and the rest is the snub triangle, or the first face
+    let corners = [params.V0, params.V1, params.V2];
+    let inFace = (lines, j) => lines.length > 0 &&
+        lines.every(([A, B]) => geodesicSide(z, A, B, curvature) * geodesicSide(corners[j], A, B, curvature) > 0);
+    let face = faces.findIndex(inFace);
+    if (face >= 0) {
+        return face;
+    }
+    return fallbackPart(wythoff, faces);
+}
+
+// Part of the points of the triangle outside of the faces
+const fallbackPart = (wythoff, faces) => {
+    let first = faces.findIndex(lines => lines.length > 0);
+    return wythoff.mode === wythoffModes.UNIFORM && first >= 0 ? first : wythoffParts.SNUB_FACE;
+}
+
+// This function takes in a Wythoff tiling and returns the values of the
+// uniforms of the shader
+const wythoffUniforms = (wythoff) => {
+    let origin = new Complex(0, 0);
+    let flat = (points, count) => new Float32Array(points ? points.flatMap(z => [z.x, z.y]) : 2 * count);
+    let point = wythoff.point ?? origin;
+    return {
+        wythoffMode: wythoff.mode,
+        wythoffPoint: [point.x, point.y],
+        wythoffEdges: (wythoff.weights ?? [0, 0, 0]).map(w => w > 0 ? 1 : 0),
+        wythoffMirrored: flat(wythoff.mirrored, 3),
+        wythoffFeet: flat(wythoff.feet, 3),
+        wythoffTurned: flat(wythoff.turned, 6),
+        wythoffEdgeWidth: wythoff.edgeWidth ?? 0,
+        wythoffVertexRadius: wythoff.vertexRadius ?? 0
+    };
+}
+
+export { wythoffModes, wythoffParts, wythoffOps, lavesOps, findLavesOp, isWythoffWeights, wythoffPoint, snubPoint,
+         trilinearWeights, selectedWythoff, wythoffCells, wythoffPart, fallbackPart, wythoffUniforms };
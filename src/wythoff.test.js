@@ -0,0 +1,69 @@
+/**
+ * These are the tests of the points of Wythoff's construction, placed by
+ * their trilinear weights or solved for in snub tilings.
+ * This code is protected under the MIT license (see the LICENSE file).
+ * @author tdung-do
+ */
+
+import { wythoffPoint, snubPoint, trilinearWeights, selectedWythoff, wythoffOps, isWythoffWeights } from './wythoff.js';
+import { Complex, generateTilingParams } from './math.js';
+
+const tilings = [[4, 5, 2], [7, 3, 2], [4, 4, 2], [5, 3, 2], [3, 4, 3]];
+
+const tilingParams = (p, q, r) => ({ ...generateTilingParams(p, q, 0.01, r), pValue: p, qValue: q, rValue: r });
+
+// Grows with the distance of two points: it is the tanh of half the distance
+// in the disk, the tan of half of it on the sphere, and half of it in the plane
+const distanceRatio = (z, w, curvature) =>
+    z.sub(w).getNorm() / new Complex(1, 0).add(w.conj().mul(z).mulRe(curvature)).getNorm();
+
+describe("wythoffPoint", () => {
+    test.each(tilings)("has the weights it was given in the (%i, %i, %i) triangle group", (p, q, r) => {
+        let tiling = tilingParams(p, q, r);
+        for (let weights of [[1, 1, 1], [0, 1, 1], [1, 0, 1], [1, 1, 0], [0.2, 0.5, 0.9]]) {
+            let sum = weights.reduce((total, w) => total + w, 0);
+            let found = trilinearWeights(tiling, wythoffPoint(tiling, weights));
+            found.forEach((w, k) => { expect(w).toBeCloseTo(weights[k] / sum, 6); });
+        }
+    });
+
+    test("lies on the corners for the weights of a single mirror", () => {
+        let tiling = tilingParams(4, 5, 2);
+        expect(wythoffPoint(tiling, [1, 0, 0])).toBe(tiling.V0);
+        let corner = wythoffPoint(tiling, [0, 0, 1]);
+        expect(corner.x).toBeCloseTo(tiling.V2.x, 6);
+        expect(corner.y).toBeCloseTo(tiling.V2.y, 6);
+    });
+});
+
+describe("snubPoint", () => {
+    test.each(tilings)("is as far from its images turned about each corner in the (%i, %i, %i) triangle group",
+        (p, q, r) => {
+            let tiling = tilingParams(p, q, r);
+            let { point, turned } = selectedWythoff({ ...tiling, wythoffOp: "snub" });
+            expect(point).toEqual(snubPoint(tiling, p, q, r));
+
+            // The images by the rotations about V0, V1 and V2
+            let [d0, d1, d2] = [turned[0], turned[2], turned[4]].map(img => distanceRatio(point, img, tiling.curvature));
+            expect(d1).toBeCloseTo(d0, 8);
+            expect(d2).toBeCloseTo(d0, 8);
+        });
+
+    test("lies inside the triangle", () => {
+        let tiling = tilingParams(4, 5, 2);
+        let weights = trilinearWeights(tiling, snubPoint(tiling, 4, 5, 2));
+        expect(isWythoffWeights(weights)).toBe(true);
+        weights.forEach(w => { expect(w).toBeGreaterThan(0); });
+    });
+});
+
+describe("wythoffOps", () => {
+    test("give the weights of Conway's operators", () => {
+        let tiling = tilingParams(4, 5, 2);
+        for (let op of wythoffOps.filter(other => other.weights)) {
+            let { weights, point } = selectedWythoff({ ...tiling, wythoffOp: op.id });
+            expect(weights).toEqual(op.weights);
+            expect(point).toEqual(wythoffPoint(tiling, op.weights));
+        }
+    });
+});